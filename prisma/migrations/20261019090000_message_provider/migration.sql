@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `message_logs` ADD COLUMN `provider` VARCHAR(191) NULL;
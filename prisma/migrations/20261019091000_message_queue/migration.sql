@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE `message_logs` ADD COLUMN `attempts` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `lastAttemptAt` DATETIME(3) NULL,
+    ADD COLUMN `nextAttemptAt` DATETIME(3) NULL;
+
+-- Queue rows that were logged before the worker existed
+UPDATE `message_logs` SET `nextAttemptAt` = `createdAt` WHERE `status` = 'PENDING';
+
+-- CreateIndex
+CREATE INDEX `message_logs_status_nextAttemptAt_idx` ON `message_logs`(`status`, `nextAttemptAt`);
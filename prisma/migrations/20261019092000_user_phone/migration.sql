@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `phone` VARCHAR(191) NULL,
+    ADD COLUMN `phoneVerified` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `phoneVerificationCode` VARCHAR(191) NULL,
+    ADD COLUMN `phoneVerificationExpires` DATETIME(3) NULL,
+    ADD COLUMN `smsOptIn` BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `locale` VARCHAR(191) NOT NULL DEFAULT 'en';
+
+-- AlterTable
+ALTER TABLE `message_logs` ADD COLUMN `htmlContent` TEXT NULL;
+
+-- CreateTable
+CREATE TABLE `message_templates` (
+    `id` VARCHAR(191) NOT NULL,
+    `key` VARCHAR(191) NOT NULL,
+    `channel` ENUM('EMAIL', 'SMS', 'IN_APP') NOT NULL,
+    `locale` VARCHAR(191) NOT NULL DEFAULT 'en',
+    `subject` VARCHAR(191) NULL,
+    `bodyText` TEXT NOT NULL,
+    `bodyHtml` TEXT NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `message_templates_key_idx`(`key`),
+    UNIQUE INDEX `message_templates_key_channel_locale_key`(`key`, `channel`, `locale`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
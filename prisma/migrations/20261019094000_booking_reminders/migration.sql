@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE `notifications` MODIFY `type` ENUM('BOOKING_CREATED', 'BOOKING_CANCELLED', 'BOOKING_UPDATED', 'BOOKING_REMINDER', 'WELCOME', 'SYSTEM') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `booking_reminders` (
+    `id` VARCHAR(191) NOT NULL,
+    `bookingId` VARCHAR(191) NOT NULL,
+    `offsetMinutes` INTEGER NOT NULL,
+    `sentAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `booking_reminders_bookingId_offsetMinutes_key`(`bookingId`, `offsetMinutes`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `booking_reminders` ADD CONSTRAINT `booking_reminders_bookingId_fkey` FOREIGN KEY (`bookingId`) REFERENCES `bookings`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `bookings` MODIFY `status` ENUM('PENDING', 'CONFIRMED', 'CANCELLED', 'COMPLETED', 'NO_SHOW') NOT NULL DEFAULT 'PENDING';
+
+-- AlterTable
+ALTER TABLE `notifications` MODIFY `type` ENUM('BOOKING_CREATED', 'BOOKING_CANCELLED', 'BOOKING_UPDATED', 'BOOKING_REMINDER', 'BOOKING_COMPLETED', 'BOOKING_NO_SHOW', 'WELCOME', 'SYSTEM') NOT NULL;
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE `resources` ADD COLUMN `requiresApproval` BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE `bookings` ADD COLUMN `holdExpiresAt` DATETIME(3) NULL,
+    ADD COLUMN `reviewedBy` VARCHAR(191) NULL,
+    ADD COLUMN `reviewedAt` DATETIME(3) NULL,
+    ADD COLUMN `rejectionReason` TEXT NULL;
+
+-- AlterTable
+ALTER TABLE `notifications` MODIFY `type` ENUM('BOOKING_CREATED', 'BOOKING_PENDING', 'BOOKING_REJECTED', 'BOOKING_CANCELLED', 'BOOKING_UPDATED', 'BOOKING_REMINDER', 'BOOKING_COMPLETED', 'BOOKING_NO_SHOW', 'WELCOME', 'SYSTEM') NOT NULL;
+
+-- CreateIndex
+CREATE INDEX `bookings_status_holdExpiresAt_idx` ON `bookings`(`status`, `holdExpiresAt`);
@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE `bookings` ADD COLUMN `seriesId` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `notifications` MODIFY `type` ENUM('BOOKING_CREATED', 'BOOKING_PENDING', 'BOOKING_REJECTED', 'BOOKING_CANCELLED', 'BOOKING_SERIES_CREATED', 'BOOKING_SERIES_CANCELLED', 'BOOKING_UPDATED', 'BOOKING_REMINDER', 'BOOKING_COMPLETED', 'BOOKING_NO_SHOW', 'WELCOME', 'SYSTEM') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `booking_series` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `resourceId` VARCHAR(191) NOT NULL,
+    `frequency` ENUM('DAILY', 'WEEKLY', 'MONTHLY') NOT NULL,
+    `interval` INTEGER NOT NULL DEFAULT 1,
+    `until` DATETIME(3) NULL,
+    `count` INTEGER NULL,
+    `startTime` DATETIME(3) NOT NULL,
+    `endTime` DATETIME(3) NOT NULL,
+    `notes` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `booking_series_userId_idx`(`userId`),
+    INDEX `booking_series_resourceId_idx`(`resourceId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `bookings_seriesId_idx` ON `bookings`(`seriesId`);
+
+-- AddForeignKey
+ALTER TABLE `bookings` ADD CONSTRAINT `bookings_seriesId_fkey` FOREIGN KEY (`seriesId`) REFERENCES `booking_series`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `booking_series` ADD CONSTRAINT `booking_series_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `booking_series` ADD CONSTRAINT `booking_series_resourceId_fkey` FOREIGN KEY (`resourceId`) REFERENCES `resources`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
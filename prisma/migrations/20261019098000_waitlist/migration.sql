@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE `notifications` MODIFY `type` ENUM('BOOKING_CREATED', 'BOOKING_PENDING', 'BOOKING_REJECTED', 'BOOKING_CANCELLED', 'BOOKING_SERIES_CREATED', 'BOOKING_SERIES_CANCELLED', 'BOOKING_UPDATED', 'BOOKING_REMINDER', 'BOOKING_COMPLETED', 'BOOKING_NO_SHOW', 'WAITLIST_OFFER', 'WELCOME', 'SYSTEM') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `waitlist_entries` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `resourceId` VARCHAR(191) NOT NULL,
+    `startTime` DATETIME(3) NOT NULL,
+    `endTime` DATETIME(3) NOT NULL,
+    `notes` TEXT NULL,
+    `status` ENUM('WAITING', 'OFFERED', 'CLAIMED', 'EXPIRED', 'CANCELLED') NOT NULL DEFAULT 'WAITING',
+    `offerToken` VARCHAR(191) NULL,
+    `offeredAt` DATETIME(3) NULL,
+    `offerExpiresAt` DATETIME(3) NULL,
+    `claimedAt` DATETIME(3) NULL,
+    `bookingId` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `waitlist_entries_offerToken_key`(`offerToken`),
+    INDEX `waitlist_entries_userId_idx`(`userId`),
+    INDEX `waitlist_entries_resourceId_status_idx`(`resourceId`, `status`),
+    INDEX `waitlist_entries_status_offerExpiresAt_idx`(`status`, `offerExpiresAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `waitlist_entries` ADD CONSTRAINT `waitlist_entries_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `waitlist_entries` ADD CONSTRAINT `waitlist_entries_resourceId_fkey` FOREIGN KEY (`resourceId`) REFERENCES `resources`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE `booking_rules` (
+    `id` VARCHAR(191) NOT NULL,
+    `resourceId` VARCHAR(191) NULL,
+    `resourceType` VARCHAR(191) NULL,
+    `openingHours` JSON NULL,
+    `minDurationMinutes` INTEGER NULL,
+    `maxDurationMinutes` INTEGER NULL,
+    `slotMinutes` INTEGER NULL,
+    `leadTimeMinutes` INTEGER NULL,
+    `maxAdvanceDays` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `booking_rules_resourceId_key`(`resourceId`),
+    UNIQUE INDEX `booking_rules_resourceType_key`(`resourceType`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `resource_closures` (
+    `id` VARCHAR(191) NOT NULL,
+    `resourceId` VARCHAR(191) NULL,
+    `resourceType` VARCHAR(191) NULL,
+    `startDate` DATE NOT NULL,
+    `endDate` DATE NOT NULL,
+    `reason` VARCHAR(191) NULL,
+    `createdBy` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `resource_closures_resourceId_idx`(`resourceId`),
+    INDEX `resource_closures_startDate_endDate_idx`(`startDate`, `endDate`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `booking_rules` ADD CONSTRAINT `booking_rules_resourceId_fkey` FOREIGN KEY (`resourceId`) REFERENCES `resources`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `resource_closures` ADD CONSTRAINT `resource_closures_resourceId_fkey` FOREIGN KEY (`resourceId`) REFERENCES `resources`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
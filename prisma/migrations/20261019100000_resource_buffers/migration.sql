@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `resources` ADD COLUMN `bufferBeforeMinutes` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `bufferAfterMinutes` INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE `bookings` ADD COLUMN `priceBreakdown` JSON NULL;
+
+-- CreateTable
+CREATE TABLE `pricing_rules` (
+    `id` VARCHAR(191) NOT NULL,
+    `resourceId` VARCHAR(191) NULL,
+    `resourceType` VARCHAR(191) NULL,
+    `unit` ENUM('HOURLY', 'DAILY', 'NIGHTLY') NULL,
+    `hourlyRate` DECIMAL(10, 2) NULL,
+    `dailyRate` DECIMAL(10, 2) NULL,
+    `nightlyRate` DECIMAL(10, 2) NULL,
+    `peakHours` JSON NULL,
+    `peakMultiplier` DECIMAL(5, 2) NULL,
+    `weekendMultiplier` DECIMAL(5, 2) NULL,
+    `minimumCharge` DECIMAL(10, 2) NULL,
+    `longStayDiscounts` JSON NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `pricing_rules_resourceId_key`(`resourceId`),
+    UNIQUE INDEX `pricing_rules_resourceType_key`(`resourceType`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `pricing_rules` ADD CONSTRAINT `pricing_rules_resourceId_fkey` FOREIGN KEY (`resourceId`) REFERENCES `resources`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
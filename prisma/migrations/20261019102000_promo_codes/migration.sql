@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE `bookings` ADD COLUMN `promoCodeId` VARCHAR(191) NULL,
+    ADD COLUMN `discountAmount` DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE `promo_codes` (
+    `id` VARCHAR(191) NOT NULL,
+    `code` VARCHAR(191) NOT NULL,
+    `description` VARCHAR(191) NULL,
+    `discountType` ENUM('PERCENT', 'FIXED') NOT NULL,
+    `value` DECIMAL(10, 2) NOT NULL,
+    `validFrom` DATETIME(3) NULL,
+    `validUntil` DATETIME(3) NULL,
+    `maxUses` INTEGER NULL,
+    `maxUsesPerUser` INTEGER NULL,
+    `resourceTypes` JSON NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdBy` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `promo_codes_code_key`(`code`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `bookings_promoCodeId_idx` ON `bookings`(`promoCodeId`);
+
+-- AddForeignKey
+ALTER TABLE `bookings` ADD CONSTRAINT `bookings_promoCodeId_fkey` FOREIGN KEY (`promoCodeId`) REFERENCES `promo_codes`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE `resources` ADD COLUMN `currency` VARCHAR(3) NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE `pricing_rules` ADD COLUMN `serviceFeePercent` DECIMAL(5, 2) NULL,
+    ADD COLUMN `serviceFeeAmount` DECIMAL(10, 2) NULL,
+    ADD COLUMN `taxPercent` DECIMAL(5, 2) NULL;
+
+-- AlterTable
+ALTER TABLE `bookings` ADD COLUMN `subtotal` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `feeAmount` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `taxAmount` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `currency` VARCHAR(3) NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE `promo_codes` ADD COLUMN `currency` VARCHAR(3) NULL;
+
+-- Existing bookings were charged without fees or tax
+UPDATE `bookings` SET `subtotal` = `totalPrice`;
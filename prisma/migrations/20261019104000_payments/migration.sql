@@ -0,0 +1,46 @@
+-- AlterTable
+ALTER TABLE `bookings` ADD COLUMN `awaitingPayment` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE `payments` (
+    `id` VARCHAR(191) NOT NULL,
+    `bookingId` VARCHAR(191) NOT NULL,
+    `gateway` VARCHAR(191) NOT NULL,
+    `gatewayPaymentId` VARCHAR(191) NULL,
+    `amount` DECIMAL(10, 2) NOT NULL,
+    `currency` VARCHAR(3) NOT NULL,
+    `status` ENUM('PENDING', 'AUTHORIZED', 'CAPTURED', 'FAILED', 'VOIDED', 'REFUNDED') NOT NULL DEFAULT 'PENDING',
+    `refundedAmount` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    `failureReason` TEXT NULL,
+    `authorizedAt` DATETIME(3) NULL,
+    `capturedAt` DATETIME(3) NULL,
+    `refundedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `payments_bookingId_idx`(`bookingId`),
+    INDEX `payments_status_idx`(`status`),
+    UNIQUE INDEX `payments_gateway_gatewayPaymentId_key`(`gateway`, `gatewayPaymentId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `payment_events` (
+    `id` VARCHAR(191) NOT NULL,
+    `gateway` VARCHAR(191) NOT NULL,
+    `eventId` VARCHAR(191) NOT NULL,
+    `type` VARCHAR(191) NOT NULL,
+    `paymentId` VARCHAR(191) NULL,
+    `payload` JSON NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `payment_events_paymentId_idx`(`paymentId`),
+    UNIQUE INDEX `payment_events_gateway_eventId_key`(`gateway`, `eventId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `payments` ADD CONSTRAINT `payments_bookingId_fkey` FOREIGN KEY (`bookingId`) REFERENCES `bookings`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `payment_events` ADD CONSTRAINT `payment_events_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `payments`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE `cancellation_policies` (
+    `id` VARCHAR(191) NOT NULL,
+    `resourceId` VARCHAR(191) NULL,
+    `resourceType` VARCHAR(191) NULL,
+    `nonRefundable` BOOLEAN NOT NULL DEFAULT false,
+    `refundTiers` JSON NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `cancellation_policies_resourceId_key`(`resourceId`),
+    UNIQUE INDEX `cancellation_policies_resourceType_key`(`resourceType`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `cancellation_policies` ADD CONSTRAINT `cancellation_policies_resourceId_fkey` FOREIGN KEY (`resourceId`) REFERENCES `resources`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
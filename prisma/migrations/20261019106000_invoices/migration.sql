@@ -0,0 +1,45 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `billingName` VARCHAR(191) NULL,
+    ADD COLUMN `billingAddress` TEXT NULL,
+    ADD COLUMN `taxId` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `message_logs` ADD COLUMN `attachments` JSON NULL;
+
+-- CreateTable
+CREATE TABLE `invoices` (
+    `id` VARCHAR(191) NOT NULL,
+    `number` VARCHAR(191) NOT NULL,
+    `bookingId` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `issuedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `currency` VARCHAR(3) NOT NULL,
+    `subtotal` DECIMAL(10, 2) NOT NULL,
+    `feeAmount` DECIMAL(10, 2) NOT NULL,
+    `taxAmount` DECIMAL(10, 2) NOT NULL,
+    `discountAmount` DECIMAL(10, 2) NOT NULL,
+    `total` DECIMAL(10, 2) NOT NULL,
+    `lines` JSON NOT NULL,
+    `billingDetails` JSON NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `invoices_number_key`(`number`),
+    UNIQUE INDEX `invoices_bookingId_key`(`bookingId`),
+    INDEX `invoices_userId_idx`(`userId`),
+    INDEX `invoices_issuedAt_idx`(`issuedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `invoice_counters` (
+    `year` INTEGER NOT NULL,
+    `lastNumber` INTEGER NOT NULL DEFAULT 0,
+
+    PRIMARY KEY (`year`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `invoices` ADD CONSTRAINT `invoices_bookingId_fkey` FOREIGN KEY (`bookingId`) REFERENCES `bookings`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `invoices` ADD CONSTRAINT `invoices_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
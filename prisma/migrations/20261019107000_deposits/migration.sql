@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE `bookings` ADD COLUMN `depositAmount` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `balanceAmount` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `balanceDueAt` DATETIME(3) NULL,
+    ADD COLUMN `balanceReminded` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX `bookings_status_balanceDueAt_idx` ON `bookings`(`status`, `balanceDueAt`);
+
+-- AlterTable
+ALTER TABLE `payments` ADD COLUMN `purpose` ENUM('FULL', 'DEPOSIT', 'BALANCE') NOT NULL DEFAULT 'FULL';
+
+-- AlterTable
+ALTER TABLE `notifications` MODIFY `type` ENUM('BOOKING_CREATED', 'BOOKING_PENDING', 'BOOKING_REJECTED', 'BOOKING_CANCELLED', 'BOOKING_SERIES_CREATED', 'BOOKING_SERIES_CANCELLED', 'BOOKING_UPDATED', 'BOOKING_REMINDER', 'BOOKING_COMPLETED', 'BOOKING_NO_SHOW', 'WAITLIST_OFFER', 'BALANCE_DUE', 'WELCOME', 'SYSTEM') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `deposit_rules` (
+    `id` VARCHAR(191) NOT NULL,
+    `resourceId` VARCHAR(191) NULL,
+    `resourceType` VARCHAR(191) NULL,
+    `type` ENUM('FIXED', 'PERCENT') NOT NULL,
+    `value` DECIMAL(10, 2) NOT NULL,
+    `balanceDueDays` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `deposit_rules_resourceId_key`(`resourceId`),
+    UNIQUE INDEX `deposit_rules_resourceType_key`(`resourceType`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `deposit_rules` ADD CONSTRAINT `deposit_rules_resourceId_fkey` FOREIGN KEY (`resourceId`) REFERENCES `resources`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
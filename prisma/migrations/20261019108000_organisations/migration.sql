@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE `organisations` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `quotas` JSON NULL,
+    `consolidatedBilling` BOOLEAN NOT NULL DEFAULT false,
+    `billingName` VARCHAR(191) NULL,
+    `billingEmail` VARCHAR(191) NULL,
+    `billingAddress` TEXT NULL,
+    `taxId` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `organisations_name_key`(`name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `organisationId` VARCHAR(191) NULL,
+    ADD COLUMN `organisationRole` ENUM('MEMBER', 'ADMIN') NOT NULL DEFAULT 'MEMBER';
+
+-- CreateIndex
+CREATE INDEX `users_organisationId_idx` ON `users`(`organisationId`);
+
+-- AlterTable
+ALTER TABLE `invoices` ADD COLUMN `organisationId` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `invoices_organisationId_issuedAt_idx` ON `invoices`(`organisationId`, `issuedAt`);
+
+-- AddForeignKey
+ALTER TABLE `users` ADD CONSTRAINT `users_organisationId_fkey` FOREIGN KEY (`organisationId`) REFERENCES `organisations`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `invoices` ADD CONSTRAINT `invoices_organisationId_fkey` FOREIGN KEY (`organisationId`) REFERENCES `organisations`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `phoneCodeAttempts` INTEGER NOT NULL DEFAULT 0;
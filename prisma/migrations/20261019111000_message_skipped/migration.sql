@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `message_logs` MODIFY `status` ENUM('PENDING', 'SENT', 'FAILED', 'SKIPPED') NOT NULL DEFAULT 'PENDING';
@@ -11,6 +11,7 @@ async function main() {
   await prisma.messageLog.deleteMany();
   await prisma.notification.deleteMany();
   await prisma.resourceBlock.deleteMany();
+  await prisma.invoice.deleteMany();
   await prisma.booking.deleteMany();
   await prisma.resource.deleteMany();
   await prisma.user.deleteMany();
@@ -0,0 +1,258 @@
+/**
+ * Booking concurrency check
+ * Fires parallel createBooking calls at one resource and asserts that no two
+ * stored bookings overlap, both for a free resource (bookings are confirmed at
+ * once) and a priced one (bookings hold the slot as PENDING while awaiting
+ * payment). Each request comes from its own user so per-user quotas don't get
+ * in the way, and any rejection other than a conflict fails the check, since
+ * the overlap guard was then never reached. Payments go to the mock gateway.
+ * Then one user, and the members of one organisation, book different
+ * resources at once under a quota of QUOTA active bookings: exactly QUOTA may
+ * be created, the rest rejected by the quota. The per-user case saves its own
+ * bookingPolicies setting for the duration, so run this against a test database.
+ * Needs a real database (DATABASE_URL); everything it creates is removed afterwards.
+ *
+ * Usage: npm run test:concurrency -- [parallelRequests]
+ */
+const { PrismaClient } = require('@prisma/client');
+const BookingService = require('../src/services/bookingService');
+const BookingPolicyService = require('../src/services/bookingPolicyService');
+const { MockPaymentGateway, setPaymentGateway } = require('../src/services/paymentGateway');
+
+const prisma = new PrismaClient();
+
+const HOUR = 60 * 60 * 1000;
+const parallel = parseInt(process.argv[2]) || 20;
+const QUOTA = 2;
+const POLICY_SETTING = 'bookingPolicies';
+
+/**
+ * Count overlapping pairs of active bookings on a resource
+ */
+async function countOverlaps(resourceId) {
+  const rows = await prisma.$queryRaw`
+    SELECT COUNT(*) AS overlaps
+    FROM bookings a
+    JOIN bookings b
+      ON a.resourceId = b.resourceId
+     AND a.id < b.id
+     AND a.startTime < b.endTime
+     AND b.startTime < a.endTime
+    WHERE a.resourceId = ${resourceId}
+      AND a.status <> 'CANCELLED'
+      AND b.status <> 'CANCELLED'`;
+  return Number(rows[0].overlaps);
+}
+
+/**
+ * Fire all requests at once and report how many bookings were created
+ * Every request is expected to be created as expectedStatus or rejected with
+ * expectedRejection (409 for conflicts, 422 for quotas)
+ */
+async function fire(name, requests, { expectedCreated, expectedStatus, expectedRejection = 409 }) {
+  const results = await Promise.allSettled(
+    requests.map(data => BookingService.createBooking(data, '127.0.0.1'))
+  );
+
+  const created = results.filter(r => r.status === 'fulfilled');
+  const rejected = results.filter(r => r.status === 'rejected');
+  const rejections = {};
+  rejected.forEach(r => {
+    const reason = r.reason.message || String(r.reason);
+    rejections[reason] = (rejections[reason] || 0) + 1;
+  });
+
+  const wrongStatus = created.filter(r => r.value.status !== expectedStatus).length;
+  const otherRejections = rejected.filter(r => r.reason.statusCode !== expectedRejection).length;
+
+  let overlaps = 0;
+  for (const resourceId of new Set(requests.map(r => r.resourceId))) {
+    overlaps += await countOverlaps(resourceId);
+  }
+  const ok = overlaps === 0 &&
+    wrongStatus === 0 &&
+    otherRejections === 0 &&
+    (expectedCreated === undefined || created.length === expectedCreated);
+
+  console.log(
+    `${ok ? 'PASS' : 'FAIL'} ${name}: ${created.length}/${requests.length} created as ${expectedStatus}, ` +
+    `${overlaps} overlapping pair(s)`
+  );
+  Object.entries(rejections).forEach(([reason, count]) => console.log(`     ${count} x ${reason}`));
+  if (wrongStatus > 0) console.log(`     ${wrongStatus} booking(s) not ${expectedStatus}`);
+  if (otherRejections > 0) console.log(`     ${otherRejections} rejection(s) were not ${expectedRejection}s`);
+
+  return ok;
+}
+
+/**
+ * Run both scenarios against one resource
+ */
+async function check(label, resource, users, base, options = {}) {
+  const userFor = i => users[i].id;
+  // A booking of a priced resource must be holding its slot unpaid, not confirmed
+  const expectedStatus = parseFloat(resource.pricePerHour) > 0 ? 'PENDING' : 'CONFIRMED';
+
+  // Everyone wants the same hour: exactly one may win
+  const sameSlot = Array.from({ length: parallel }, (_, i) => ({
+    ...options,
+    resourceId: resource.id,
+    userId: userFor(i),
+    startTime: base,
+    endTime: new Date(base.getTime() + HOUR)
+  }));
+
+  // One-hour bookings starting every 15 minutes: they all overlap their neighbours
+  const staggeredBase = new Date(base.getTime() + 24 * HOUR);
+  const staggered = Array.from({ length: parallel }, (_, i) => ({
+    ...options,
+    resourceId: resource.id,
+    userId: userFor(i),
+    startTime: new Date(staggeredBase.getTime() + i * HOUR / 4),
+    endTime: new Date(staggeredBase.getTime() + i * HOUR / 4 + HOUR)
+  }));
+
+  return [
+    await fire(`${label}: same slot`, sameSlot, { expectedCreated: 1, expectedStatus }),
+    await fire(`${label}: staggered slots`, staggered, { expectedStatus })
+  ];
+}
+
+/**
+ * Book one resource each at once for the given users; quotas allow QUOTA
+ * bookings in all, so the rest must be turned away by the quota
+ */
+async function checkQuota(name, resources, userIds, start) {
+  const requests = resources.map((resource, i) => ({
+    resourceId: resource.id,
+    userId: userIds[i % userIds.length],
+    startTime: start,
+    endTime: new Date(start.getTime() + HOUR)
+  }));
+
+  return fire(name, requests, { expectedCreated: QUOTA, expectedStatus: 'CONFIRMED', expectedRejection: 422 });
+}
+
+/**
+ * Run checkQuota with the bookingPolicies setting limiting every user to
+ * QUOTA active bookings, putting the previous setting back afterwards
+ */
+async function withUserQuota(run) {
+  const previous = await prisma.setting.findUnique({ where: { key: POLICY_SETTING } });
+  const value = JSON.stringify(BookingPolicyService.normalize({ maxActiveBookings: QUOTA }));
+
+  await prisma.setting.upsert({
+    where: { key: POLICY_SETTING },
+    update: { value, type: 'json' },
+    create: { key: POLICY_SETTING, value, type: 'json' }
+  });
+
+  try {
+    return await run();
+  } finally {
+    if (previous) {
+      await prisma.setting.update({ where: { key: POLICY_SETTING }, data: { value: previous.value, type: previous.type } });
+    } else {
+      await prisma.setting.delete({ where: { key: POLICY_SETTING } });
+    }
+  }
+}
+
+async function main() {
+  const stamp = Date.now();
+  const users = [];
+  const resources = [];
+  const spread = [];
+  let organisation = null;
+
+  const createUser = async (label, data = {}) => {
+    const user = await prisma.user.create({
+      data: {
+        email: `concurrency-${stamp}-${label}@bookingpms.test`,
+        password: 'not-a-real-hash',
+        firstName: 'Concurrency',
+        lastName: `Check ${label}`,
+        ...data
+      }
+    });
+    users.push(user);
+    return user;
+  };
+
+  const createResource = async (label, pricePerHour) => prisma.resource.create({
+    data: {
+      name: `Concurrency Check ${label} ${stamp}`,
+      type: 'TEST',
+      pricePerHour
+    }
+  });
+
+  // Never charge a real gateway from here
+  setPaymentGateway(new MockPaymentGateway());
+
+  try {
+    for (let i = 0; i < parallel; i++) {
+      await createUser(i);
+    }
+
+    for (const [label, pricePerHour] of [['free', 0], ['paid', 10]]) {
+      resources.push(await createResource(label, pricePerHour));
+    }
+
+    // One resource per request for the quota checks, so no two requests conflict
+    for (let i = 0; i < parallel; i++) {
+      spread.push(await createResource(`spread ${i}`, 0));
+    }
+
+    organisation = await prisma.organisation.create({
+      data: {
+        name: `Concurrency Check ${stamp}`,
+        quotas: BookingPolicyService.normalize({ maxActiveBookings: QUOTA })
+      }
+    });
+
+    const members = [];
+    for (let i = 0; i < parallel; i++) {
+      members.push(await createUser(`member-${i}`, { organisationId: organisation.id }));
+    }
+    const quotaUser = await createUser('quota');
+
+    const base = new Date(Date.now() + 7 * 24 * HOUR);
+    base.setUTCMinutes(0, 0, 0);
+
+    const results = [
+      ...(await check('free resource', resources[0], users, base)),
+      // 'mock_pending' keeps the payment open, so the winner holds its slot awaiting payment
+      ...(await check('paid resource', resources[1], users, base, { paymentMethod: 'mock_pending' })),
+      await checkQuota('organisation quota', spread, members.map(m => m.id), new Date(base.getTime() + 48 * HOUR)),
+      await withUserQuota(() =>
+        checkQuota('same user quota', spread, [quotaUser.id], new Date(base.getTime() + 72 * HOUR))
+      )
+    ];
+
+    if (results.includes(false)) {
+      process.exitCode = 1;
+    }
+  } finally {
+    const userIds = users.map(u => u.id);
+    await prisma.messageLog.deleteMany({ where: { userId: { in: userIds } } });
+    await prisma.auditLog.deleteMany({ where: { userId: { in: userIds } } });
+    await prisma.invoice.deleteMany({ where: { userId: { in: userIds } } });
+    for (const resource of [...resources, ...spread]) {
+      await prisma.resource.delete({ where: { id: resource.id } });
+    }
+    await prisma.user.deleteMany({ where: { id: { in: userIds } } });
+    if (organisation) {
+      await prisma.organisation.delete({ where: { id: organisation.id } });
+    }
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error('Concurrency check failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
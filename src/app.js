@@ -5,6 +5,7 @@ const rateLimit = require('express-rate-limit');
 const config = require('./config');
 const routes = require('./routes');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const workers = require('./workers');
 
 const app = express();
 
@@ -53,8 +54,13 @@ const limiter = rateLimit({
 });
 app.use('/api', limiter);
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing (payment webhooks verify signatures against the raw body)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Trust proxy (for getting correct IP behind reverse proxy)
@@ -120,6 +126,11 @@ app.listen(PORT, () => {
 ║                                                            ║
 ╚════════════════════════════════════════════════════════════╝
   `);
+
+  // Run background workers from this process (otherwise run `npm run worker`)
+  if (config.workers.runInProcess) {
+    workers.startAll();
+  }
 });
 
 module.exports = app;
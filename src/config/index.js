@@ -1,6 +1,6 @@
 require('dotenv').config();
 
-module.exports = {
+const config = {
   port: process.env.PORT || 5000,
   nodeEnv: process.env.NODE_ENV || 'development',
 
@@ -26,16 +26,158 @@ module.exports = {
     max: 1000 // limit each IP to 1000 requests per minute
   },
 
+  locale: {
+    // Used for users without a locale preference and when a template is missing
+    default: process.env.DEFAULT_LOCALE || 'en',
+    // Time zone used to format dates in messages
+    timezone: process.env.APP_TIMEZONE || 'UTC'
+  },
+
   email: {
+    // 'smtp' delivers through SMTP_HOST; 'outbox' writes messages to disk (dev/tests)
+    transport: process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox'),
     host: process.env.SMTP_HOST,
     port: process.env.SMTP_PORT,
+    secure: process.env.SMTP_SECURE === 'true',
     user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS
+    pass: process.env.SMTP_PASS,
+    from: process.env.EMAIL_FROM || 'BookingPMS <no-reply@bookingpms.com>',
+    outboxDir: process.env.EMAIL_OUTBOX_DIR || 'outbox'
+  },
+
+  messageQueue: {
+    pollIntervalMs: parseInt(process.env.MESSAGE_WORKER_INTERVAL_MS) || 10000,
+    batchSize: parseInt(process.env.MESSAGE_WORKER_BATCH_SIZE) || 20,
+    maxAttempts: parseInt(process.env.MESSAGE_MAX_ATTEMPTS) || 5,
+    backoffBaseMs: parseInt(process.env.MESSAGE_BACKOFF_BASE_MS) || 60 * 1000, // 1 minute
+    backoffMaxMs: parseInt(process.env.MESSAGE_BACKOFF_MAX_MS) || 60 * 60 * 1000, // 1 hour
+    leaseMs: 5 * 60 * 1000 // claimed messages are skipped by other workers for 5 minutes
+  },
+
+  reminders: {
+    // Minutes before startTime at which reminders are sent (default: 24h and 1h)
+    offsetsMinutes: (process.env.REMINDER_OFFSETS_MINUTES || '1440,60')
+      .split(',')
+      .map(v => parseInt(v.trim()))
+      .filter(v => v > 0),
+    intervalMs: parseInt(process.env.REMINDER_INTERVAL_MS) || 60 * 1000
+  },
+
+  bookings: {
+    // CONFIRMED bookings become COMPLETED this long after they end
+    completionGraceMinutes: parseInt(process.env.BOOKING_COMPLETION_GRACE_MINUTES) || 60,
+    completionIntervalMs: parseInt(process.env.BOOKING_COMPLETION_INTERVAL_MS) || 5 * 60 * 1000,
+    // How long a PENDING booking on a requires-approval resource holds its slot
+    approvalHoldMinutes: parseInt(process.env.BOOKING_APPROVAL_HOLD_MINUTES) || 24 * 60,
+    holdExpiryIntervalMs: parseInt(process.env.BOOKING_HOLD_EXPIRY_INTERVAL_MS) || 60 * 1000,
+    // Upper bound on occurrences generated for one recurring booking
+    maxSeriesOccurrences: parseInt(process.env.BOOKING_MAX_SERIES_OCCURRENCES) || 100
+  },
+
+  bookingRules: {
+    // Defaults for resources with no rule of their own or for their type; unset means no limit
+    minDurationMinutes: parseInt(process.env.BOOKING_MIN_DURATION_MINUTES) || null,
+    maxDurationMinutes: parseInt(process.env.BOOKING_MAX_DURATION_MINUTES) || null,
+    slotMinutes: parseInt(process.env.BOOKING_SLOT_MINUTES) || null,
+    leadTimeMinutes: parseInt(process.env.BOOKING_LEAD_TIME_MINUTES) || 0,
+    maxAdvanceDays: parseInt(process.env.BOOKING_MAX_ADVANCE_DAYS) || null
+  },
+
+  bookingPolicies: {
+    // Fair-use defaults until an admin saves the bookingPolicies setting; unset means no limit
+    maxActiveBookings: parseInt(process.env.BOOKING_MAX_ACTIVE) || null,
+    maxConcurrentBookings: parseInt(process.env.BOOKING_MAX_CONCURRENT) || null
+  },
+
+  pricing: {
+    // Currency of new resources, and of plain revenue figures in analytics
+    defaultCurrency: (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase(),
+    // Used when neither the resource's nor its type's pricing rule sets them
+    serviceFeePercent: parseFloat(process.env.SERVICE_FEE_PERCENT) || 0,
+    serviceFeeAmount: parseFloat(process.env.SERVICE_FEE_AMOUNT) || 0,
+    taxPercent: parseFloat(process.env.TAX_PERCENT) || 0,
+    // Hours, days and nights starting on these days get a rule's weekendMultiplier
+    weekendDays: (process.env.PRICING_WEEKEND_DAYS || 'sat,sun')
+      .split(',')
+      .map(v => v.trim().toLowerCase())
+      .filter(Boolean)
+  },
+
+  cancellations: {
+    // Used when neither the resource nor its type has a cancellation policy:
+    // a full refund up to this many hours before the start, nothing after
+    freeCancellationHours: process.env.CANCELLATION_FREE_HOURS !== undefined
+      ? parseFloat(process.env.CANCELLATION_FREE_HOURS)
+      : 24
+  },
+
+  payments: {
+    // 'mock' settles payments locally (dev/tests; refused in production); see
+    // services/paymentGateway.js. This and webhookSecret must be set explicitly
+    // in production when payments are required
+    gateway: process.env.PAYMENT_GATEWAY || 'mock',
+    // Bookings with a price stay PENDING until paid; set to 'false' to confirm them unpaid
+    required: process.env.PAYMENTS_REQUIRED !== 'false',
+    // How long an unpaid booking holds its slot
+    holdMinutes: parseInt(process.env.PAYMENT_HOLD_MINUTES) || 30,
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'fallback-webhook-secret-change-in-production',
+    // Webhooks signed longer ago than this are rejected as replays
+    webhookToleranceSeconds: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300
+  },
+
+  deposits: {
+    // The balance-due reminder is sent this many days before the balance deadline
+    reminderDays: parseInt(process.env.DEPOSIT_REMINDER_DAYS) || 3,
+    // How often reminders are sent and bookings with an overdue balance cancelled
+    intervalMs: parseInt(process.env.DEPOSIT_BALANCE_INTERVAL_MS) || 5 * 60 * 1000
+  },
+
+  invoices: {
+    // Numbers look like <prefix>-<year>-000001
+    prefix: process.env.INVOICE_PREFIX || 'INV',
+    // Seller details printed at the top of every invoice
+    issuerName: process.env.INVOICE_ISSUER_NAME || 'BookingPMS',
+    issuerAddress: process.env.INVOICE_ISSUER_ADDRESS || '',
+    issuerTaxId: process.env.INVOICE_ISSUER_TAX_ID || '',
+    // Attach the invoice PDF to booking confirmation emails
+    attachToConfirmation: process.env.INVOICE_ATTACH_TO_CONFIRMATION !== 'false'
+  },
+
+  slots: {
+    // Free-slot finder: default slot length, start-time granularity and longest range
+    defaultDurationMinutes: parseInt(process.env.SLOT_DEFAULT_DURATION_MINUTES) || 60,
+    stepMinutes: parseInt(process.env.SLOT_STEP_MINUTES) || 30,
+    maxRangeDays: parseInt(process.env.SLOT_MAX_RANGE_DAYS) || 31
+  },
+
+  waitlist: {
+    // How long a waitlisted user has to claim a freed slot before it passes to the next
+    offerMinutes: parseInt(process.env.WAITLIST_OFFER_MINUTES) || 30,
+    offerExpiryIntervalMs: parseInt(process.env.WAITLIST_OFFER_EXPIRY_INTERVAL_MS) || 60 * 1000,
+    // Claim links point here, followed by the offer token
+    claimUrl: process.env.WAITLIST_CLAIM_URL ||
+      `${(process.env.FRONTEND_URL || 'http://localhost:5173').split(',')[0].trim().replace(/\/$/, '')}/waitlist/claim`
+  },
+
+  workers: {
+    // Run background workers inside the API process instead of `npm run worker`;
+    // MESSAGE_WORKER_IN_PROCESS is the setting's old name and still honoured
+    runInProcess: (process.env.WORKERS_IN_PROCESS || process.env.MESSAGE_WORKER_IN_PROCESS) === 'true'
   },
 
   sms: {
+    // 'twilio', 'fake' (kept in memory, for dev/tests; refused in production) or
+    // 'none' (SMS disabled: messages are marked SKIPPED). Without SMS_API_KEY
+    // this defaults to 'fake', or 'none' in production
+    provider: process.env.SMS_PROVIDER ||
+      (process.env.SMS_API_KEY ? 'twilio' : (process.env.NODE_ENV === 'production' ? 'none' : 'fake')),
     apiKey: process.env.SMS_API_KEY,
-    provider: process.env.SMS_PROVIDER
+    accountSid: process.env.SMS_ACCOUNT_SID,
+    from: process.env.SMS_FROM,
+    verificationTtlMinutes: 10,
+    // Wrong codes allowed before a code is invalidated, and the wait before another can be sent
+    verificationMaxAttempts: 5,
+    verificationResendSeconds: 60
   },
 
   // Cloudbeds API Configuration
@@ -49,3 +191,24 @@ module.exports = {
     apiBaseUrl: process.env.CLOUDBEDS_API_BASE_URL || 'https://api.cloudbeds.com/api/v1.1'
   }
 };
+
+// Settings whose development fallbacks must never be used in production
+if (config.nodeEnv === 'production') {
+  if (config.payments.required) {
+    const missing = ['PAYMENT_GATEWAY', 'PAYMENT_WEBHOOK_SECRET'].filter(name => !process.env[name]);
+
+    if (missing.length > 0) {
+      throw new Error(`Missing required settings for production: ${missing.join(', ')}`);
+    }
+  }
+
+  if (process.env.PAYMENT_GATEWAY === 'mock') {
+    throw new Error('The mock payment gateway cannot be used in production; set PAYMENT_GATEWAY to a real gateway');
+  }
+
+  if (config.sms.provider === 'fake') {
+    throw new Error('The fake SMS provider cannot be used in production; set SMS_PROVIDER and its credentials');
+  }
+}
+
+module.exports = config;
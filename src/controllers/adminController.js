@@ -1,7 +1,8 @@
 const AnalyticsService = require('../services/analyticsService');
+const MessageService = require('../services/messageService');
 const { AuditService } = require('../services/auditService');
 const { success } = require('../utils/response');
-const { parsePagination } = require('../utils/helpers');
+const { getClientIP, parsePagination } = require('../utils/helpers');
 
 /**
  * Admin Controller
@@ -78,6 +79,20 @@ class AdminController {
     }
   }
 
+  /**
+   * Get promo code usage report
+   * GET /api/admin/analytics/promo-codes
+   */
+  static async getPromoCodeUsage(req, res, next) {
+    try {
+      const { startDate, endDate } = req.query;
+      const report = await AnalyticsService.getPromoCodeUsage({ startDate, endDate });
+      return success(res, report);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get recent activity
    * GET /api/admin/analytics/recent-activity
@@ -148,6 +163,76 @@ class AdminController {
       next(error);
     }
   }
+
+  // =====================
+  // Message Logs
+  // =====================
+
+  /**
+   * Get message logs
+   * GET /api/admin/messages
+   */
+  static async getMessages(req, res, next) {
+    try {
+      const { page, limit } = parsePagination(req.query);
+      const { type, status, userId, search, startDate, endDate } = req.query;
+
+      const result = await MessageService.getLogs({
+        page,
+        limit,
+        type,
+        status,
+        userId,
+        search,
+        startDate,
+        endDate
+      });
+
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get message counts by status
+   * GET /api/admin/messages/stats
+   */
+  static async getMessageStats(req, res, next) {
+    try {
+      const stats = await MessageService.getStats();
+      return success(res, stats);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get message with full content
+   * GET /api/admin/messages/:id
+   */
+  static async getMessageById(req, res, next) {
+    try {
+      const message = await MessageService.getById(req.params.id);
+      return success(res, message);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Re-queue a failed message
+   * POST /api/admin/messages/:id/resend
+   */
+  static async resendMessage(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const message = await MessageService.resend(req.params.id, req.user.id, ipAddress);
+      return success(res, message, 'Message queued for resend');
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = { AdminController };
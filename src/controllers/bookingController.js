@@ -1,5 +1,8 @@
 const { body, query, param } = require('express-validator');
 const BookingService = require('../services/bookingService');
+const BookingSeriesService = require('../services/bookingSeriesService');
+const BookingPolicyService = require('../services/bookingPolicyService');
+const PricingService = require('../services/pricingService');
 const { success, created } = require('../utils/response');
 const { getClientIP, parsePagination } = require('../utils/helpers');
 
@@ -10,7 +13,50 @@ const createBookingValidation = [
   body('resourceId').isUUID().withMessage('Valid resource ID is required'),
   body('startTime').isISO8601().withMessage('Valid start time is required'),
   body('endTime').isISO8601().withMessage('Valid end time is required'),
-  body('notes').optional().trim().isLength({ max: 500 })
+  body('notes').optional().trim().isLength({ max: 500 }),
+  body('promoCode').optional().trim().notEmpty().isLength({ max: 50 }),
+  body('paymentMethod').optional().trim().notEmpty().isLength({ max: 191 }),
+  body('recurrence').optional().isObject().withMessage('Recurrence must be an object'),
+  body('recurrence.frequency')
+    .if(body('recurrence').exists())
+    .isIn(['DAILY', 'WEEKLY', 'MONTHLY'])
+    .withMessage('Frequency must be DAILY, WEEKLY or MONTHLY'),
+  body('recurrence.interval').optional().isInt({ min: 1, max: 52 }).toInt(),
+  body('recurrence.until').optional().isISO8601().withMessage('Valid recurrence end date is required'),
+  body('recurrence.count').optional().isInt({ min: 1 }).toInt(),
+  body('skipConflicts').optional().isBoolean().toBoolean()
+];
+
+const updateBookingValidation = [
+  body('resourceId').optional().isUUID().withMessage('Valid resource ID is required'),
+  body('startTime').optional().isISO8601().withMessage('Valid start time is required'),
+  body('endTime').optional().isISO8601().withMessage('Valid end time is required'),
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 500 })
+];
+
+const quoteBookingValidation = [
+  body('resourceId').isUUID().withMessage('Valid resource ID is required'),
+  body('startTime').isISO8601().withMessage('Valid start time is required'),
+  body('endTime').isISO8601().withMessage('Valid end time is required'),
+  body('promoCode').optional().trim().notEmpty().isLength({ max: 50 })
+];
+
+const listBookingsValidation = [
+  query('scope').optional().isIn(['own', 'organisation']).withMessage('Scope must be own or organisation'),
+  query('memberId').optional().isUUID().withMessage('Valid member ID is required')
+];
+
+const cancelBookingValidation = [
+  body('scope').optional().isIn(['this', 'following', 'all']).withMessage('Scope must be this, following or all'),
+  body('refundPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Refund percent must be between 0 and 100').toFloat()
+];
+
+const cancelPreviewValidation = [
+  query('refundPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Refund percent must be between 0 and 100').toFloat()
+];
+
+const rejectBookingValidation = [
+  body('reason').optional().trim().isLength({ max: 500 })
 ];
 
 /**
@@ -23,16 +69,39 @@ class BookingController {
    */
   static async create(req, res, next) {
     try {
-      const { resourceId, startTime, endTime, notes } = req.body;
+      const { resourceId, startTime, endTime, notes, promoCode, paymentMethod, recurrence, skipConflicts } = req.body;
       const ipAddress = getClientIP(req);
 
+      if (recurrence) {
+        if (promoCode) {
+          throw { statusCode: 400, message: 'Promo codes cannot be used on recurring bookings' };
+        }
+
+        const result = await BookingSeriesService.createSeries(
+          {
+            userId: req.user.id,
+            resourceId,
+            startTime,
+            endTime,
+            notes,
+            recurrence,
+            skipConflicts
+          },
+          ipAddress
+        );
+
+        return created(res, result, 'Recurring booking created successfully');
+      }
+
       const booking = await BookingService.createBooking(
         {
           userId: req.user.id,
           resourceId,
           startTime,
           endTime,
-          notes
+          notes,
+          promoCode,
+          paymentMethod
         },
         ipAddress
       );
@@ -44,19 +113,21 @@ class BookingController {
   }
 
   /**
-   * Get user's bookings
+   * Get user's bookings, or with scope=organisation their members' (organisation admins)
    * GET /api/bookings
    */
   static async getUserBookings(req, res, next) {
     try {
       const { page, limit } = parsePagination(req.query);
-      const { status, upcoming } = req.query;
+      const { status, upcoming, scope, memberId } = req.query;
 
       const result = await BookingService.getUserBookings(req.user.id, {
         page,
         limit,
         status,
-        upcoming: upcoming === 'true'
+        upcoming: upcoming === 'true',
+        scope,
+        memberId
       });
 
       return success(res, result);
@@ -83,6 +154,30 @@ class BookingController {
     }
   }
 
+  /**
+   * Update booking (reschedule, change resource or notes)
+   * PUT /api/bookings/:id
+   */
+  static async update(req, res, next) {
+    try {
+      const { resourceId, startTime, endTime, notes } = req.body;
+      const ipAddress = getClientIP(req);
+      const isAdmin = req.user.role === 'ADMIN';
+
+      const booking = await BookingService.updateBooking(
+        req.params.id,
+        req.user.id,
+        isAdmin,
+        { resourceId, startTime, endTime, notes },
+        ipAddress
+      );
+
+      return success(res, booking, 'Booking updated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Cancel booking
    * PUT /api/bookings/:id/cancel
@@ -91,12 +186,27 @@ class BookingController {
     try {
       const ipAddress = getClientIP(req);
       const isAdmin = req.user.role === 'ADMIN';
+      const scope = (req.body && req.body.scope) || 'this';
+
+      if (scope !== 'this') {
+        const result = await BookingSeriesService.cancelOccurrences(
+          req.params.id,
+          scope,
+          req.user.id,
+          isAdmin,
+          ipAddress,
+          { refundPercent: req.body.refundPercent }
+        );
+
+        return success(res, result, `${result.cancelled} booking(s) cancelled successfully`);
+      }
 
       const booking = await BookingService.cancelBooking(
         req.params.id,
         req.user.id,
         isAdmin,
-        ipAddress
+        ipAddress,
+        { refundPercent: req.body.refundPercent }
       );
 
       return success(res, booking, 'Booking cancelled successfully');
@@ -106,17 +216,135 @@ class BookingController {
   }
 
   /**
-   * Get calendar bookings (public)
+   * Show what cancelling a booking now would refund
+   * GET /api/bookings/:id/cancel-preview
+   */
+  static async cancelPreview(req, res, next) {
+    try {
+      const isAdmin = req.user.role === 'ADMIN';
+      const preview = await BookingService.previewCancellation(req.params.id, req.user.id, isAdmin, {
+        refundPercent: req.query.refundPercent
+      });
+      return success(res, preview);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a recurring booking series with its occurrences
+   * GET /api/bookings/series/:id
+   */
+  static async getSeries(req, res, next) {
+    try {
+      const isAdmin = req.user.role === 'ADMIN';
+      const series = await BookingSeriesService.getSeriesById(req.params.id, req.user.id, isAdmin);
+      return success(res, series);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get an itemised price for a booking without creating it
+   * POST /api/bookings/quote
+   */
+  static async quote(req, res, next) {
+    try {
+      const quote = await PricingService.quoteBooking({
+        ...req.body,
+        userId: req.user ? req.user.id : null
+      });
+      return success(res, quote);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the current user's booking quota and what is left of it
+   * GET /api/bookings/quota
+   */
+  static async getQuota(req, res, next) {
+    try {
+      const quota = await BookingPolicyService.getQuota(req.user.id);
+      return success(res, quota);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark booking as no-show (admin only)
+   * PUT /api/admin/bookings/:id/no-show
+   */
+  static async markNoShow(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const booking = await BookingService.markNoShow(req.params.id, req.user.id, ipAddress);
+      return success(res, booking, 'Booking marked as no-show');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get bookings awaiting approval (admin only)
+   * GET /api/admin/bookings/pending
+   */
+  static async getApprovalQueue(req, res, next) {
+    try {
+      const { page, limit } = parsePagination(req.query);
+      const { resourceId } = req.query;
+
+      const result = await BookingService.getApprovalQueue({ page, limit, resourceId });
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Approve pending booking (admin only)
+   * PUT /api/admin/bookings/:id/approve
+   */
+  static async approve(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const booking = await BookingService.approveBooking(req.params.id, req.user.id, ipAddress);
+      return success(res, booking, 'Booking approved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reject pending booking (admin only)
+   * PUT /api/admin/bookings/:id/reject
+   */
+  static async reject(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const booking = await BookingService.rejectBooking(req.params.id, req.user.id, req.body.reason, ipAddress);
+      return success(res, booking, 'Booking rejected');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get calendar bookings (public); ?includeBuffers=true adds buffer blocks
    * GET /api/bookings/calendar
    */
   static async getCalendarBookings(req, res, next) {
     try {
-      const { resourceId, startDate, endDate } = req.query;
+      const { resourceId, startDate, endDate, includeBuffers } = req.query;
 
       const bookings = await BookingService.getCalendarBookings(
         resourceId,
         startDate,
-        endDate
+        endDate,
+        includeBuffers === 'true'
       );
 
       return success(res, bookings);
@@ -132,7 +360,7 @@ class BookingController {
   static async getAllBookings(req, res, next) {
     try {
       const { page, limit } = parsePagination(req.query);
-      const { status, resourceId, userId, startDate, endDate } = req.query;
+      const { status, resourceId, userId, organisationId, startDate, endDate } = req.query;
 
       const result = await BookingService.getAllBookings({
         page,
@@ -140,6 +368,7 @@ class BookingController {
         status,
         resourceId,
         userId,
+        organisationId,
         startDate,
         endDate
       });
@@ -153,5 +382,11 @@ class BookingController {
 
 module.exports = {
   BookingController,
-  createBookingValidation
+  createBookingValidation,
+  updateBookingValidation,
+  quoteBookingValidation,
+  listBookingsValidation,
+  cancelBookingValidation,
+  cancelPreviewValidation,
+  rejectBookingValidation
 };
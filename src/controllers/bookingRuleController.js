@@ -0,0 +1,182 @@
+const { body } = require('express-validator');
+const BookingRuleService = require('../services/bookingRuleService');
+const BookingPolicyService = require('../services/bookingPolicyService');
+const { success, created } = require('../utils/response');
+const { getClientIP, parsePagination } = require('../utils/helpers');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validation rules
+ */
+const upsertRuleValidation = [
+  body('openingHours').optional({ nullable: true }).isObject().withMessage('Opening hours must be an object'),
+  body('minDurationMinutes').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('maxDurationMinutes').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('slotMinutes').optional({ nullable: true }).isInt({ min: 1, max: 24 * 60 }).toInt(),
+  body('leadTimeMinutes').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+  body('maxAdvanceDays').optional({ nullable: true }).isInt({ min: 1 }).toInt()
+];
+
+const createClosureValidation = [
+  body('resourceId').optional().isUUID().withMessage('Valid resource ID is required'),
+  body('resourceType').optional().trim().notEmpty(),
+  body('startDate').matches(DATE_ONLY).withMessage('Start date must be YYYY-MM-DD'),
+  body('endDate').optional().matches(DATE_ONLY).withMessage('End date must be YYYY-MM-DD'),
+  body('reason').optional().trim().isLength({ max: 191 })
+];
+
+const updatePoliciesValidation = [
+  body('maxActiveBookings').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('maxConcurrentBookings').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('maxHoursPerWeek').optional().isObject().withMessage('Hours per week must be an object keyed by resource type'),
+  body('maxHoursPerWeek.*').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Hours per week must be a positive number')
+];
+
+/**
+ * Booking Rule Controller (Admin only)
+ */
+class BookingRuleController {
+  /**
+   * Get all booking rules
+   * GET /api/admin/booking-rules
+   */
+  static async getAll(req, res, next) {
+    try {
+      const rules = await BookingRuleService.getRules();
+      return success(res, rules);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set the rule for one resource
+   * PUT /api/admin/booking-rules/resource/:resourceId
+   */
+  static async upsertForResource(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const rule = await BookingRuleService.upsertRule(
+        { resourceId: req.params.resourceId },
+        req.body,
+        req.user.id,
+        ipAddress
+      );
+      return success(res, rule, 'Booking rule saved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set the default rule for a resource type
+   * PUT /api/admin/booking-rules/type/:type
+   */
+  static async upsertForType(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const rule = await BookingRuleService.upsertRule(
+        { resourceType: req.params.type },
+        req.body,
+        req.user.id,
+        ipAddress
+      );
+      return success(res, rule, 'Booking rule saved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a booking rule
+   * DELETE /api/admin/booking-rules/:id
+   */
+  static async delete(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const result = await BookingRuleService.deleteRule(req.params.id, req.user.id, ipAddress);
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get closures
+   * GET /api/admin/closures
+   */
+  static async getClosures(req, res, next) {
+    try {
+      const { page, limit } = parsePagination(req.query);
+      const { resourceId, from } = req.query;
+
+      const result = await BookingRuleService.getAllClosures({ page, limit, resourceId, from });
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a closure
+   * POST /api/admin/closures
+   */
+  static async createClosure(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const closure = await BookingRuleService.createClosure(req.body, req.user.id, ipAddress);
+      return created(res, closure, 'Closure created successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a closure
+   * DELETE /api/admin/closures/:id
+   */
+  static async deleteClosure(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const result = await BookingRuleService.deleteClosure(req.params.id, req.user.id, ipAddress);
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the per-user booking policies
+   * GET /api/admin/booking-policies
+   */
+  static async getPolicies(req, res, next) {
+    try {
+      const policies = await BookingPolicyService.getPolicies();
+      return success(res, policies);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update the per-user booking policies
+   * PUT /api/admin/booking-policies
+   */
+  static async updatePolicies(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const policies = await BookingPolicyService.updatePolicies(req.body, req.user.id, ipAddress);
+      return success(res, policies, 'Booking policies saved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  BookingRuleController,
+  upsertRuleValidation,
+  createClosureValidation,
+  updatePoliciesValidation
+};
@@ -0,0 +1,87 @@
+const { body } = require('express-validator');
+const CancellationPolicyService = require('../services/cancellationPolicyService');
+const { success } = require('../utils/response');
+const { getClientIP } = require('../utils/helpers');
+
+/**
+ * Validation rules
+ */
+const upsertCancellationPolicyValidation = [
+  body('nonRefundable').optional().isBoolean().toBoolean(),
+  body('refundTiers').optional({ nullable: true }).isArray().withMessage('Refund tiers must be a list')
+];
+
+/**
+ * Cancellation Policy Controller (Admin only)
+ */
+class CancellationPolicyController {
+  /**
+   * Get all cancellation policies
+   * GET /api/admin/cancellation-policies
+   */
+  static async getAll(req, res, next) {
+    try {
+      const policies = await CancellationPolicyService.getPolicies();
+      return success(res, policies);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set the cancellation policy for one resource
+   * PUT /api/admin/cancellation-policies/resource/:resourceId
+   */
+  static async upsertForResource(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const policy = await CancellationPolicyService.upsertPolicy(
+        { resourceId: req.params.resourceId },
+        req.body,
+        req.user.id,
+        ipAddress
+      );
+      return success(res, policy, 'Cancellation policy saved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set the default cancellation policy for a resource type
+   * PUT /api/admin/cancellation-policies/type/:type
+   */
+  static async upsertForType(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const policy = await CancellationPolicyService.upsertPolicy(
+        { resourceType: req.params.type },
+        req.body,
+        req.user.id,
+        ipAddress
+      );
+      return success(res, policy, 'Cancellation policy saved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a cancellation policy
+   * DELETE /api/admin/cancellation-policies/:id
+   */
+  static async delete(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const result = await CancellationPolicyService.deletePolicy(req.params.id, req.user.id, ipAddress);
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  CancellationPolicyController,
+  upsertCancellationPolicyValidation
+};
@@ -0,0 +1,88 @@
+const { body } = require('express-validator');
+const DepositService = require('../services/depositService');
+const { success } = require('../utils/response');
+const { getClientIP } = require('../utils/helpers');
+
+/**
+ * Validation rules
+ */
+const upsertDepositRuleValidation = [
+  body('type').isIn(['FIXED', 'PERCENT']).withMessage('Type must be FIXED or PERCENT'),
+  body('value').isFloat({ gt: 0 }).withMessage('Value must be greater than 0').toFloat(),
+  body('balanceDueDays').isInt({ min: 1, max: 365 }).withMessage('balanceDueDays must be 1-365').toInt()
+];
+
+/**
+ * Deposit Rule Controller (Admin only)
+ */
+class DepositRuleController {
+  /**
+   * Get all deposit rules
+   * GET /api/admin/deposit-rules
+   */
+  static async getAll(req, res, next) {
+    try {
+      const rules = await DepositService.getRules();
+      return success(res, rules);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set the deposit rule for one resource
+   * PUT /api/admin/deposit-rules/resource/:resourceId
+   */
+  static async upsertForResource(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const rule = await DepositService.upsertRule(
+        { resourceId: req.params.resourceId },
+        req.body,
+        req.user.id,
+        ipAddress
+      );
+      return success(res, rule, 'Deposit rule saved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set the default deposit rule for a resource type
+   * PUT /api/admin/deposit-rules/type/:type
+   */
+  static async upsertForType(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const rule = await DepositService.upsertRule(
+        { resourceType: req.params.type },
+        req.body,
+        req.user.id,
+        ipAddress
+      );
+      return success(res, rule, 'Deposit rule saved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a deposit rule
+   * DELETE /api/admin/deposit-rules/:id
+   */
+  static async delete(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const result = await DepositService.deleteRule(req.params.id, req.user.id, ipAddress);
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  DepositRuleController,
+  upsertDepositRuleValidation
+};
@@ -0,0 +1,62 @@
+const { query } = require('express-validator');
+const InvoiceService = require('../services/invoiceService');
+const { success } = require('../utils/response');
+const { getClientIP, parsePagination } = require('../utils/helpers');
+
+/**
+ * Validation rules
+ */
+const listInvoicesValidation = [
+  query('startDate').optional().isISO8601().withMessage('startDate must be a date'),
+  query('endDate').optional().isISO8601().withMessage('endDate must be a date')
+];
+
+/**
+ * Invoice Controller
+ */
+class InvoiceController {
+  /**
+   * Download the invoice of a booking as PDF, issuing it on first request
+   * GET /api/bookings/:id/invoice
+   */
+  static async download(req, res, next) {
+    try {
+      const isAdmin = req.user.role === 'ADMIN';
+      const { filename, content, contentType } = await InvoiceService.getPdfForBooking(
+        req.params.id,
+        req.user.id,
+        isAdmin,
+        getClientIP(req)
+      );
+
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': content.length
+      });
+      return res.send(content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all invoices, filtered by issue date (admin only)
+   * GET /api/admin/invoices
+   */
+  static async getAll(req, res, next) {
+    try {
+      const { page, limit } = parsePagination(req.query);
+      const { startDate, endDate, userId, organisationId } = req.query;
+      const result = await InvoiceService.getAll({ page, limit, startDate, endDate, userId, organisationId });
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  InvoiceController,
+  listInvoicesValidation
+};
@@ -0,0 +1,191 @@
+const { body, query } = require('express-validator');
+const OrganisationService = require('../services/organisationService');
+const { success, created } = require('../utils/response');
+const { getClientIP, parsePagination } = require('../utils/helpers');
+
+/**
+ * Validation rules
+ */
+const organisationFields = [
+  body('quotas').optional({ nullable: true }).isObject().withMessage('Quotas must be an object'),
+  body('quotas.maxActiveBookings').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('quotas.maxConcurrentBookings').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('quotas.maxHoursPerWeek').optional().isObject().withMessage('Hours per week must be an object keyed by resource type'),
+  body('quotas.maxHoursPerWeek.*').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Hours per week must be a positive number'),
+  body('consolidatedBilling').optional().isBoolean().toBoolean(),
+  body('billingName').optional({ nullable: true }).trim().isLength({ max: 191 }),
+  body('billingEmail').optional({ nullable: true, checkFalsy: true }).trim().isEmail().withMessage('Billing email must be valid'),
+  body('billingAddress').optional({ nullable: true }).trim().isLength({ max: 1000 }),
+  body('taxId').optional({ nullable: true }).trim().isLength({ max: 50 })
+];
+
+const createOrganisationValidation = [
+  body('name').trim().notEmpty().isLength({ max: 191 }).withMessage('Name is required'),
+  ...organisationFields
+];
+
+const updateOrganisationValidation = [
+  body('name').optional().trim().notEmpty().isLength({ max: 191 }).withMessage('Name cannot be empty'),
+  ...organisationFields
+];
+
+const setMemberValidation = [
+  body('role').optional().isIn(['MEMBER', 'ADMIN']).withMessage('Role must be MEMBER or ADMIN')
+];
+
+const billingStatementValidation = [
+  query('startDate').optional().isISO8601().withMessage('startDate must be a date'),
+  query('endDate').optional().isISO8601().withMessage('endDate must be a date')
+];
+
+/**
+ * Organisation Controller
+ */
+class OrganisationController {
+  /**
+   * Get the organisation of the current user
+   * GET /api/organisations/mine
+   */
+  static async getMine(req, res, next) {
+    try {
+      const organisation = await OrganisationService.getMine(req.user.id);
+      return success(res, organisation);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get an organisation with its members (its admins, or admin)
+   * GET /api/organisations/:id
+   * GET /api/admin/organisations/:id
+   */
+  static async getById(req, res, next) {
+    try {
+      const isAdmin = req.user.role === 'ADMIN';
+      const organisation = await OrganisationService.getById(req.params.id, req.user.id, isAdmin);
+      return success(res, organisation);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Consolidated billing statement for a period (its admins, or admin)
+   * GET /api/organisations/:id/billing
+   */
+  static async getBillingStatement(req, res, next) {
+    try {
+      const isAdmin = req.user.role === 'ADMIN';
+      const { page, limit } = parsePagination(req.query);
+      const { startDate, endDate } = req.query;
+      const result = await OrganisationService.getBillingStatement(req.params.id, req.user.id, isAdmin, {
+        page,
+        limit,
+        startDate,
+        endDate
+      });
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all organisations (admin only)
+   * GET /api/admin/organisations
+   */
+  static async getAll(req, res, next) {
+    try {
+      const { page, limit } = parsePagination(req.query);
+      const result = await OrganisationService.getAll({ page, limit, search: req.query.search });
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create an organisation (admin only)
+   * POST /api/admin/organisations
+   */
+  static async create(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const organisation = await OrganisationService.create(req.body, req.user.id, ipAddress);
+      return created(res, organisation, 'Organisation created successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update an organisation (admin only)
+   * PUT /api/admin/organisations/:id
+   */
+  static async update(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const organisation = await OrganisationService.update(req.params.id, req.body, req.user.id, ipAddress);
+      return success(res, organisation, 'Organisation updated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete an organisation (admin only)
+   * DELETE /api/admin/organisations/:id
+   */
+  static async delete(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const result = await OrganisationService.delete(req.params.id, req.user.id, ipAddress);
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a user to an organisation or change their role (admin only)
+   * PUT /api/admin/organisations/:id/members/:userId
+   */
+  static async setMember(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const member = await OrganisationService.setMember(
+        req.params.id,
+        req.params.userId,
+        req.body.role || 'MEMBER',
+        req.user.id,
+        ipAddress
+      );
+      return success(res, member, 'Member updated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a user from an organisation (admin only)
+   * DELETE /api/admin/organisations/:id/members/:userId
+   */
+  static async removeMember(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const result = await OrganisationService.removeMember(req.params.id, req.params.userId, req.user.id, ipAddress);
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  OrganisationController,
+  createOrganisationValidation,
+  updateOrganisationValidation,
+  setMemberValidation,
+  billingStatementValidation
+};
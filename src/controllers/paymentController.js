@@ -0,0 +1,103 @@
+const { body } = require('express-validator');
+const PaymentService = require('../services/paymentService');
+const { success, created } = require('../utils/response');
+const { getClientIP, parsePagination } = require('../utils/helpers');
+
+/**
+ * Validation rules
+ */
+const payBookingValidation = [
+  body('paymentMethod').optional().trim().notEmpty().isLength({ max: 191 })
+];
+
+const refundPaymentValidation = [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0').toFloat()
+];
+
+/**
+ * Payment Controller
+ */
+class PaymentController {
+  /**
+   * Pay for a booking awaiting payment
+   * POST /api/bookings/:id/payments
+   */
+  static async pay(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const isAdmin = req.user.role === 'ADMIN';
+      const payment = await PaymentService.payBooking(
+        req.params.id,
+        req.user.id,
+        isAdmin,
+        { paymentMethod: req.body.paymentMethod },
+        ipAddress
+      );
+      return created(res, payment, 'Payment submitted successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the payments of a booking
+   * GET /api/bookings/:id/payments
+   */
+  static async getBookingPayments(req, res, next) {
+    try {
+      const isAdmin = req.user.role === 'ADMIN';
+      const payments = await PaymentService.getBookingPayments(req.params.id, req.user.id, isAdmin);
+      return success(res, payments);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Receive a gateway webhook (signature verified by the gateway adapter)
+   * POST /api/payments/webhooks/:gateway
+   */
+  static async webhook(req, res, next) {
+    try {
+      const result = await PaymentService.handleWebhook(req.params.gateway, req.rawBody, req.headers);
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all payments (admin only)
+   * GET /api/admin/payments
+   */
+  static async getAll(req, res, next) {
+    try {
+      const { page, limit } = parsePagination(req.query);
+      const { status, bookingId } = req.query;
+      const result = await PaymentService.getAll({ page, limit, status, bookingId });
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Refund a captured payment, in full unless an amount is given (admin only)
+   * POST /api/admin/payments/:id/refund
+   */
+  static async refund(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const payment = await PaymentService.refund(req.params.id, req.body.amount, req.user.id, ipAddress);
+      return success(res, payment, 'Payment refunded successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  PaymentController,
+  payBookingValidation,
+  refundPaymentValidation
+};
@@ -0,0 +1,97 @@
+const { body } = require('express-validator');
+const PricingService = require('../services/pricingService');
+const { success } = require('../utils/response');
+const { getClientIP } = require('../utils/helpers');
+
+/**
+ * Validation rules
+ */
+const upsertPricingRuleValidation = [
+  body('unit').optional({ nullable: true }).isIn(['HOURLY', 'DAILY', 'NIGHTLY']).withMessage('Unit must be HOURLY, DAILY or NIGHTLY'),
+  body('hourlyRate').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+  body('dailyRate').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+  body('nightlyRate').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+  body('peakHours').optional({ nullable: true }).isObject().withMessage('Peak hours must be an object'),
+  body('peakMultiplier').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).toFloat(),
+  body('weekendMultiplier').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).toFloat(),
+  body('minimumCharge').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+  body('longStayDiscounts').optional({ nullable: true }).isArray().withMessage('Long-stay discounts must be a list'),
+  body('serviceFeePercent').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).toFloat(),
+  body('serviceFeeAmount').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+  body('taxPercent').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).toFloat()
+];
+
+/**
+ * Pricing Rule Controller (Admin only)
+ */
+class PricingRuleController {
+  /**
+   * Get all pricing rules
+   * GET /api/admin/pricing-rules
+   */
+  static async getAll(req, res, next) {
+    try {
+      const rules = await PricingService.getRules();
+      return success(res, rules);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set the pricing for one resource
+   * PUT /api/admin/pricing-rules/resource/:resourceId
+   */
+  static async upsertForResource(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const rule = await PricingService.upsertRule(
+        { resourceId: req.params.resourceId },
+        req.body,
+        req.user.id,
+        ipAddress
+      );
+      return success(res, rule, 'Pricing rule saved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set the default pricing for a resource type
+   * PUT /api/admin/pricing-rules/type/:type
+   */
+  static async upsertForType(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const rule = await PricingService.upsertRule(
+        { resourceType: req.params.type },
+        req.body,
+        req.user.id,
+        ipAddress
+      );
+      return success(res, rule, 'Pricing rule saved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a pricing rule
+   * DELETE /api/admin/pricing-rules/:id
+   */
+  static async delete(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const result = await PricingService.deleteRule(req.params.id, req.user.id, ipAddress);
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  PricingRuleController,
+  upsertPricingRuleValidation
+};
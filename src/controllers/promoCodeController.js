@@ -0,0 +1,116 @@
+const { body } = require('express-validator');
+const PromoCodeService = require('../services/promoCodeService');
+const { success, created } = require('../utils/response');
+const { getClientIP, parsePagination } = require('../utils/helpers');
+
+/**
+ * Validation rules
+ */
+const promoCodeFields = [
+  body('currency').optional({ nullable: true }).trim().toUpperCase().isISO4217().withMessage('Currency must be an ISO 4217 code'),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 191 }),
+  body('validFrom').optional({ nullable: true }).isISO8601().withMessage('Valid from must be a date'),
+  body('validUntil').optional({ nullable: true }).isISO8601().withMessage('Valid until must be a date'),
+  body('maxUses').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('maxUsesPerUser').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('resourceTypes').optional({ nullable: true }).isArray().withMessage('Resource types must be a list'),
+  body('resourceTypes.*').trim().notEmpty(),
+  body('isActive').optional().isBoolean().toBoolean()
+];
+
+const createPromoCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,50}$/)
+    .withMessage('Code must be 3-50 letters, digits, dashes or underscores'),
+  body('discountType').isIn(['PERCENT', 'FIXED']).withMessage('Discount type must be PERCENT or FIXED'),
+  body('value').isFloat({ gt: 0 }).withMessage('Value must be greater than 0').toFloat(),
+  ...promoCodeFields
+];
+
+const updatePromoCodeValidation = [
+  body('discountType').optional().isIn(['PERCENT', 'FIXED']).withMessage('Discount type must be PERCENT or FIXED'),
+  body('value').optional().isFloat({ gt: 0 }).withMessage('Value must be greater than 0').toFloat(),
+  ...promoCodeFields
+];
+
+/**
+ * Promo Code Controller (Admin only)
+ */
+class PromoCodeController {
+  /**
+   * Get all promo codes
+   * GET /api/admin/promo-codes
+   */
+  static async getAll(req, res, next) {
+    try {
+      const { page, limit } = parsePagination(req.query);
+      const active = req.query.active === undefined ? undefined : req.query.active === 'true';
+      const result = await PromoCodeService.getAll({ page, limit, active });
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a promo code
+   * GET /api/admin/promo-codes/:id
+   */
+  static async getById(req, res, next) {
+    try {
+      const promo = await PromoCodeService.getById(req.params.id);
+      return success(res, promo);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a promo code
+   * POST /api/admin/promo-codes
+   */
+  static async create(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const promo = await PromoCodeService.create(req.body, req.user.id, ipAddress);
+      return created(res, promo, 'Promo code created successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a promo code
+   * PUT /api/admin/promo-codes/:id
+   */
+  static async update(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const promo = await PromoCodeService.update(req.params.id, req.body, req.user.id, ipAddress);
+      return success(res, promo, 'Promo code updated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete an unused promo code
+   * DELETE /api/admin/promo-codes/:id
+   */
+  static async delete(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const result = await PromoCodeService.delete(req.params.id, req.user.id, ipAddress);
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  PromoCodeController,
+  createPromoCodeValidation,
+  updatePromoCodeValidation
+};
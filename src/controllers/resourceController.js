@@ -12,8 +12,19 @@ const createResourceValidation = [
   body('type').trim().notEmpty().withMessage('Type is required'),
   body('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
   body('pricePerHour').isDecimal({ decimal_digits: '0,2' }).withMessage('Valid price is required'),
+  body('currency').optional().trim().toUpperCase().isISO4217().withMessage('Currency must be an ISO 4217 code'),
   body('status').optional().isIn(['AVAILABLE', 'BOOKED', 'MAINTENANCE']),
-  body('imageUrl').optional().trim().isURL().withMessage('Valid URL required')
+  body('imageUrl').optional().trim().isURL().withMessage('Valid URL required'),
+  body('requiresApproval').optional().isBoolean().withMessage('requiresApproval must be a boolean'),
+  body('bufferBeforeMinutes').optional().isInt({ min: 0, max: 24 * 60 }).withMessage('Buffer must be 0-1440 minutes').toInt(),
+  body('bufferAfterMinutes').optional().isInt({ min: 0, max: 24 * 60 }).withMessage('Buffer must be 0-1440 minutes').toInt()
+];
+
+const slotsValidation = [
+  query('date').isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('date must be YYYY-MM-DD'),
+  query('endDate').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('endDate must be YYYY-MM-DD'),
+  query('duration').optional().isInt({ min: 5, max: 24 * 60 }).withMessage('duration must be 5-1440 minutes').toInt(),
+  query('step').optional().isInt({ min: 5, max: 24 * 60 }).withMessage('step must be 5-1440 minutes').toInt()
 ];
 
 const updateResourceValidation = [
@@ -22,8 +33,12 @@ const updateResourceValidation = [
   body('type').optional().trim(),
   body('capacity').optional().isInt({ min: 1 }),
   body('pricePerHour').optional().isDecimal({ decimal_digits: '0,2' }),
+  body('currency').optional().trim().toUpperCase().isISO4217().withMessage('Currency must be an ISO 4217 code'),
   body('status').optional().isIn(['AVAILABLE', 'BOOKED', 'MAINTENANCE']),
-  body('imageUrl').optional().trim()
+  body('imageUrl').optional().trim(),
+  body('requiresApproval').optional().isBoolean().withMessage('requiresApproval must be a boolean'),
+  body('bufferBeforeMinutes').optional().isInt({ min: 0, max: 24 * 60 }).withMessage('Buffer must be 0-1440 minutes').toInt(),
+  body('bufferAfterMinutes').optional().isInt({ min: 0, max: 24 * 60 }).withMessage('Buffer must be 0-1440 minutes').toInt()
 ];
 
 /**
@@ -101,6 +116,49 @@ class ResourceController {
     }
   }
 
+  /**
+   * List free slots on a resource
+   * GET /api/resources/:id/slots?date=YYYY-MM-DD&endDate=YYYY-MM-DD&duration=60&step=30
+   */
+  static async getSlots(req, res, next) {
+    try {
+      const { date, endDate, duration, step } = req.query;
+
+      const result = await ResourceService.getFreeSlots(req.params.id, {
+        date,
+        endDate,
+        durationMinutes: duration,
+        stepMinutes: step,
+        userId: req.user ? req.user.id : null
+      });
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Check one resource's availability for a time range
+   * GET /api/resources/:id/availability
+   */
+  static async getAvailability(req, res, next) {
+    try {
+      const { startTime, endTime } = req.query;
+
+      if (!startTime || !endTime) {
+        return res.status(400).json({
+          success: false,
+          message: 'startTime and endTime are required'
+        });
+      }
+
+      const result = await ResourceService.getResourceAvailability(req.params.id, startTime, endTime);
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Create resource (admin only)
    * POST /api/resources
@@ -160,5 +218,6 @@ class ResourceController {
 module.exports = {
   ResourceController,
   createResourceValidation,
-  updateResourceValidation
+  updateResourceValidation,
+  slotsValidation
 };
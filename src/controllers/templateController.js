@@ -0,0 +1,130 @@
+const { body } = require('express-validator');
+const { TemplateService, TemplateKeys } = require('../services/templateService');
+const { success, created } = require('../utils/response');
+const { getClientIP, parsePagination } = require('../utils/helpers');
+
+const CHANNELS = ['EMAIL', 'SMS', 'IN_APP'];
+
+/**
+ * Validation rules
+ */
+const createTemplateValidation = [
+  body('key').isIn(Object.values(TemplateKeys)).withMessage('Valid template key is required'),
+  body('channel').isIn(CHANNELS).withMessage('Channel must be EMAIL, SMS or IN_APP'),
+  body('locale').trim().matches(/^[a-z]{2}(-[A-Z]{2})?$/).withMessage('Locale must look like "en" or "en-GB"'),
+  body('subject').optional().trim().isLength({ max: 191 }),
+  body('bodyText').notEmpty().withMessage('Text body is required'),
+  body('bodyHtml').optional(),
+  body('isActive').optional().isBoolean()
+];
+
+const updateTemplateValidation = [
+  body('subject').optional().trim().isLength({ max: 191 }),
+  body('bodyText').optional().notEmpty(),
+  body('bodyHtml').optional(),
+  body('isActive').optional().isBoolean()
+];
+
+const previewTemplateValidation = [
+  body('templateId').optional().isUUID(),
+  body('key').optional().isIn(Object.values(TemplateKeys)),
+  body('channel').optional().isIn(CHANNELS),
+  body('locale').optional().trim(),
+  body('bookingId').optional().isUUID()
+];
+
+/**
+ * Template Controller (Admin only)
+ */
+class TemplateController {
+  /**
+   * Get all templates
+   * GET /api/admin/templates
+   */
+  static async getAll(req, res, next) {
+    try {
+      const { page, limit } = parsePagination(req.query);
+      const { key, channel, locale } = req.query;
+
+      const result = await TemplateService.getTemplates({ page, limit, key, channel, locale });
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get template by ID
+   * GET /api/admin/templates/:id
+   */
+  static async getById(req, res, next) {
+    try {
+      const template = await TemplateService.getTemplateById(req.params.id);
+      return success(res, template);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create template
+   * POST /api/admin/templates
+   */
+  static async create(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const template = await TemplateService.createTemplate(req.body, req.user.id, ipAddress);
+      return created(res, template, 'Template created successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update template
+   * PUT /api/admin/templates/:id
+   */
+  static async update(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const template = await TemplateService.updateTemplate(req.params.id, req.body, req.user.id, ipAddress);
+      return success(res, template, 'Template updated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete template
+   * DELETE /api/admin/templates/:id
+   */
+  static async delete(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const result = await TemplateService.deleteTemplate(req.params.id, req.user.id, ipAddress);
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Render a template against a sample or real booking
+   * POST /api/admin/templates/preview
+   */
+  static async preview(req, res, next) {
+    try {
+      const result = await TemplateService.preview(req.body);
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  TemplateController,
+  createTemplateValidation,
+  updateTemplateValidation,
+  previewTemplateValidation
+};
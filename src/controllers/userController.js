@@ -9,7 +9,23 @@ const { getClientIP, parsePagination } = require('../utils/helpers');
 const updateProfileValidation = [
   body('firstName').optional().trim().isLength({ max: 50 }),
   body('lastName').optional().trim().isLength({ max: 50 }),
-  body('avatarUrl').optional().trim()
+  body('avatarUrl').optional().trim(),
+  body('smsOptIn').optional().isBoolean().withMessage('smsOptIn must be a boolean'),
+  body('locale').optional().trim().matches(/^[a-z]{2}(-[A-Z]{2})?$/).withMessage('Locale must look like "en" or "en-GB"'),
+  body('billingName').optional({ nullable: true }).trim().isLength({ max: 191 }),
+  body('billingAddress').optional({ nullable: true }).trim().isLength({ max: 1000 }),
+  body('taxId').optional({ nullable: true }).trim().isLength({ max: 50 })
+];
+
+const phoneValidation = [
+  body('phone')
+    .trim()
+    .matches(/^\+[1-9]\d{7,14}$/)
+    .withMessage('Phone must be in international format, e.g. +14155550123')
+];
+
+const verifyPhoneValidation = [
+  body('code').trim().isLength({ min: 6, max: 6 }).isNumeric().withMessage('Valid 6-digit code is required')
 ];
 
 const changePasswordValidation = [
@@ -69,6 +85,34 @@ class UserController {
     }
   }
 
+  /**
+   * Set phone number and send verification code
+   * PUT /api/users/phone
+   */
+  static async updatePhone(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const result = await UserService.requestPhoneVerification(req.user.id, req.body.phone, ipAddress);
+      return success(res, result, 'Verification code sent');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Verify phone number
+   * POST /api/users/phone/verify
+   */
+  static async verifyPhone(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const user = await UserService.verifyPhone(req.user.id, req.body.code, ipAddress);
+      return success(res, user, 'Phone number verified');
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // =====================
   // Admin User Management
   // =====================
@@ -195,5 +239,7 @@ module.exports = {
   UserController,
   updateProfileValidation,
   changePasswordValidation,
-  updateUserValidation
+  updateUserValidation,
+  phoneValidation,
+  verifyPhoneValidation
 };
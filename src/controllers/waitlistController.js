@@ -0,0 +1,96 @@
+const { body } = require('express-validator');
+const WaitlistService = require('../services/waitlistService');
+const { success, created } = require('../utils/response');
+const { getClientIP, parsePagination } = require('../utils/helpers');
+
+/**
+ * Validation rules
+ */
+const joinWaitlistValidation = [
+  body('resourceId').isUUID().withMessage('Valid resource ID is required'),
+  body('startTime').isISO8601().withMessage('Valid start time is required'),
+  body('endTime').isISO8601().withMessage('Valid end time is required'),
+  body('notes').optional().trim().isLength({ max: 500 })
+];
+
+/**
+ * Waitlist Controller
+ */
+class WaitlistController {
+  /**
+   * Join the waitlist for a booked time slot
+   * POST /api/waitlist
+   */
+  static async join(req, res, next) {
+    try {
+      const { resourceId, startTime, endTime, notes } = req.body;
+      const ipAddress = getClientIP(req);
+
+      const entry = await WaitlistService.join(
+        {
+          userId: req.user.id,
+          resourceId,
+          startTime,
+          endTime,
+          notes
+        },
+        ipAddress
+      );
+
+      return created(res, entry, 'Added to waitlist');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get user's waitlist entries
+   * GET /api/waitlist
+   */
+  static async getUserEntries(req, res, next) {
+    try {
+      const { page, limit } = parsePagination(req.query);
+      const { status } = req.query;
+
+      const result = await WaitlistService.getUserEntries(req.user.id, { page, limit, status });
+      return success(res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Leave the waitlist
+   * DELETE /api/waitlist/:id
+   */
+  static async leave(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const isAdmin = req.user.role === 'ADMIN';
+
+      const entry = await WaitlistService.leave(req.params.id, req.user.id, isAdmin, ipAddress);
+      return success(res, entry, 'Removed from waitlist');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Claim an offered slot
+   * POST /api/waitlist/claim/:token
+   */
+  static async claim(req, res, next) {
+    try {
+      const ipAddress = getClientIP(req);
+      const result = await WaitlistService.claim(req.params.token, req.user.id, ipAddress);
+      return created(res, result, 'Booking created successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = {
+  WaitlistController,
+  joinWaitlistValidation
+};
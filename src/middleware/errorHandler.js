@@ -15,6 +15,8 @@ const errorHandler = (err, req, res, next) => {
         return error(res, 'Record not found', 404);
       case 'P2003':
         return error(res, 'Foreign key constraint failed', 400);
+      case 'P2034':
+        return error(res, 'The request conflicted with another change, please retry', 409);
       default:
         break;
     }
@@ -38,7 +40,7 @@ const errorHandler = (err, req, res, next) => {
   const statusCode = err.statusCode || 500;
   const message = err.message || 'Internal server error';
 
-  return error(res, message, statusCode);
+  return error(res, message, statusCode, err.errors);
 };
 
 /**
@@ -1,8 +1,39 @@
 const express = require('express');
 const { AdminController } = require('../controllers/adminController');
 const { UserController, updateUserValidation } = require('../controllers/userController');
-const { BookingController } = require('../controllers/bookingController');
+const { BookingController, rejectBookingValidation } = require('../controllers/bookingController');
 const { BlockController, createBlockValidation } = require('../controllers/blockController');
+const {
+  TemplateController,
+  createTemplateValidation,
+  updateTemplateValidation,
+  previewTemplateValidation
+} = require('../controllers/templateController');
+const {
+  BookingRuleController,
+  upsertRuleValidation,
+  createClosureValidation,
+  updatePoliciesValidation
+} = require('../controllers/bookingRuleController');
+const { PricingRuleController, upsertPricingRuleValidation } = require('../controllers/pricingRuleController');
+const {
+  PromoCodeController,
+  createPromoCodeValidation,
+  updatePromoCodeValidation
+} = require('../controllers/promoCodeController');
+const {
+  CancellationPolicyController,
+  upsertCancellationPolicyValidation
+} = require('../controllers/cancellationPolicyController');
+const { PaymentController, refundPaymentValidation } = require('../controllers/paymentController');
+const { DepositRuleController, upsertDepositRuleValidation } = require('../controllers/depositRuleController');
+const { InvoiceController, listInvoicesValidation } = require('../controllers/invoiceController');
+const {
+  OrganisationController,
+  createOrganisationValidation,
+  updateOrganisationValidation,
+  setMemberValidation
+} = require('../controllers/organisationController');
 const { authenticate, requireAdmin } = require('../middleware/auth');
 const validate = require('../middleware/validate');
 
@@ -19,6 +50,7 @@ router.get('/analytics/bookings/monthly', AdminController.getMonthlyBookings);
 router.get('/analytics/bookings/by-type', AdminController.getBookingsByType);
 router.get('/analytics/resources/top', AdminController.getTopResources);
 router.get('/analytics/revenue/by-type', AdminController.getRevenueByType);
+router.get('/analytics/promo-codes', AdminController.getPromoCodeUsage);
 router.get('/analytics/recent-activity', AdminController.getRecentActivity);
 
 // =====================
@@ -31,10 +63,25 @@ router.put('/users/:id/deactivate', UserController.deactivateUser);
 router.put('/users/:id/activate', UserController.activateUser);
 router.delete('/users/:id', UserController.deleteUser);
 
+// =====================
+// Organisations
+// =====================
+router.get('/organisations', OrganisationController.getAll);
+router.get('/organisations/:id', OrganisationController.getById);
+router.post('/organisations', createOrganisationValidation, validate, OrganisationController.create);
+router.put('/organisations/:id', updateOrganisationValidation, validate, OrganisationController.update);
+router.delete('/organisations/:id', OrganisationController.delete);
+router.put('/organisations/:id/members/:userId', setMemberValidation, validate, OrganisationController.setMember);
+router.delete('/organisations/:id/members/:userId', OrganisationController.removeMember);
+
 // =====================
 // Booking Management
 // =====================
 router.get('/bookings', BookingController.getAllBookings);
+router.get('/bookings/pending', BookingController.getApprovalQueue);
+router.put('/bookings/:id/approve', BookingController.approve);
+router.put('/bookings/:id/reject', rejectBookingValidation, validate, BookingController.reject);
+router.put('/bookings/:id/no-show', BookingController.markNoShow);
 
 // =====================
 // Resource Blocks
@@ -44,6 +91,51 @@ router.get('/blocks/resource/:resourceId', BlockController.getByResource);
 router.post('/blocks', createBlockValidation, validate, BlockController.create);
 router.delete('/blocks/:id', BlockController.delete);
 
+// =====================
+// Booking Rules, Closures & Policies
+// =====================
+router.get('/booking-rules', BookingRuleController.getAll);
+router.put('/booking-rules/resource/:resourceId', upsertRuleValidation, validate, BookingRuleController.upsertForResource);
+router.put('/booking-rules/type/:type', upsertRuleValidation, validate, BookingRuleController.upsertForType);
+router.delete('/booking-rules/:id', BookingRuleController.delete);
+router.get('/closures', BookingRuleController.getClosures);
+router.post('/closures', createClosureValidation, validate, BookingRuleController.createClosure);
+router.delete('/closures/:id', BookingRuleController.deleteClosure);
+router.get('/booking-policies', BookingRuleController.getPolicies);
+router.put('/booking-policies', updatePoliciesValidation, validate, BookingRuleController.updatePolicies);
+
+// =====================
+// Pricing
+// =====================
+router.get('/pricing-rules', PricingRuleController.getAll);
+router.put('/pricing-rules/resource/:resourceId', upsertPricingRuleValidation, validate, PricingRuleController.upsertForResource);
+router.put('/pricing-rules/type/:type', upsertPricingRuleValidation, validate, PricingRuleController.upsertForType);
+router.delete('/pricing-rules/:id', PricingRuleController.delete);
+router.get('/promo-codes', PromoCodeController.getAll);
+router.get('/promo-codes/:id', PromoCodeController.getById);
+router.post('/promo-codes', createPromoCodeValidation, validate, PromoCodeController.create);
+router.put('/promo-codes/:id', updatePromoCodeValidation, validate, PromoCodeController.update);
+router.delete('/promo-codes/:id', PromoCodeController.delete);
+router.get('/cancellation-policies', CancellationPolicyController.getAll);
+router.put('/cancellation-policies/resource/:resourceId', upsertCancellationPolicyValidation, validate, CancellationPolicyController.upsertForResource);
+router.put('/cancellation-policies/type/:type', upsertCancellationPolicyValidation, validate, CancellationPolicyController.upsertForType);
+router.delete('/cancellation-policies/:id', CancellationPolicyController.delete);
+
+// =====================
+// Payments
+// =====================
+router.get('/payments', PaymentController.getAll);
+router.post('/payments/:id/refund', refundPaymentValidation, validate, PaymentController.refund);
+router.get('/deposit-rules', DepositRuleController.getAll);
+router.put('/deposit-rules/resource/:resourceId', upsertDepositRuleValidation, validate, DepositRuleController.upsertForResource);
+router.put('/deposit-rules/type/:type', upsertDepositRuleValidation, validate, DepositRuleController.upsertForType);
+router.delete('/deposit-rules/:id', DepositRuleController.delete);
+
+// =====================
+// Invoices
+// =====================
+router.get('/invoices', listInvoicesValidation, validate, InvoiceController.getAll);
+
 // =====================
 // Audit Logs
 // =====================
@@ -51,4 +143,22 @@ router.get('/audit-logs', AdminController.getAuditLogs);
 router.get('/audit-logs/recent', AdminController.getRecentAuditLogs);
 router.get('/audit-logs/entity/:entity/:entityId', AdminController.getEntityAuditLogs);
 
+// =====================
+// Message Logs
+// =====================
+router.get('/messages', AdminController.getMessages);
+router.get('/messages/stats', AdminController.getMessageStats);
+router.get('/messages/:id', AdminController.getMessageById);
+router.post('/messages/:id/resend', AdminController.resendMessage);
+
+// =====================
+// Message Templates
+// =====================
+router.get('/templates', TemplateController.getAll);
+router.post('/templates/preview', previewTemplateValidation, validate, TemplateController.preview);
+router.get('/templates/:id', TemplateController.getById);
+router.post('/templates', createTemplateValidation, validate, TemplateController.create);
+router.put('/templates/:id', updateTemplateValidation, validate, TemplateController.update);
+router.delete('/templates/:id', TemplateController.delete);
+
 module.exports = router;
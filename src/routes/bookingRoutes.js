@@ -1,17 +1,38 @@
 const express = require('express');
-const { BookingController, createBookingValidation } = require('../controllers/bookingController');
-const { authenticate, requireUser } = require('../middleware/auth');
+const {
+  BookingController,
+  createBookingValidation,
+  updateBookingValidation,
+  quoteBookingValidation,
+  listBookingsValidation,
+  cancelBookingValidation,
+  cancelPreviewValidation
+} = require('../controllers/bookingController');
+const {
+  PaymentController,
+  payBookingValidation
+} = require('../controllers/paymentController');
+const { InvoiceController } = require('../controllers/invoiceController');
+const { authenticate, requireUser, optionalAuth } = require('../middleware/auth');
 const validate = require('../middleware/validate');
 
 const router = express.Router();
 
 // Public route for calendar display
 router.get('/calendar', BookingController.getCalendarBookings);
+router.post('/quote', optionalAuth, quoteBookingValidation, validate, BookingController.quote);
 
 // Protected routes (logged-in users)
 router.post('/', authenticate, requireUser, createBookingValidation, validate, BookingController.create);
-router.get('/', authenticate, requireUser, BookingController.getUserBookings);
+router.get('/', authenticate, requireUser, listBookingsValidation, validate, BookingController.getUserBookings);
+router.get('/quota', authenticate, requireUser, BookingController.getQuota);
+router.get('/series/:id', authenticate, requireUser, BookingController.getSeries);
 router.get('/:id', authenticate, requireUser, BookingController.getById);
-router.put('/:id/cancel', authenticate, requireUser, BookingController.cancel);
+router.put('/:id', authenticate, requireUser, updateBookingValidation, validate, BookingController.update);
+router.get('/:id/cancel-preview', authenticate, requireUser, cancelPreviewValidation, validate, BookingController.cancelPreview);
+router.put('/:id/cancel', authenticate, requireUser, cancelBookingValidation, validate, BookingController.cancel);
+router.get('/:id/payments', authenticate, requireUser, PaymentController.getBookingPayments);
+router.post('/:id/payments', authenticate, requireUser, payBookingValidation, validate, PaymentController.pay);
+router.get('/:id/invoice', authenticate, requireUser, InvoiceController.download);
 
 module.exports = router;
@@ -7,6 +7,9 @@ const userRoutes = require('./userRoutes');
 const adminRoutes = require('./adminRoutes');
 const calendarRoutes = require('./calendarRoutes');
 const cloudbedsRoutes = require('./cloudbedsRoutes');
+const waitlistRoutes = require('./waitlistRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const organisationRoutes = require('./organisationRoutes');
 
 const router = express.Router();
 
@@ -28,5 +31,8 @@ router.use('/users', userRoutes);
 router.use('/admin', adminRoutes);
 router.use('/calendar', calendarRoutes);
 router.use('/cloudbeds', cloudbedsRoutes);
+router.use('/waitlist', waitlistRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/organisations', organisationRoutes);
 
 module.exports = router;
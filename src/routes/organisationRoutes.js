@@ -0,0 +1,15 @@
+const express = require('express');
+const { OrganisationController, billingStatementValidation } = require('../controllers/organisationController');
+const { authenticate, requireUser } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// All routes require a logged-in user; organisation admins may see their own organisation
+router.use(authenticate, requireUser);
+
+router.get('/mine', OrganisationController.getMine);
+router.get('/:id', OrganisationController.getById);
+router.get('/:id/billing', billingStatementValidation, validate, OrganisationController.getBillingStatement);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { PaymentController } = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Called by the payment gateway; authenticated by its signature, not a user token
+router.post('/webhooks/:gateway', PaymentController.webhook);
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require('express');
 const {
   ResourceController,
   createResourceValidation,
-  updateResourceValidation
+  updateResourceValidation,
+  slotsValidation
 } = require('../controllers/resourceController');
 const { authenticate, requireAdmin, optionalAuth } = require('../middleware/auth');
 const validate = require('../middleware/validate');
@@ -14,6 +15,8 @@ router.get('/types', ResourceController.getTypes);
 router.get('/available', ResourceController.getAvailable);
 router.get('/', ResourceController.getAll);
 router.get('/:id', ResourceController.getById);
+router.get('/:id/availability', ResourceController.getAvailability);
+router.get('/:id/slots', optionalAuth, slotsValidation, validate, ResourceController.getSlots);
 
 // Admin routes
 router.post('/', authenticate, requireAdmin, createResourceValidation, validate, ResourceController.create);
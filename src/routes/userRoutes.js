@@ -2,7 +2,9 @@ const express = require('express');
 const {
   UserController,
   updateProfileValidation,
-  changePasswordValidation
+  changePasswordValidation,
+  phoneValidation,
+  verifyPhoneValidation
 } = require('../controllers/userController');
 const { authenticate } = require('../middleware/auth');
 const validate = require('../middleware/validate');
@@ -14,5 +16,7 @@ router.use(authenticate);
 
 router.put('/profile', updateProfileValidation, validate, UserController.updateProfile);
 router.put('/password', changePasswordValidation, validate, UserController.changePassword);
+router.put('/phone', phoneValidation, validate, UserController.updatePhone);
+router.post('/phone/verify', verifyPhoneValidation, validate, UserController.verifyPhone);
 
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const { WaitlistController, joinWaitlistValidation } = require('../controllers/waitlistController');
+const { authenticate, requireUser } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// All routes require a logged-in user
+router.use(authenticate, requireUser);
+
+router.post('/', joinWaitlistValidation, validate, WaitlistController.join);
+router.get('/', WaitlistController.getUserEntries);
+router.post('/claim/:token', WaitlistController.claim);
+router.delete('/:id', WaitlistController.leave);
+
+module.exports = router;
@@ -1,12 +1,89 @@
 const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
 
 const prisma = new PrismaClient();
 
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Bookings that earn their price when nothing was paid through the gateway
+const EARNED_STATUSES = ['CONFIRMED', 'COMPLETED', 'NO_SHOW'];
+// Payments whose money was taken (less any refund)
+const COLLECTED_PAYMENT_STATUSES = ['CAPTURED', 'REFUNDED'];
+
+const REVENUE_SELECT = {
+  status: true,
+  totalPrice: true,
+  taxAmount: true,
+  currency: true,
+  payments: {
+    where: { status: { in: COLLECTED_PAYMENT_STATUSES } },
+    select: { amount: true, refundedAmount: true }
+  }
+};
+
 /**
  * Analytics Service
  * Handles admin analytics and dashboard data
+ * Revenue excludes tax and is never summed across currencies: plain figures
+ * are in config.pricing.defaultCurrency, `byCurrency` maps cover the rest.
+ * It is what was collected: captured payments less refunds, including the
+ * charges kept on cancelled bookings, or the price of confirmed, completed and
+ * no-show bookings settled outside the gateway. Unpaid bookings don't count.
  */
 class AnalyticsService {
+  /**
+   * Bookings matching `where` that may have earned revenue
+   */
+  static async findRevenueBookings(where = {}, select = {}) {
+    return prisma.booking.findMany({
+      where: {
+        ...where,
+        OR: [
+          { status: { in: EARNED_STATUSES } },
+          { payments: { some: { status: { in: COLLECTED_PAYMENT_STATUSES } } } }
+        ]
+      },
+      select: { ...REVENUE_SELECT, ...select }
+    });
+  }
+
+  /**
+   * Revenue of one booking (see above): what was collected, less its share of tax
+   */
+  static netRevenue(booking) {
+    const total = parseFloat(booking.totalPrice);
+    if (total <= 0) return 0;
+
+    let collected;
+    if (booking.payments.length > 0) {
+      collected = booking.payments.reduce(
+        (sum, p) => sum + parseFloat(p.amount) - parseFloat(p.refundedAmount), 0
+      );
+    } else {
+      collected = EARNED_STATUSES.includes(booking.status) ? total : 0;
+    }
+
+    return collected * (total - parseFloat(booking.taxAmount)) / total;
+  }
+
+  /**
+   * Revenue of bookings matching `where`, by currency
+   */
+  static async revenueByCurrency(where = {}) {
+    const bookings = await this.findRevenueBookings(where);
+
+    const revenue = {};
+    for (const booking of bookings) {
+      revenue[booking.currency] = (revenue[booking.currency] || 0) + this.netRevenue(booking);
+    }
+
+    for (const currency of Object.keys(revenue)) {
+      revenue[currency] = round(revenue[currency]);
+    }
+
+    return revenue;
+  }
+
   /**
    * Get dashboard overview statistics
    */
@@ -66,21 +143,9 @@ class AnalyticsService {
       // Available resources
       prisma.resource.count({ where: { status: 'AVAILABLE' } }),
       // Revenue this month
-      prisma.booking.aggregate({
-        where: {
-          status: { not: 'CANCELLED' },
-          createdAt: { gte: startOfMonth }
-        },
-        _sum: { totalPrice: true }
-      }),
+      this.revenueByCurrency({ createdAt: { gte: startOfMonth } }),
       // Revenue last month
-      prisma.booking.aggregate({
-        where: {
-          status: { not: 'CANCELLED' },
-          createdAt: { gte: startOfLastMonth, lte: endOfLastMonth }
-        },
-        _sum: { totalPrice: true }
-      })
+      this.revenueByCurrency({ createdAt: { gte: startOfLastMonth, lte: endOfLastMonth } })
     ]);
 
     // Calculate growth percentages
@@ -92,8 +157,9 @@ class AnalyticsService {
       ? ((bookingsThisMonth - bookingsLastMonth) / bookingsLastMonth * 100).toFixed(1)
       : bookingsThisMonth > 0 ? 100 : 0;
 
-    const currentRevenue = parseFloat(revenueThisMonth._sum.totalPrice || 0);
-    const lastRevenue = parseFloat(revenueLastMonth._sum.totalPrice || 0);
+    const currency = config.pricing.defaultCurrency;
+    const currentRevenue = revenueThisMonth[currency] || 0;
+    const lastRevenue = revenueLastMonth[currency] || 0;
     const revenueGrowth = lastRevenue > 0
       ? ((currentRevenue - lastRevenue) / lastRevenue * 100).toFixed(1)
       : currentRevenue > 0 ? 100 : 0;
@@ -118,7 +184,12 @@ class AnalyticsService {
       revenue: {
         thisMonth: currentRevenue,
         lastMonth: lastRevenue,
-        growth: parseFloat(revenueGrowth)
+        growth: parseFloat(revenueGrowth),
+        currency,
+        byCurrency: {
+          thisMonth: revenueThisMonth,
+          lastMonth: revenueLastMonth
+        }
       }
     };
   }
@@ -140,19 +211,14 @@ class AnalyticsService {
             createdAt: { gte: startOfMonth, lte: endOfMonth }
           }
         }),
-        prisma.booking.aggregate({
-          where: {
-            status: { not: 'CANCELLED' },
-            createdAt: { gte: startOfMonth, lte: endOfMonth }
-          },
-          _sum: { totalPrice: true }
-        })
+        this.revenueByCurrency({ createdAt: { gte: startOfMonth, lte: endOfMonth } })
       ]);
 
       result.push({
         month: startOfMonth.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
         bookings,
-        revenue: parseFloat(revenue._sum.totalPrice || 0)
+        revenue: revenue[config.pricing.defaultCurrency] || 0,
+        revenueByCurrency: revenue
       });
     }
 
@@ -217,32 +283,89 @@ class AnalyticsService {
   }
 
   /**
-   * Get revenue by resource type
+   * Get revenue by resource type, one row per type and currency
    */
   static async getRevenueByResourceType() {
-    const bookings = await prisma.booking.findMany({
-      where: { status: { not: 'CANCELLED' } },
-      select: {
-        totalPrice: true,
-        resource: {
-          select: { type: true }
-        }
+    const bookings = await this.findRevenueBookings({}, {
+      resource: {
+        select: { type: true }
       }
     });
 
     const typeRevenue = {};
     bookings.forEach(b => {
-      const type = b.resource.type;
-      if (!typeRevenue[type]) {
-        typeRevenue[type] = 0;
+      const key = `${b.resource.type}|${b.currency}`;
+      if (!typeRevenue[key]) {
+        typeRevenue[key] = { type: b.resource.type, currency: b.currency, revenue: 0 };
       }
-      typeRevenue[type] += parseFloat(b.totalPrice);
+      typeRevenue[key].revenue += this.netRevenue(b);
     });
 
-    return Object.entries(typeRevenue).map(([type, revenue]) => ({
-      type,
-      revenue
-    }));
+    return Object.values(typeRevenue).map(row => ({ ...row, revenue: round(row.revenue) }));
+  }
+
+  /**
+   * Get promo code usage: uses, distinct users, and discount given and
+   * revenue by currency per code, counting non-cancelled bookings created in
+   * the optional range
+   */
+  static async getPromoCodeUsage({ startDate, endDate } = {}) {
+    const where = {
+      promoCodeId: { not: null },
+      status: { not: 'CANCELLED' }
+    };
+
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) where.createdAt.lte = new Date(endDate);
+    }
+
+    const [codes, usage, users] = await Promise.all([
+      prisma.promoCode.findMany({
+        select: {
+          id: true,
+          code: true,
+          discountType: true,
+          value: true,
+          maxUses: true,
+          isActive: true
+        }
+      }),
+      prisma.booking.groupBy({
+        by: ['promoCodeId', 'currency'],
+        where,
+        _count: { _all: true },
+        _sum: { discountAmount: true, totalPrice: true, taxAmount: true }
+      }),
+      prisma.booking.groupBy({
+        by: ['promoCodeId', 'userId'],
+        where
+      })
+    ]);
+
+    const report = codes.map(code => {
+      const rows = usage.filter(u => u.promoCodeId === code.id);
+      const discountGiven = {};
+      const revenue = {};
+
+      for (const row of rows) {
+        discountGiven[row.currency] = parseFloat(row._sum.discountAmount || 0);
+        revenue[row.currency] = round(
+          parseFloat(row._sum.totalPrice || 0) - parseFloat(row._sum.taxAmount || 0)
+        );
+      }
+
+      return {
+        ...code,
+        uses: rows.reduce((sum, row) => sum + row._count._all, 0),
+        users: users.filter(u => u.promoCodeId === code.id).length,
+        discountGiven,
+        revenue
+      };
+    });
+
+    return report.sort((a, b) => b.uses - a.uses);
   }
 
   /**
@@ -115,6 +115,8 @@ const AuditActions = {
   USER_DELETE: 'USER_DELETE',
   USER_DEACTIVATE: 'USER_DEACTIVATE',
   USER_ACTIVATE: 'USER_ACTIVATE',
+  PHONE_UPDATE: 'PHONE_UPDATE',
+  PHONE_VERIFY: 'PHONE_VERIFY',
 
   // Resource
   RESOURCE_CREATE: 'RESOURCE_CREATE',
@@ -126,11 +128,59 @@ const AuditActions = {
   BOOKING_UPDATE: 'BOOKING_UPDATE',
   BOOKING_CANCEL: 'BOOKING_CANCEL',
   BOOKING_CONFIRM: 'BOOKING_CONFIRM',
+  BOOKING_REJECT: 'BOOKING_REJECT',
+  BOOKING_EXPIRE: 'BOOKING_EXPIRE',
+  BOOKING_COMPLETE: 'BOOKING_COMPLETE',
+  BOOKING_NO_SHOW: 'BOOKING_NO_SHOW',
+  BOOKING_SERIES_CREATE: 'BOOKING_SERIES_CREATE',
+  BOOKING_SERIES_CANCEL: 'BOOKING_SERIES_CANCEL',
+  WAITLIST_JOIN: 'WAITLIST_JOIN',
+  WAITLIST_LEAVE: 'WAITLIST_LEAVE',
+  WAITLIST_CLAIM: 'WAITLIST_CLAIM',
+
+  // Organisation
+  ORGANISATION_CREATE: 'ORGANISATION_CREATE',
+  ORGANISATION_UPDATE: 'ORGANISATION_UPDATE',
+  ORGANISATION_DELETE: 'ORGANISATION_DELETE',
+  ORGANISATION_MEMBER_UPDATE: 'ORGANISATION_MEMBER_UPDATE',
+  ORGANISATION_MEMBER_REMOVE: 'ORGANISATION_MEMBER_REMOVE',
 
   // Block
   BLOCK_CREATE: 'BLOCK_CREATE',
   BLOCK_DELETE: 'BLOCK_DELETE',
 
+  // Booking rules
+  BOOKING_RULE_UPDATE: 'BOOKING_RULE_UPDATE',
+  BOOKING_RULE_DELETE: 'BOOKING_RULE_DELETE',
+  CLOSURE_CREATE: 'CLOSURE_CREATE',
+  CLOSURE_DELETE: 'CLOSURE_DELETE',
+
+  // Pricing
+  PRICING_RULE_UPDATE: 'PRICING_RULE_UPDATE',
+  PRICING_RULE_DELETE: 'PRICING_RULE_DELETE',
+  PROMO_CODE_CREATE: 'PROMO_CODE_CREATE',
+  PROMO_CODE_UPDATE: 'PROMO_CODE_UPDATE',
+  PROMO_CODE_DELETE: 'PROMO_CODE_DELETE',
+
+  // Cancellation
+  CANCELLATION_POLICY_UPDATE: 'CANCELLATION_POLICY_UPDATE',
+  CANCELLATION_POLICY_DELETE: 'CANCELLATION_POLICY_DELETE',
+
+  // Payments
+  PAYMENT_CREATE: 'PAYMENT_CREATE',
+  PAYMENT_REFUND: 'PAYMENT_REFUND',
+  DEPOSIT_RULE_UPDATE: 'DEPOSIT_RULE_UPDATE',
+  DEPOSIT_RULE_DELETE: 'DEPOSIT_RULE_DELETE',
+
+  // Invoices
+  INVOICE_CREATE: 'INVOICE_CREATE',
+
+  // Message
+  MESSAGE_RESEND: 'MESSAGE_RESEND',
+  TEMPLATE_CREATE: 'TEMPLATE_CREATE',
+  TEMPLATE_UPDATE: 'TEMPLATE_UPDATE',
+  TEMPLATE_DELETE: 'TEMPLATE_DELETE',
+
   // Settings
   SETTINGS_UPDATE: 'SETTINGS_UPDATE'
 };
@@ -120,6 +120,10 @@ class AuthService {
         role: true,
         isActive: true,
         avatarUrl: true,
+        phone: true,
+        phoneVerified: true,
+        smsOptIn: true,
+        locale: true,
         createdAt: true,
         updatedAt: true,
         _count: {
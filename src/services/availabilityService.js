@@ -0,0 +1,317 @@
+const { PrismaClient } = require('@prisma/client');
+const { timeRangesOverlap } = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+const CONFLICT_MESSAGES = {
+  blocks: 'This time slot is blocked',
+  bookings: 'This time slot is already booked',
+  holds: 'This time slot is being held for a waitlisted user',
+  turnover: 'This time slot is too close to another booking (turnover time)'
+};
+
+/**
+ * Availability Service
+ * Single source of truth for "is this resource free between A and B".
+ * A resource is taken by non-cancelled bookings, admin blocks and open
+ * waitlist offers. Ranges are half-open, so back-to-back slots don't conflict
+ * unless the resource has buffers: each booking then also occupies
+ * bufferBeforeMinutes before and bufferAfterMinutes after it, so two bookings
+ * need before + after minutes between them. Buffers don't apply to blocks.
+ */
+class AvailabilityService {
+  /**
+   * Prisma filter for rows overlapping [startTime, endTime)
+   */
+  static overlapping(startTime, endTime) {
+    return {
+      startTime: { lt: new Date(endTime) },
+      endTime: { gt: new Date(startTime) }
+    };
+  }
+
+  /**
+   * Minimum gap a resource needs between two bookings, in milliseconds
+   */
+  static turnoverMs(resource) {
+    if (!resource) return 0;
+    return ((resource.bufferBeforeMinutes || 0) + (resource.bufferAfterMinutes || 0)) * 60 * 1000;
+  }
+
+  /**
+   * Look up a resource's turnover time
+   */
+  static async getTurnoverMs(resourceId, client = prisma) {
+    const resource = await client.resource.findUnique({
+      where: { id: resourceId },
+      select: { bufferBeforeMinutes: true, bufferAfterMinutes: true }
+    });
+    return this.turnoverMs(resource);
+  }
+
+  /**
+   * Prisma filters for each kind of conflict
+   * userId: ignore waitlist offers made to this user, so they can claim them
+   * turnoverMs: widen the range for bookings and holds by the resource's buffers
+   */
+  static conflictFilters(startTime, endTime, { excludeBookingId = null, userId = null, turnoverMs = 0 } = {}) {
+    const range = this.overlapping(startTime, endTime);
+    const buffered = this.overlapping(
+      new Date(startTime).getTime() - turnoverMs,
+      new Date(endTime).getTime() + turnoverMs
+    );
+
+    const bookings = { ...buffered, status: { not: 'CANCELLED' } };
+    if (excludeBookingId) {
+      bookings.id = { not: excludeBookingId };
+    }
+
+    const holds = { ...buffered, status: 'OFFERED', offerExpiresAt: { gt: new Date() } };
+    if (userId) {
+      holds.userId = { not: userId };
+    }
+
+    return { bookings, blocks: range, holds };
+  }
+
+  /**
+   * Find everything occupying a resource between startTime and endTime
+   * Pass a transaction client as `client` to read inside a transaction;
+   * set `holds: false` to ignore waitlist offers and `buffers: false` to
+   * ignore turnover time (e.g. for admin blocks). Bookings and holds that only
+   * clash through the buffers are flagged `inBuffer`.
+   */
+  static async getConflicts(resourceId, startTime, endTime, options = {}) {
+    const { client = prisma, holds: includeHolds = true, buffers = true } = options;
+
+    let turnoverMs = 0;
+    if (options.turnoverMs !== undefined) {
+      turnoverMs = options.turnoverMs;
+    } else if (buffers) {
+      turnoverMs = await this.getTurnoverMs(resourceId, client);
+    }
+
+    const filters = this.conflictFilters(startTime, endTime, { ...options, turnoverMs });
+
+    const [bookings, blocks, holds] = await Promise.all([
+      client.booking.findMany({
+        where: { resourceId, ...filters.bookings },
+        select: { id: true, startTime: true, endTime: true, status: true },
+        orderBy: { startTime: 'asc' }
+      }),
+      client.resourceBlock.findMany({
+        where: { resourceId, ...filters.blocks },
+        select: { id: true, startTime: true, endTime: true, reason: true },
+        orderBy: { startTime: 'asc' }
+      }),
+      includeHolds
+        ? client.waitlistEntry.findMany({
+          where: { resourceId, ...filters.holds },
+          select: { id: true, startTime: true, endTime: true, offerExpiresAt: true },
+          orderBy: { startTime: 'asc' }
+        })
+        : []
+    ]);
+
+    if (turnoverMs === 0) {
+      return { bookings, blocks, holds };
+    }
+
+    const flag = c => ({ ...c, inBuffer: !timeRangesOverlap(c.startTime, c.endTime, startTime, endTime) });
+    return { bookings: bookings.map(flag), blocks, holds: holds.map(flag) };
+  }
+
+  /**
+   * Check whether a resource is free between startTime and endTime
+   */
+  static async checkAvailability(resourceId, startTime, endTime, options = {}) {
+    const conflicts = await this.getConflicts(resourceId, startTime, endTime, options);
+    const available = Object.values(conflicts).every(list => list.length === 0);
+
+    return { available, conflicts };
+  }
+
+  /**
+   * Throw a 409 describing the first kind of conflict, if there is one
+   */
+  static async assertAvailable(resourceId, startTime, endTime, options = {}) {
+    const { available, conflicts } = await this.checkAvailability(resourceId, startTime, endTime, options);
+
+    if (!available) {
+      throw this.conflictError(conflicts);
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Build the error for a set of conflicts; blocks win over bookings over holds
+   */
+  static conflictError(conflicts) {
+    const kind = ['blocks', 'bookings', 'holds'].find(k => conflicts[k].length > 0);
+    const onlyBuffers = conflicts[kind].every(c => c.inBuffer);
+
+    return {
+      statusCode: 409,
+      message: onlyBuffers ? CONFLICT_MESSAGES.turnover : CONFLICT_MESSAGES[kind],
+      errors: conflicts[kind].map(c => ({ type: kind, startTime: c.startTime, endTime: c.endTime }))
+    };
+  }
+
+  /**
+   * Check many ranges on one resource with a constant number of queries
+   * Returns one { startTime, endTime, available, conflicts } per range, in order
+   */
+  static async checkRanges(resourceId, ranges, options = {}) {
+    if (ranges.length === 0) return [];
+
+    const client = options.client || prisma;
+    const turnoverMs = options.buffers === false ? 0 : await this.getTurnoverMs(resourceId, client);
+    const spanStart = new Date(Math.min(...ranges.map(r => new Date(r.startTime).getTime())));
+    const spanEnd = new Date(Math.max(...ranges.map(r => new Date(r.endTime).getTime())));
+    const all = await this.getConflicts(resourceId, spanStart, spanEnd, { ...options, turnoverMs });
+
+    return ranges.map(range => {
+      const start = new Date(range.startTime).getTime();
+      const end = new Date(range.endTime).getTime();
+      const within = pad => c => timeRangesOverlap(c.startTime, c.endTime, start - pad, end + pad);
+      const flag = c => (turnoverMs ? { ...c, inBuffer: !within(0)(c) } : c);
+
+      const conflicts = {
+        bookings: all.bookings.filter(within(turnoverMs)).map(flag),
+        blocks: all.blocks.filter(within(0)),
+        holds: all.holds.filter(within(turnoverMs)).map(flag)
+      };
+
+      return {
+        ...range,
+        available: Object.values(conflicts).every(list => list.length === 0),
+        conflicts
+      };
+    });
+  }
+
+  /**
+   * Merge conflicts of every kind into sorted, non-overlapping busy ranges
+   * Bookings and holds are widened by the turnover time
+   */
+  static busyRanges(conflicts, turnoverMs = 0) {
+    const toRange = pad => c => ({
+      startTime: new Date(c.startTime).getTime() - pad,
+      endTime: new Date(c.endTime).getTime() + pad
+    });
+
+    const ranges = [
+      ...conflicts.bookings.map(toRange(turnoverMs)),
+      ...conflicts.holds.map(toRange(turnoverMs)),
+      ...conflicts.blocks.map(toRange(0))
+    ].sort((a, b) => a.startTime - b.startTime);
+
+    const merged = [];
+    for (const range of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && range.startTime <= last.endTime) {
+        last.endTime = Math.max(last.endTime, range.endTime);
+      } else {
+        merged.push({ ...range });
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Find bookable slots of a given length inside bookable windows
+   * (see BookingRuleService.getBookableWindows). Slot starts are aligned to
+   * stepMinutes from local midnight; slots starting before notBefore or after
+   * notAfter, or touching a booking, block or waitlist hold, are left out.
+   */
+  static async findFreeSlots(resource, windows, { durationMinutes, stepMinutes, userId = null, notBefore = new Date(), notAfter = null }) {
+    if (windows.length === 0) return [];
+
+    const duration = durationMinutes * 60 * 1000;
+    const step = stepMinutes * 60 * 1000;
+    const earliest = new Date(notBefore).getTime();
+    const latest = notAfter ? new Date(notAfter).getTime() : Infinity;
+
+    const turnoverMs = this.turnoverMs(resource);
+    const conflicts = await this.getConflicts(
+      resource.id,
+      windows[0].startTime,
+      windows[windows.length - 1].endTime,
+      { userId, turnoverMs }
+    );
+    const busy = this.busyRanges(conflicts, turnoverMs);
+
+    const slots = [];
+    for (const window of windows) {
+      const dayStart = window.dayStart.getTime();
+      const windowEnd = window.endTime.getTime();
+      const alignedAfter = (time) => dayStart + Math.ceil((time - dayStart) / step) * step;
+
+      let start = alignedAfter(Math.max(window.startTime.getTime(), earliest));
+
+      while (start + duration <= windowEnd && start <= latest) {
+        const end = start + duration;
+        const clash = busy.find(b => b.startTime < end && b.endTime > start);
+
+        if (!clash) {
+          slots.push({ date: window.date, startTime: new Date(start), endTime: new Date(end) });
+          start += step;
+        } else {
+          // Jump to the first aligned start after the clash
+          start = alignedAfter(clash.endTime);
+        }
+      }
+    }
+
+    return slots;
+  }
+
+  /**
+   * Get AVAILABLE resources that are free for the whole range
+   * One query finds resources with nothing overlapping the range itself; one
+   * more per kind re-checks those with buffers against their turnover time.
+   */
+  static async getAvailableResources(startTime, endTime, { type = null, userId = null } = {}) {
+    const filters = this.conflictFilters(startTime, endTime, { userId });
+
+    const where = {
+      status: 'AVAILABLE',
+      bookings: { none: filters.bookings },
+      resourceBlocks: { none: filters.blocks },
+      waitlistEntries: { none: filters.holds }
+    };
+    if (type) where.type = type;
+
+    const candidates = await prisma.resource.findMany({ where });
+    const buffered = candidates.filter(r => this.turnoverMs(r) > 0);
+
+    if (buffered.length === 0) {
+      return candidates;
+    }
+
+    const maxTurnoverMs = Math.max(...buffered.map(r => this.turnoverMs(r)));
+    const wide = this.conflictFilters(startTime, endTime, { userId, turnoverMs: maxTurnoverMs });
+    const resourceId = { in: buffered.map(r => r.id) };
+    const select = { resourceId: true, startTime: true, endTime: true };
+
+    const [bookings, holds] = await Promise.all([
+      prisma.booking.findMany({ where: { resourceId, ...wide.bookings }, select }),
+      prisma.waitlistEntry.findMany({ where: { resourceId, ...wide.holds }, select })
+    ]);
+
+    const start = new Date(startTime).getTime();
+    const end = new Date(endTime).getTime();
+
+    return candidates.filter(resource => {
+      const pad = this.turnoverMs(resource);
+      if (pad === 0) return true;
+
+      return ![...bookings, ...holds].some(c => c.resourceId === resource.id &&
+        timeRangesOverlap(c.startTime, c.endTime, start - pad, end + pad));
+    });
+  }
+}
+
+module.exports = AvailabilityService;
@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const AvailabilityService = require('./availabilityService');
 const { AuditService, AuditActions } = require('./auditService');
 
 const prisma = new PrismaClient();
@@ -29,67 +30,15 @@ class BlockService {
       throw { statusCode: 404, message: 'Resource not found' };
     }
 
-    // Check for existing bookings in this time range
-    const existingBooking = await prisma.booking.findFirst({
-      where: {
-        resourceId,
-        status: { not: 'CANCELLED' },
-        OR: [
-          {
-            AND: [
-              { startTime: { lte: start } },
-              { endTime: { gt: start } }
-            ]
-          },
-          {
-            AND: [
-              { startTime: { lt: end } },
-              { endTime: { gte: end } }
-            ]
-          },
-          {
-            AND: [
-              { startTime: { gte: start } },
-              { endTime: { lte: end } }
-            ]
-          }
-        ]
-      }
-    });
+    // Blocks may not cover existing bookings or other blocks
+    const conflicts = await AvailabilityService.getConflicts(resourceId, start, end, { holds: false, buffers: false });
 
-    if (existingBooking) {
-      throw { statusCode: 409, message: 'Cannot block time slot with existing bookings' };
+    if (conflicts.bookings.length > 0) {
+      throw { statusCode: 409, message: 'Cannot block time slot with existing bookings', errors: conflicts.bookings };
     }
 
-    // Check for overlapping blocks
-    const existingBlock = await prisma.resourceBlock.findFirst({
-      where: {
-        resourceId,
-        OR: [
-          {
-            AND: [
-              { startTime: { lte: start } },
-              { endTime: { gt: start } }
-            ]
-          },
-          {
-            AND: [
-              { startTime: { lt: end } },
-              { endTime: { gte: end } }
-            ]
-          },
-          {
-            AND: [
-              { startTime: { gte: start } },
-              { endTime: { lte: end } }
-            ]
-          }
-        ]
-      }
-    });
-
-    if (existingBlock) {
-      throw { statusCode: 409, message: 'Block overlaps with existing block' };
+    if (conflicts.blocks.length > 0) {
+      throw { statusCode: 409, message: 'Block overlaps with existing block', errors: conflicts.blocks };
     }
 
     const block = await prisma.resourceBlock.create({
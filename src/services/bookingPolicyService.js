@@ -0,0 +1,403 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const { zonedTimeToDate, toZonedDateString, addDays } = require('../utils/helpers');
+const { AuditService, AuditActions } = require('./auditService');
+
+const prisma = new PrismaClient();
+
+const SETTING_KEY = 'bookingPolicies';
+const HOUR_MS = 60 * 60 * 1000;
+
+// Bookings that still take up a user's quota
+const ACTIVE_STATUSES = ['PENDING', 'CONFIRMED'];
+// Bookings counted towards weekly hours, including ones already used
+const USED_STATUSES = ['PENDING', 'CONFIRMED', 'COMPLETED'];
+
+const bookings = (count) => `${count} booking${count === 1 ? '' : 's'}`;
+
+/**
+ * Booking Policy Service
+ * Fair-use limits applied to every booking a user makes, stored as JSON in the
+ * `bookingPolicies` setting:
+ *   maxActiveBookings     - upcoming PENDING/CONFIRMED bookings per user
+ *   maxConcurrentBookings - bookings a user may hold at the same moment
+ *   maxHoursPerWeek       - { [resourceType]: hours } booked per week (Monday
+ *                           to Monday in config.locale.timezone)
+ * A missing or null limit means no limit. An organisation's `quotas`, in the
+ * same shape, also limit the bookings of all its members together.
+ */
+class BookingPolicyService {
+  /**
+   * Clean a policy object: positive integers or null, hours keyed by resource type
+   */
+  static normalize(values = {}) {
+    const limit = (value) => {
+      const number = parseInt(value);
+      return number > 0 ? number : null;
+    };
+
+    const maxHoursPerWeek = {};
+    for (const [type, hours] of Object.entries(values.maxHoursPerWeek || {})) {
+      const number = parseFloat(hours);
+      if (number > 0) {
+        maxHoursPerWeek[type] = number;
+      }
+    }
+
+    return {
+      maxActiveBookings: limit(values.maxActiveBookings),
+      maxConcurrentBookings: limit(values.maxConcurrentBookings),
+      maxHoursPerWeek
+    };
+  }
+
+  /**
+   * Current policies: the saved setting over config defaults
+   */
+  static async getPolicies() {
+    const setting = await prisma.setting.findUnique({
+      where: { key: SETTING_KEY }
+    });
+
+    let saved = {};
+    if (setting) {
+      try {
+        saved = JSON.parse(setting.value);
+      } catch (err) {
+        console.error('Ignoring invalid bookingPolicies setting:', err.message);
+      }
+    }
+
+    return this.normalize({ ...config.bookingPolicies, ...saved });
+  }
+
+  /**
+   * Update policies (admin); fields left out keep their current value and a
+   * given maxHoursPerWeek replaces the whole map
+   */
+  static async updatePolicies(values, adminId, ipAddress) {
+    const previous = await this.getPolicies();
+    const policies = this.normalize({ ...previous, ...values });
+    const value = JSON.stringify(policies);
+
+    await prisma.setting.upsert({
+      where: { key: SETTING_KEY },
+      update: { value, type: 'json' },
+      create: { key: SETTING_KEY, value, type: 'json' }
+    });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.SETTINGS_UPDATE,
+      entity: 'Setting',
+      entityId: SETTING_KEY,
+      ipAddress,
+      details: { previous, policies }
+    });
+
+    return policies;
+  }
+
+  /**
+   * The policy week containing a date
+   */
+  static weekOf(date) {
+    const timeZone = config.locale.timezone;
+    const day = toZonedDateString(date, timeZone);
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    const monday = addDays(day, -((weekday + 6) % 7));
+
+    return {
+      weekStart: zonedTimeToDate(monday, '00:00', timeZone),
+      weekEnd: zonedTimeToDate(addDays(monday, 7), '00:00', timeZone)
+    };
+  }
+
+  /**
+   * Every policy week touched by a set of ranges, in order
+   */
+  static weeksFor(ranges) {
+    const weeks = new Map();
+
+    for (const range of ranges) {
+      let week = this.weekOf(range.startTime);
+      while (week.weekStart < new Date(range.endTime)) {
+        weeks.set(week.weekStart.getTime(), week);
+        week = this.weekOf(week.weekEnd);
+      }
+    }
+
+    return [...weeks.values()].sort((a, b) => a.weekStart - b.weekStart);
+  }
+
+  /**
+   * Hours of a set of ranges falling between from and to
+   */
+  static hoursWithin(ranges, from, to) {
+    const ms = ranges.reduce((sum, range) => {
+      const start = Math.max(new Date(range.startTime).getTime(), new Date(from).getTime());
+      const end = Math.min(new Date(range.endTime).getTime(), new Date(to).getTime());
+      return sum + Math.max(0, end - start);
+    }, 0);
+
+    return ms / HOUR_MS;
+  }
+
+  /**
+   * Largest number of ranges overlapping at any moment between from and to
+   */
+  static peakConcurrency(ranges, from, to) {
+    const events = [];
+
+    for (const range of ranges) {
+      const start = Math.max(new Date(range.startTime).getTime(), new Date(from).getTime());
+      const end = Math.min(new Date(range.endTime).getTime(), new Date(to).getTime());
+      if (start < end) {
+        events.push([start, 1], [end, -1]);
+      }
+    }
+
+    // Ends sort before starts at the same instant: back-to-back isn't concurrent
+    events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    let current = 0;
+    let peak = 0;
+    for (const [, delta] of events) {
+      current += delta;
+      peak = Math.max(peak, current);
+    }
+
+    return peak;
+  }
+
+  /**
+   * Lock a user's row, and their organisation's, for the rest of a transaction
+   * Taken after the resource lock, so quota re-checks for one user, or one
+   * organisation, run one at a time even across resources.
+   */
+  static async lockQuotas(tx, userId) {
+    const rows = await tx.$queryRaw`SELECT organisationId FROM users WHERE id = ${userId} FOR UPDATE`;
+    const organisationId = rows.length > 0 ? rows[0].organisationId : null;
+
+    if (organisationId) {
+      await tx.$queryRaw`SELECT id FROM organisations WHERE id = ${organisationId} FOR UPDATE`;
+    }
+  }
+
+  /**
+   * The organisation a user belongs to, if it sets quotas
+   */
+  static async getOrganisationQuotas(userId, client = prisma) {
+    const user = await client.user.findUnique({
+      where: { id: userId },
+      select: { organisation: { select: { id: true, name: true, quotas: true } } }
+    });
+
+    if (!user || !user.organisation || !user.organisation.quotas) return null;
+
+    return { ...user.organisation, policies: this.normalize(user.organisation.quotas) };
+  }
+
+  /**
+   * Policy violations for a user booking ranges on a resource, against the
+   * user's own limits and then their organisation's
+   * excludeBookingId: leave out a booking being rescheduled
+   * client: a transaction holding lockQuotas, to re-check before writing
+   */
+  static async getViolations(
+    userId,
+    resource,
+    ranges,
+    { excludeBookingId = null, policies = null, now = new Date(), client = prisma } = {}
+  ) {
+    policies = policies || await this.getPolicies();
+
+    const violations = await this.checkLimits(
+      { where: { userId }, who: 'You', has: 'you have' },
+      policies,
+      resource,
+      ranges,
+      { excludeBookingId, now, client }
+    );
+
+    const organisation = await this.getOrganisationQuotas(userId, client);
+    if (organisation) {
+      violations.push(...await this.checkLimits(
+        { where: { user: { organisationId: organisation.id } }, who: 'Your organisation', has: 'it has' },
+        organisation.policies,
+        resource,
+        ranges,
+        { excludeBookingId, now, client }
+      ));
+    }
+
+    return violations;
+  }
+
+  /**
+   * Violations of one set of limits by the bookings matching scope.where
+   * scope.who and scope.has name whose limits they are in the messages
+   */
+  static async checkLimits(scope, policies, resource, ranges, { excludeBookingId = null, now = new Date(), client = prisma } = {}) {
+    const { who, has } = scope;
+    const violations = [];
+
+    const where = { ...scope.where };
+    if (excludeBookingId) {
+      where.id = { not: excludeBookingId };
+    }
+
+    if (policies.maxActiveBookings) {
+      const active = await client.booking.count({
+        where: { ...where, status: { in: ACTIVE_STATUSES }, endTime: { gt: now } }
+      });
+
+      if (active + ranges.length > policies.maxActiveBookings) {
+        violations.push(
+          `${who} can have at most ${bookings(policies.maxActiveBookings)} active (${has} ${active})`
+        );
+      }
+    }
+
+    if (policies.maxConcurrentBookings) {
+      const from = new Date(Math.min(...ranges.map(r => new Date(r.startTime).getTime())));
+      const to = new Date(Math.max(...ranges.map(r => new Date(r.endTime).getTime())));
+
+      const existing = await client.booking.findMany({
+        where: { ...where, status: { in: ACTIVE_STATUSES }, startTime: { lt: to }, endTime: { gt: from } },
+        select: { startTime: true, endTime: true }
+      });
+
+      const all = [...existing, ...ranges];
+      const tooMany = ranges.some(range =>
+        this.peakConcurrency(all, range.startTime, range.endTime) > policies.maxConcurrentBookings
+      );
+
+      if (tooMany) {
+        violations.push(
+          `${who} can have at most ${bookings(policies.maxConcurrentBookings)} at the same time`
+        );
+      }
+    }
+
+    const maxHours = policies.maxHoursPerWeek[resource.type];
+    if (maxHours) {
+      const weeks = this.weeksFor(ranges);
+      const from = weeks[0].weekStart;
+      const to = weeks[weeks.length - 1].weekEnd;
+
+      const existing = await client.booking.findMany({
+        where: {
+          ...where,
+          status: { in: USED_STATUSES },
+          resource: { type: resource.type },
+          startTime: { lt: to },
+          endTime: { gt: from }
+        },
+        select: { startTime: true, endTime: true }
+      });
+
+      for (const { weekStart, weekEnd } of weeks) {
+        const used = this.hoursWithin(existing, weekStart, weekEnd);
+        const requested = this.hoursWithin(ranges, weekStart, weekEnd);
+
+        if (used + requested > maxHours) {
+          violations.push(
+            `${who} can book at most ${maxHours} hours of ${resource.type} per week ` +
+            `(${+used.toFixed(2)} already booked in the week of ${toZonedDateString(weekStart, config.locale.timezone)})`
+          );
+        }
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Throw a 422 listing every policy the ranges would break
+   */
+  static async assertWithinQuota(userId, resource, ranges, options = {}) {
+    const violations = await this.getViolations(userId, resource, ranges, options);
+
+    if (violations.length > 0) {
+      throw { statusCode: 422, message: violations[0], errors: violations };
+    }
+  }
+
+  /**
+   * A user's limits, usage and what is left, with hours for the current week,
+   * and the same for their organisation when it sets quotas
+   */
+  static async getQuota(userId, now = new Date()) {
+    const [policies, organisation] = await Promise.all([
+      this.getPolicies(),
+      this.getOrganisationQuotas(userId)
+    ]);
+
+    const quota = await this.getUsage({ userId }, policies, now);
+
+    return {
+      ...quota,
+      organisation: organisation
+        ? {
+          id: organisation.id,
+          name: organisation.name,
+          ...(await this.getUsage({ user: { organisationId: organisation.id } }, organisation.policies, now))
+        }
+        : null
+    };
+  }
+
+  /**
+   * Limits, usage and what is left for the bookings matching where
+   */
+  static async getUsage(where, policies, now = new Date()) {
+    const { weekStart, weekEnd } = this.weekOf(now);
+    const types = Object.keys(policies.maxHoursPerWeek);
+    const remaining = (limit, used) => (limit ? Math.max(0, +(limit - used).toFixed(2)) : null);
+
+    const [active, weekBookings] = await Promise.all([
+      prisma.booking.count({
+        where: { ...where, status: { in: ACTIVE_STATUSES }, endTime: { gt: now } }
+      }),
+      types.length > 0
+        ? prisma.booking.findMany({
+          where: {
+            ...where,
+            status: { in: USED_STATUSES },
+            resource: { type: { in: types } },
+            startTime: { lt: weekEnd },
+            endTime: { gt: weekStart }
+          },
+          select: { startTime: true, endTime: true, resource: { select: { type: true } } }
+        })
+        : []
+    ]);
+
+    const hoursPerWeek = types.map(resourceType => {
+      const used = +this.hoursWithin(
+        weekBookings.filter(b => b.resource.type === resourceType),
+        weekStart,
+        weekEnd
+      ).toFixed(2);
+      const limit = policies.maxHoursPerWeek[resourceType];
+
+      return { resourceType, limit, used, remaining: remaining(limit, used) };
+    });
+
+    return {
+      activeBookings: {
+        limit: policies.maxActiveBookings,
+        used: active,
+        remaining: remaining(policies.maxActiveBookings, active)
+      },
+      concurrentBookings: {
+        limit: policies.maxConcurrentBookings
+      },
+      week: { startTime: weekStart, endTime: weekEnd },
+      hoursPerWeek
+    };
+  }
+}
+
+module.exports = BookingPolicyService;
@@ -0,0 +1,441 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const config = require('../config');
+const { zonedTimeToDate, toZonedDateString, addDays } = require('../utils/helpers');
+const { AuditService, AuditActions } = require('./auditService');
+
+const prisma = new PrismaClient();
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const RULE_FIELDS = [
+  'openingHours',
+  'minDurationMinutes',
+  'maxDurationMinutes',
+  'slotMinutes',
+  'leadTimeMinutes',
+  'maxAdvanceDays'
+];
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const dateOnly = (dateStr) => new Date(`${dateStr}T00:00:00Z`);
+
+/**
+ * Booking Rule Service
+ * Opening hours, holiday closures and duration/lead-time limits that decide
+ * when a resource can be booked. Times are wall-clock in config.locale.timezone.
+ */
+class BookingRuleService {
+  /**
+   * Rules that apply to a resource: its own, then its type's, then the defaults
+   */
+  static async getEffectiveRules(resource) {
+    const rules = await prisma.bookingRule.findMany({
+      where: {
+        OR: [
+          { resourceId: resource.id },
+          { resourceType: resource.type }
+        ]
+      }
+    });
+
+    const own = rules.find(r => r.resourceId === resource.id) || {};
+    const byType = rules.find(r => r.resourceType === resource.type) || {};
+    const defaults = { openingHours: null, ...config.bookingRules };
+
+    const effective = {};
+    for (const field of RULE_FIELDS) {
+      effective[field] = [own[field], byType[field], defaults[field]]
+        .find(v => v !== null && v !== undefined);
+      if (effective[field] === undefined) effective[field] = null;
+    }
+
+    return effective;
+  }
+
+  /**
+   * Validate and sort opening hours (or any hours of the same shape, named by
+   * label in errors); throws 400 on malformed input
+   */
+  static normalizeOpeningHours(hours, label = 'Opening hours') {
+    if (hours === null || hours === undefined) return null;
+
+    if (typeof hours !== 'object' || Array.isArray(hours)) {
+      throw { statusCode: 400, message: `${label} must be an object keyed by day (mon, tue, ...)` };
+    }
+
+    const normalized = {};
+    for (const [day, intervals] of Object.entries(hours)) {
+      if (!DAYS.includes(day)) {
+        throw { statusCode: 400, message: `Unknown day "${day}" in ${label.toLowerCase()}` };
+      }
+
+      if (!Array.isArray(intervals)) {
+        throw { statusCode: 400, message: `${label} for ${day} must be a list` };
+      }
+
+      const sorted = intervals
+        .map(i => {
+          if (!i || !TIME_PATTERN.test(i.open) || !TIME_PATTERN.test(i.close) || toMinutes(i.open) >= toMinutes(i.close)) {
+            throw { statusCode: 400, message: `${label} for ${day} need "open" before "close" as HH:mm` };
+          }
+          return { open: i.open, close: i.close };
+        })
+        .sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+
+      for (let i = 1; i < sorted.length; i++) {
+        if (toMinutes(sorted[i].open) < toMinutes(sorted[i - 1].close)) {
+          throw { statusCode: 400, message: `${label} for ${day} overlap` };
+        }
+      }
+
+      normalized[day] = sorted;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Opening windows on one "YYYY-MM-DD" day; the whole day when hours are unset
+   */
+  static getOpeningWindows(rules, date) {
+    const timeZone = config.locale.timezone;
+    const toDate = (time) => (time === '24:00'
+      ? zonedTimeToDate(addDays(date, 1), '00:00', timeZone)
+      : zonedTimeToDate(date, time, timeZone));
+
+    if (!rules.openingHours) {
+      return [{ startTime: toDate('00:00'), endTime: toDate('24:00') }];
+    }
+
+    const day = DAYS[dateOnly(date).getUTCDay()];
+    return (rules.openingHours[day] || []).map(i => ({
+      startTime: toDate(i.open),
+      endTime: toDate(i.close)
+    }));
+  }
+
+  /**
+   * Closures affecting a resource between two "YYYY-MM-DD" days (inclusive)
+   */
+  static async getClosures(resource, fromDate, toDate) {
+    return prisma.resourceClosure.findMany({
+      where: {
+        OR: [
+          { resourceId: resource.id },
+          { resourceId: null, resourceType: resource.type },
+          { resourceId: null, resourceType: null }
+        ],
+        startDate: { lte: dateOnly(toDate) },
+        endDate: { gte: dateOnly(fromDate) }
+      },
+      orderBy: { startDate: 'asc' }
+    });
+  }
+
+  /**
+   * Whether a "YYYY-MM-DD" day falls in one of the closures
+   */
+  static findClosure(closures, date) {
+    const day = dateOnly(date).getTime();
+    return closures.find(c => c.startDate.getTime() <= day && c.endDate.getTime() >= day);
+  }
+
+  /**
+   * List every rule a booking of [startTime, endTime) would break
+   */
+  static async getViolations(resource, startTime, endTime, { rules = null, now = new Date() } = {}) {
+    rules = rules || await this.getEffectiveRules(resource);
+
+    const timeZone = config.locale.timezone;
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    const durationMinutes = (end - start) / 60000;
+    const violations = [];
+
+    if (rules.minDurationMinutes && durationMinutes < rules.minDurationMinutes) {
+      violations.push(`Bookings must be at least ${rules.minDurationMinutes} minutes`);
+    }
+
+    if (rules.maxDurationMinutes && durationMinutes > rules.maxDurationMinutes) {
+      violations.push(`Bookings cannot be longer than ${rules.maxDurationMinutes} minutes`);
+    }
+
+    const startDate = toZonedDateString(start, timeZone);
+    const endDate = toZonedDateString(new Date(end.getTime() - 1), timeZone);
+
+    if (rules.slotMinutes) {
+      const sinceMidnight = (start - zonedTimeToDate(startDate, '00:00', timeZone)) / 60000;
+      if (sinceMidnight % rules.slotMinutes !== 0 || durationMinutes % rules.slotMinutes !== 0) {
+        violations.push(`Bookings must start and end on ${rules.slotMinutes}-minute boundaries`);
+      }
+    }
+
+    if (rules.leadTimeMinutes && start < new Date(now.getTime() + rules.leadTimeMinutes * 60000)) {
+      violations.push(`Bookings must be made at least ${rules.leadTimeMinutes} minutes in advance`);
+    }
+
+    if (rules.maxAdvanceDays && start > new Date(now.getTime() + rules.maxAdvanceDays * 24 * 60 * 60000)) {
+      violations.push(`Bookings cannot be made more than ${rules.maxAdvanceDays} days in advance`);
+    }
+
+    if (rules.openingHours) {
+      const windows = this.getOpeningWindows(rules, startDate);
+      if (!windows.some(w => w.startTime <= start && end <= w.endTime)) {
+        violations.push('Bookings must fall within the resource\'s opening hours');
+      }
+    }
+
+    const closures = await this.getClosures(resource, startDate, endDate);
+    for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+      const closure = this.findClosure(closures, day);
+      if (closure) {
+        violations.push(`The resource is closed on ${day}${closure.reason ? ` (${closure.reason})` : ''}`);
+        break;
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Throw a 400 listing every broken rule
+   */
+  static async assertBookable(resource, startTime, endTime, options = {}) {
+    const violations = await this.getViolations(resource, startTime, endTime, options);
+
+    if (violations.length > 0) {
+      throw { statusCode: 400, message: violations[0], errors: violations };
+    }
+  }
+
+  /**
+   * Open windows for each day of a range, skipping closures
+   * Each window carries its day's local midnight as `dayStart` for slot alignment
+   */
+  static async getBookableWindows(resource, date, endDate = date, rules = null) {
+    rules = rules || await this.getEffectiveRules(resource);
+
+    const timeZone = config.locale.timezone;
+    const closures = await this.getClosures(resource, date, endDate);
+    const windows = [];
+
+    for (let day = date; day <= endDate; day = addDays(day, 1)) {
+      if (this.findClosure(closures, day)) continue;
+
+      const dayStart = zonedTimeToDate(day, '00:00', timeZone);
+      for (const window of this.getOpeningWindows(rules, day)) {
+        windows.push({ date: day, dayStart, ...window });
+      }
+    }
+
+    return windows;
+  }
+
+  // =====================
+  // Admin
+  // =====================
+
+  /**
+   * List all resource and type rules
+   */
+  static async getRules() {
+    return prisma.bookingRule.findMany({
+      include: {
+        resource: {
+          select: { id: true, name: true, type: true }
+        }
+      },
+      orderBy: [{ resourceType: 'asc' }, { createdAt: 'asc' }]
+    });
+  }
+
+  /**
+   * Create or replace the rule for a resource or a resource type
+   * target: { resourceId } or { resourceType }
+   */
+  static async upsertRule(target, data, adminId, ipAddress) {
+    if (target.resourceId) {
+      const resource = await prisma.resource.findUnique({ where: { id: target.resourceId } });
+      if (!resource) {
+        throw { statusCode: 404, message: 'Resource not found' };
+      }
+    }
+
+    const values = {};
+    for (const field of RULE_FIELDS) {
+      values[field] = data[field] === undefined ? null : data[field];
+    }
+    values.openingHours = this.normalizeOpeningHours(values.openingHours);
+
+    if (values.minDurationMinutes && values.maxDurationMinutes &&
+      values.minDurationMinutes > values.maxDurationMinutes) {
+      throw { statusCode: 400, message: 'Minimum duration cannot exceed maximum duration' };
+    }
+
+    // A null Json column needs Prisma.DbNull to be stored as SQL NULL
+    const stored = { ...values, openingHours: values.openingHours || Prisma.DbNull };
+    const rule = await prisma.bookingRule.upsert({
+      where: target,
+      create: { ...target, ...stored },
+      update: stored
+    });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.BOOKING_RULE_UPDATE,
+      entity: 'BookingRule',
+      entityId: rule.id,
+      ipAddress,
+      details: { ...target, ...values }
+    });
+
+    return rule;
+  }
+
+  /**
+   * Delete a rule; the resource falls back to its type's rule or the defaults
+   */
+  static async deleteRule(ruleId, adminId, ipAddress) {
+    const rule = await prisma.bookingRule.findUnique({ where: { id: ruleId } });
+
+    if (!rule) {
+      throw { statusCode: 404, message: 'Booking rule not found' };
+    }
+
+    await prisma.bookingRule.delete({ where: { id: ruleId } });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.BOOKING_RULE_DELETE,
+      entity: 'BookingRule',
+      entityId: ruleId,
+      ipAddress,
+      details: { resourceId: rule.resourceId, resourceType: rule.resourceType }
+    });
+
+    return { message: 'Booking rule deleted successfully' };
+  }
+
+  /**
+   * List closures, optionally only those ending on or after a day
+   */
+  static async getAllClosures({ page = 1, limit = 20, resourceId, from }) {
+    const skip = (page - 1) * limit;
+    const where = {};
+
+    if (resourceId) where.resourceId = resourceId;
+    if (from) where.endDate = { gte: dateOnly(from) };
+
+    const [closures, total] = await Promise.all([
+      prisma.resourceClosure.findMany({
+        where,
+        include: {
+          resource: {
+            select: { id: true, name: true, type: true }
+          }
+        },
+        orderBy: { startDate: 'asc' },
+        skip,
+        take: limit
+      }),
+      prisma.resourceClosure.count({ where })
+    ]);
+
+    return {
+      closures,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Upcoming closures for one resource, for display
+   */
+  static async getUpcomingClosures(resource, days = 90) {
+    const today = toZonedDateString(new Date(), config.locale.timezone);
+    return this.getClosures(resource, today, addDays(today, days));
+  }
+
+  /**
+   * Close a resource, a type or everything for one or more days
+   */
+  static async createClosure({ resourceId, resourceType, startDate, endDate, reason }, adminId, ipAddress) {
+    endDate = endDate || startDate;
+
+    if (endDate < startDate) {
+      throw { statusCode: 400, message: 'End date must not be before start date' };
+    }
+
+    if (resourceId && resourceType) {
+      throw { statusCode: 400, message: 'Set either a resource or a resource type, not both' };
+    }
+
+    if (resourceId) {
+      const resource = await prisma.resource.findUnique({ where: { id: resourceId } });
+      if (!resource) {
+        throw { statusCode: 404, message: 'Resource not found' };
+      }
+    }
+
+    const closure = await prisma.resourceClosure.create({
+      data: {
+        resourceId: resourceId || null,
+        resourceType: resourceType || null,
+        startDate: dateOnly(startDate),
+        endDate: dateOnly(endDate),
+        reason,
+        createdBy: adminId
+      }
+    });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.CLOSURE_CREATE,
+      entity: 'ResourceClosure',
+      entityId: closure.id,
+      ipAddress,
+      details: { resourceId, resourceType, startDate, endDate, reason }
+    });
+
+    return closure;
+  }
+
+  /**
+   * Remove a closure
+   */
+  static async deleteClosure(closureId, adminId, ipAddress) {
+    const closure = await prisma.resourceClosure.findUnique({ where: { id: closureId } });
+
+    if (!closure) {
+      throw { statusCode: 404, message: 'Closure not found' };
+    }
+
+    await prisma.resourceClosure.delete({ where: { id: closureId } });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.CLOSURE_DELETE,
+      entity: 'ResourceClosure',
+      entityId: closureId,
+      ipAddress,
+      details: {
+        resourceId: closure.resourceId,
+        resourceType: closure.resourceType,
+        startDate: closure.startDate,
+        endDate: closure.endDate
+      }
+    });
+
+    return { message: 'Closure deleted successfully' };
+  }
+}
+
+module.exports = BookingRuleService;
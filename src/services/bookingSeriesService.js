@@ -0,0 +1,355 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const { expandRecurrence } = require('../utils/helpers');
+const BookingService = require('./bookingService');
+const AvailabilityService = require('./availabilityService');
+const BookingRuleService = require('./bookingRuleService');
+const BookingPolicyService = require('./bookingPolicyService');
+const OrganisationService = require('./organisationService');
+const PaymentService = require('./paymentService');
+const PricingService = require('./pricingService');
+const NotificationService = require('./notificationService');
+const MessageService = require('./messageService');
+const { AuditService, AuditActions } = require('./auditService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Booking Series Service
+ * Handles recurring bookings: each occurrence is a normal Booking linked to a BookingSeries
+ */
+class BookingSeriesService {
+  /**
+   * Create a recurring booking series
+   * Every occurrence is checked for blocks and overlapping bookings. If any
+   * conflict, nothing is created and the conflicts are reported, unless
+   * skipConflicts is set, in which case only the free occurrences are booked.
+   * Payments are taken one booking at a time, so series that would need one
+   * are refused.
+   */
+  static async createSeries({ userId, resourceId, startTime, endTime, notes, recurrence, skipConflicts = false }, ipAddress) {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    if (start >= end) {
+      throw { statusCode: 400, message: 'End time must be after start time' };
+    }
+
+    if (start < new Date()) {
+      throw { statusCode: 400, message: 'Cannot book in the past' };
+    }
+
+    if (!recurrence.until && !recurrence.count) {
+      throw { statusCode: 400, message: 'Recurrence needs an end date (until) or a count' };
+    }
+
+    const resource = await prisma.resource.findUnique({
+      where: { id: resourceId }
+    });
+
+    if (!resource) {
+      throw { statusCode: 404, message: 'Resource not found' };
+    }
+
+    if (resource.status !== 'AVAILABLE') {
+      throw { statusCode: 400, message: 'Resource is not available for booking' };
+    }
+
+    const occurrences = expandRecurrence(
+      start, end, recurrence, config.bookings.maxSeriesOccurrences, config.locale.timezone
+    );
+
+    // Check every occurrence against the booking rules and existing bookings
+    const rules = await BookingRuleService.getEffectiveRules(resource);
+    const checked = await AvailabilityService.checkRanges(resourceId, occurrences, { userId });
+    const conflicts = [];
+    const available = [];
+
+    for (const occurrence of checked) {
+      const violations = await BookingRuleService.getViolations(resource, occurrence.startTime, occurrence.endTime, { rules });
+      const { startTime, endTime } = occurrence;
+
+      if (violations.length > 0) {
+        conflicts.push({ startTime, endTime, reason: violations[0] });
+      } else if (!occurrence.available) {
+        conflicts.push({ startTime, endTime, reason: AvailabilityService.conflictError(occurrence.conflicts).message });
+      } else {
+        available.push({ startTime, endTime });
+      }
+    }
+
+    if (conflicts.length > 0 && !skipConflicts) {
+      throw {
+        statusCode: 409,
+        message: `${conflicts.length} of ${occurrences.length} occurrences cannot be booked`,
+        errors: conflicts
+      };
+    }
+
+    if (available.length === 0) {
+      throw { statusCode: 409, message: 'None of the occurrences are available', errors: conflicts };
+    }
+
+    // Quotas apply to the series as a whole
+    await BookingPolicyService.assertWithinQuota(userId, resource, available);
+
+    const pricing = await PricingService.getEffectivePricing(resource);
+    const quotes = await Promise.all(
+      available.map(o => PricingService.quote(resource, o.startTime, o.endTime, { pricing }))
+    );
+
+    // Payments are taken one booking at a time
+    if (quotes.some(quote => PaymentService.isRequired(quote.total))) {
+      throw { statusCode: 400, message: 'Recurring bookings of paid resources cannot be paid online; book each occurrence separately' };
+    }
+
+    const requiresApproval = resource.requiresApproval;
+    const holdExpiresAt = requiresApproval
+      ? new Date(Date.now() + config.bookings.approvalHoldMinutes * 60 * 1000)
+      : null;
+
+    const series = await prisma.$transaction(async (tx) => {
+      await BookingService.lockResource(tx, resourceId);
+
+      // Double-check now that no other booking for this resource can be written
+      const rechecked = await AvailabilityService.checkRanges(resourceId, available, { client: tx, holds: false });
+      const taken = rechecked.find(o => o.conflicts.bookings.length > 0);
+
+      if (taken) {
+        throw {
+          statusCode: 409,
+          message: 'An occurrence was just booked by another user',
+          errors: [{ startTime: taken.startTime, endTime: taken.endTime, reason: 'This time slot was just booked by another user' }]
+        };
+      }
+
+      // The user's other bookings may have used up their quota meanwhile
+      await BookingPolicyService.lockQuotas(tx, userId);
+      await BookingPolicyService.assertWithinQuota(userId, resource, available, { client: tx });
+
+      const created = await tx.bookingSeries.create({
+        data: {
+          userId,
+          resourceId,
+          frequency: recurrence.frequency,
+          interval: recurrence.interval || 1,
+          until: recurrence.until ? new Date(recurrence.until) : null,
+          count: recurrence.count || null,
+          startTime: start,
+          endTime: end,
+          notes
+        }
+      });
+
+      for (const [i, occurrence] of available.entries()) {
+        const quote = quotes[i];
+
+        await tx.booking.create({
+          data: {
+            userId,
+            resourceId,
+            seriesId: created.id,
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            subtotal: quote.subtotal,
+            feeAmount: quote.feeAmount,
+            taxAmount: quote.taxAmount,
+            totalPrice: quote.total,
+            currency: quote.currency,
+            priceBreakdown: quote,
+            status: requiresApproval ? 'PENDING' : 'CONFIRMED',
+            holdExpiresAt,
+            notes
+          }
+        });
+      }
+
+      return created;
+    }, {
+      // Holds the resource lock while inserting up to maxSeriesOccurrences rows
+      timeout: 30000
+    });
+
+    const result = await this.getSeriesById(series.id, userId, true);
+
+    // One notification and email for the whole series
+    try {
+      await NotificationService.notifyBookingSeriesCreated(userId, result, resource);
+    } catch (err) {
+      console.error('Failed to create series notification:', err.message);
+    }
+
+    try {
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+      if (user) {
+        await MessageService.sendBookingSeriesConfirmation(user, result, resource);
+      }
+    } catch (err) {
+      console.error('Failed to send series confirmation:', err.message);
+    }
+
+    await AuditService.log({
+      userId,
+      action: AuditActions.BOOKING_SERIES_CREATE,
+      entity: 'BookingSeries',
+      entityId: series.id,
+      ipAddress,
+      details: {
+        resourceId,
+        resourceName: resource.name,
+        recurrence,
+        created: available.length,
+        skipped: conflicts.length
+      }
+    });
+
+    return { series: result, conflicts };
+  }
+
+  /**
+   * Get a series with its occurrences
+   */
+  static async getSeriesById(seriesId, userId = null, isAdmin = false) {
+    const series = await prisma.bookingSeries.findUnique({
+      where: { id: seriesId },
+      include: {
+        resource: {
+          select: { id: true, name: true, type: true }
+        },
+        bookings: {
+          orderBy: { startTime: 'asc' }
+        }
+      }
+    });
+
+    if (!series) {
+      throw { statusCode: 404, message: 'Booking series not found' };
+    }
+
+    if (!isAdmin && userId && !(await OrganisationService.canActFor(userId, series.userId))) {
+      throw { statusCode: 403, message: 'Not authorized to view this booking series' };
+    }
+
+    return series;
+  }
+
+  /**
+   * Cancel occurrences of a series relative to one of its bookings
+   * scope: 'following' - this occurrence and every later one not yet started
+   *        'all'       - every occurrence that has not started yet
+   * Each occurrence is cancelled like a single booking: payments released,
+   * refunds per the cancellation policy (or refundPercent, admins only) and
+   * the slot offered to the waitlist.
+   */
+  static async cancelOccurrences(bookingId, scope, userId, isAdmin = false, ipAddress, { refundPercent } = {}) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: { resource: true }
+    });
+
+    if (!booking) {
+      throw { statusCode: 404, message: 'Booking not found' };
+    }
+
+    if (!booking.seriesId) {
+      throw { statusCode: 400, message: 'Booking is not part of a series' };
+    }
+
+    if (!isAdmin && !(await OrganisationService.canActFor(userId, booking.userId))) {
+      throw { statusCode: 403, message: 'Not authorized to cancel this booking' };
+    }
+
+    BookingService.assertCanOverrideRefund(refundPercent, isAdmin);
+
+    const now = new Date();
+    const where = {
+      seriesId: booking.seriesId,
+      status: { in: ['PENDING', 'CONFIRMED'] },
+      startTime: scope === 'following' ? { gte: booking.startTime, gt: now } : { gt: now }
+    };
+
+    const candidates = await prisma.booking.findMany({
+      where,
+      include: { resource: true },
+      orderBy: { startTime: 'asc' }
+    });
+
+    if (candidates.length === 0) {
+      throw { statusCode: 400, message: 'No upcoming occurrences to cancel' };
+    }
+
+    const toCancel = [];
+    let refundedAmount = 0;
+
+    for (const occurrence of candidates) {
+      const { refundAmount } = await BookingService.getCancellationTerms(occurrence, { refundPercent });
+
+      // Guarded like a single cancellation, so a concurrent one doesn't refund twice
+      const result = await prisma.booking.updateMany({
+        where: { id: occurrence.id, status: { in: ['PENDING', 'CONFIRMED'] } },
+        data: { status: 'CANCELLED' }
+      });
+      if (result.count === 0) continue;
+
+      toCancel.push({ id: occurrence.id, startTime: occurrence.startTime, endTime: occurrence.endTime });
+
+      await BookingService.releasePayments(occurrence.id);
+
+      if (refundAmount > 0) {
+        try {
+          refundedAmount += await PaymentService.refundBooking(occurrence.id, refundAmount, {
+            userId,
+            ipAddress,
+            reason: 'cancellation'
+          });
+        } catch (err) {
+          console.error('Failed to refund cancelled occurrence:', err.message);
+        }
+      }
+
+      await BookingService.offerFreedSlot(occurrence.resourceId, occurrence.startTime, occurrence.endTime);
+    }
+
+    if (toCancel.length === 0) {
+      throw { statusCode: 409, message: 'These occurrences were just cancelled' };
+    }
+
+    const series = await this.getSeriesById(booking.seriesId, null, true);
+
+    try {
+      await NotificationService.notifyBookingSeriesCancelled(booking.userId, series, booking.resource, toCancel);
+    } catch (err) {
+      console.error('Failed to create series cancellation notification:', err.message);
+    }
+
+    try {
+      const user = await prisma.user.findUnique({ where: { id: booking.userId } });
+      if (user) {
+        await MessageService.sendBookingSeriesCancellation(user, series, booking.resource, toCancel);
+      }
+    } catch (err) {
+      console.error('Failed to send series cancellation email:', err.message);
+    }
+
+    await AuditService.log({
+      userId,
+      action: AuditActions.BOOKING_SERIES_CANCEL,
+      entity: 'BookingSeries',
+      entityId: booking.seriesId,
+      ipAddress,
+      details: {
+        scope,
+        fromBookingId: bookingId,
+        resourceName: booking.resource.name,
+        cancelledBookingIds: toCancel.map(b => b.id),
+        refundPercent: refundPercent === undefined ? null : refundPercent,
+        refundedAmount: Math.round(refundedAmount * 100) / 100,
+        cancelledBy: isAdmin ? 'admin' : booking.userId === userId ? 'user' : 'organisation_admin'
+      }
+    });
+
+    return { series, cancelled: toCancel.length };
+  }
+}
+
+module.exports = BookingSeriesService;
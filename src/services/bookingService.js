@@ -1,89 +1,54 @@
 const { PrismaClient } = require('@prisma/client');
-const { calculateBookingPrice, timeRangesOverlap } = require('../utils/helpers');
+const config = require('../config');
+const { timeRangesOverlap, formatMoney } = require('../utils/helpers');
 const NotificationService = require('./notificationService');
 const MessageService = require('./messageService');
+const AvailabilityService = require('./availabilityService');
+const BookingRuleService = require('./bookingRuleService');
+const BookingPolicyService = require('./bookingPolicyService');
+const PricingService = require('./pricingService');
+const PromoCodeService = require('./promoCodeService');
+const CancellationPolicyService = require('./cancellationPolicyService');
+const DepositService = require('./depositService');
+const OrganisationService = require('./organisationService');
 const { AuditService, AuditActions } = require('./auditService');
 
 const prisma = new PrismaClient();
 
+// Completed and no-show bookings are past; only these can still be cancelled
+const CANCELLABLE_STATUSES = ['PENDING', 'CONFIRMED'];
+
+// Required on use because the payment service depends on this module
+const getPaymentService = () => require('./paymentService');
+
 /**
  * Booking Service
  * Handles all booking operations with overlap prevention
  */
 class BookingService {
   /**
-   * Check for booking overlaps
+   * Lock a resource row for the rest of a transaction
+   * Every transaction that writes a booking's time range takes this lock first,
+   * so overlap re-checks and inserts for one resource run one at a time.
+   * It must be the first statement in the transaction: InnoDB takes the
+   * REPEATABLE READ snapshot at the first plain read, which then sees every
+   * booking committed by the previous lock holder.
    */
-  static async checkBookingOverlap(resourceId, startTime, endTime, excludeBookingId = null) {
-    const where = {
-      resourceId,
-      status: { not: 'CANCELLED' },
-      OR: [
-        {
-          AND: [
-            { startTime: { lte: new Date(startTime) } },
-            { endTime: { gt: new Date(startTime) } }
-          ]
-        },
-        {
-          AND: [
-            { startTime: { lt: new Date(endTime) } },
-            { endTime: { gte: new Date(endTime) } }
-          ]
-        },
-        {
-          AND: [
-            { startTime: { gte: new Date(startTime) } },
-            { endTime: { lte: new Date(endTime) } }
-          ]
-        }
-      ]
-    };
+  static async lockResource(tx, resourceId) {
+    const rows = await tx.$queryRaw`SELECT id FROM resources WHERE id = ${resourceId} FOR UPDATE`;
 
-    if (excludeBookingId) {
-      where.id = { not: excludeBookingId };
+    if (rows.length === 0) {
+      throw { statusCode: 404, message: 'Resource not found' };
     }
-
-    const overlapping = await prisma.booking.findFirst({ where });
-    return overlapping !== null;
-  }
-
-  /**
-   * Check for resource block overlaps
-   */
-  static async checkBlockOverlap(resourceId, startTime, endTime) {
-    const overlapping = await prisma.resourceBlock.findFirst({
-      where: {
-        resourceId,
-        OR: [
-          {
-            AND: [
-              { startTime: { lte: new Date(startTime) } },
-              { endTime: { gt: new Date(startTime) } }
-            ]
-          },
-          {
-            AND: [
-              { startTime: { lt: new Date(endTime) } },
-              { endTime: { gte: new Date(endTime) } }
-            ]
-          },
-          {
-            AND: [
-              { startTime: { gte: new Date(startTime) } },
-              { endTime: { lte: new Date(endTime) } }
-            ]
-          }
-        ]
-      }
-    });
-    return overlapping !== null;
   }
 
   /**
    * Create a new booking with all validations
+   * Bookings with a price are PENDING until paid (see PaymentService); the
+   * first payment attempt is made here and returned as `payment`. Resources
+   * with a deposit rule take only the deposit now and the balance later.
    */
-  static async createBooking({ userId, resourceId, startTime, endTime, notes }, ipAddress) {
+  static async createBooking({ userId, resourceId, startTime, endTime, notes, promoCode, paymentMethod }, ipAddress) {
     // Validate time range
     const start = new Date(startTime);
     const end = new Date(endTime);
@@ -109,63 +74,82 @@ class BookingService {
       throw { statusCode: 400, message: 'Resource is not available for booking' };
     }
 
-    // Check for block overlaps
-    const hasBlockOverlap = await this.checkBlockOverlap(resourceId, startTime, endTime);
-    if (hasBlockOverlap) {
-      throw { statusCode: 409, message: 'This time slot is blocked' };
-    }
+    // Opening hours, closures, duration and booking-window rules
+    await BookingRuleService.assertBookable(resource, start, end);
+
+    // Per-user fair-use quotas
+    await BookingPolicyService.assertWithinQuota(userId, resource, [{ startTime: start, endTime: end }]);
 
-    // Check for booking overlaps
-    const hasBookingOverlap = await this.checkBookingOverlap(resourceId, startTime, endTime);
-    if (hasBookingOverlap) {
-      throw { statusCode: 409, message: 'This time slot is already booked' };
+    // Check for blocks, overlapping bookings and waitlist holds
+    await AvailabilityService.assertAvailable(resourceId, start, end, { userId });
+
+    // Calculate price, less any promo code
+    const promo = promoCode
+      ? await PromoCodeService.getApplicable(promoCode, resource, userId)
+      : null;
+    const quote = await PricingService.quote(resource, start, end, { promo });
+
+    const PaymentService = getPaymentService();
+
+    // Unpaid bookings hold the slot as PENDING until paid, restricted
+    // resources until an admin approves (the approval hold starts once paid)
+    const awaitingPayment = PaymentService.isRequired(quote.total);
+    const requiresApproval = resource.requiresApproval;
+    let holdExpiresAt = null;
+    if (awaitingPayment) {
+      holdExpiresAt = new Date(Date.now() + config.payments.holdMinutes * 60 * 1000);
+    } else if (requiresApproval) {
+      holdExpiresAt = new Date(Date.now() + config.bookings.approvalHoldMinutes * 60 * 1000);
     }
 
-    // Calculate price
-    const totalPrice = calculateBookingPrice(startTime, endTime, resource.pricePerHour);
+    const deposit = awaitingPayment
+      ? await DepositService.getTerms(resource, quote.total, start)
+      : null;
 
     // Create booking in transaction
     const booking = await prisma.$transaction(async (tx) => {
-      // Double-check overlap within transaction for race condition prevention
-      const existingBooking = await tx.booking.findFirst({
-        where: {
-          resourceId,
-          status: { not: 'CANCELLED' },
-          OR: [
-            {
-              AND: [
-                { startTime: { lte: start } },
-                { endTime: { gt: start } }
-              ]
-            },
-            {
-              AND: [
-                { startTime: { lt: end } },
-                { endTime: { gte: end } }
-              ]
-            },
-            {
-              AND: [
-                { startTime: { gte: start } },
-                { endTime: { lte: end } }
-              ]
-            }
-          ]
-        }
+      await this.lockResource(tx, resourceId);
+
+      // Double-check now that no other booking for this resource can be written
+      const { bookings: taken } = await AvailabilityService.getConflicts(resourceId, start, end, {
+        client: tx,
+        holds: false
       });
 
-      if (existingBooking) {
+      if (taken.length > 0) {
         throw { statusCode: 409, message: 'This time slot was just booked by another user' };
       }
 
+      // The user's other bookings may have used up their quota meanwhile
+      await BookingPolicyService.lockQuotas(tx, userId);
+      await BookingPolicyService.assertWithinQuota(userId, resource, [{ startTime: start, endTime: end }], { client: tx });
+
+      // Usage limits may have been reached while we were checking
+      if (promo) {
+        await PromoCodeService.lockPromoCode(tx, promo.id);
+        await PromoCodeService.assertApplicable(promo, resource, userId, { client: tx });
+      }
+
       return tx.booking.create({
         data: {
           userId,
           resourceId,
           startTime: start,
           endTime: end,
-          totalPrice,
-          status: 'CONFIRMED',
+          subtotal: quote.subtotal,
+          feeAmount: quote.feeAmount,
+          taxAmount: quote.taxAmount,
+          totalPrice: quote.total,
+          currency: quote.currency,
+          priceBreakdown: quote,
+          promoCodeId: promo ? promo.id : null,
+          discountAmount: promo ? quote.promoDiscount : 0,
+          depositAmount: deposit ? deposit.depositAmount : 0,
+          balanceAmount: deposit ? deposit.balanceAmount : 0,
+          balanceDueAt: deposit ? deposit.balanceDueAt : null,
+          status: awaitingPayment || requiresApproval ? 'PENDING' : 'CONFIRMED',
+          awaitingPayment,
+          holdExpiresAt,
           notes
         },
         include: {
@@ -177,50 +161,707 @@ class BookingService {
       });
     });
 
-    // Create notification (don't fail booking if notification fails)
+    // The user hears about the booking once it is paid
+    if (!awaitingPayment) {
+      await this.notifyPlaced(booking, resource);
+    }
+
+    // Audit log (don't fail booking if audit fails)
     try {
-      await NotificationService.notifyBookingCreated(userId, booking, resource);
+      await AuditService.log({
+        userId,
+        action: AuditActions.BOOKING_CREATE,
+        entity: 'Booking',
+        entityId: booking.id,
+        ipAddress,
+        details: {
+          resourceId,
+          resourceName: resource.name,
+          startTime,
+          endTime,
+          totalPrice: quote.total,
+          depositAmount: deposit ? deposit.depositAmount : null,
+          promoCode: promo ? promo.code : null,
+          status: booking.status
+        }
+      });
+    } catch (err) {
+      console.error('Failed to create audit log:', err.message);
+    }
+
+    if (!awaitingPayment) {
+      return booking;
+    }
+
+    // A failed payment leaves the booking payable until its hold expires
+    let payment = null;
+    try {
+      payment = await PaymentService.startPayment(booking, { paymentMethod, userId, ipAddress });
+    } catch (err) {
+      console.error('Failed to start payment:', err.message);
+    }
+
+    return { ...(await this.getBookingById(booking.id, null, true)), payment };
+  }
+
+  /**
+   * Tell the user a booking has been placed: confirmed, or awaiting approval
+   * if still PENDING (don't fail the booking if this fails)
+   */
+  static async notifyPlaced(booking, resource) {
+    const pending = booking.status === 'PENDING';
+
+    try {
+      if (pending) {
+        await NotificationService.notifyBookingPending(booking.userId, booking, resource);
+      } else {
+        await NotificationService.notifyBookingCreated(booking.userId, booking, resource);
+      }
     } catch (err) {
       console.error('Failed to create booking notification:', err.message);
     }
 
-    // Log email (don't fail booking if email logging fails)
     try {
-      const user = await prisma.user.findUnique({ where: { id: userId } });
+      const user = await prisma.user.findUnique({ where: { id: booking.userId } });
       if (user) {
-        await MessageService.sendBookingConfirmation(user, booking, resource);
+        if (pending) {
+          await MessageService.sendBookingPending(user, booking, resource);
+        } else {
+          await MessageService.sendBookingConfirmation(user, booking, resource);
+          await MessageService.sendBookingConfirmationSMS(user, booking, resource);
+        }
       }
     } catch (err) {
       console.error('Failed to send booking confirmation:', err.message);
     }
+  }
+
+  /**
+   * Approve a PENDING booking (admin only)
+   */
+  static async approveBooking(bookingId, adminId, ipAddress) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: { resource: true, user: true }
+    });
+
+    if (!booking) {
+      throw { statusCode: 404, message: 'Booking not found' };
+    }
+
+    if (booking.status === 'PENDING' && booking.awaitingPayment) {
+      throw { statusCode: 400, message: 'This booking is awaiting payment' };
+    }
+
+    // Take the payment first, so a CONFIRMED booking has always been paid
+    const PaymentService = getPaymentService();
+    const captured = booking.status === 'PENDING'
+      ? await PaymentService.captureForBooking(bookingId)
+      : [];
+
+    // Guard on status so an expiring hold or cancellation is not overwritten
+    const result = await prisma.booking.updateMany({
+      where: { id: bookingId, status: 'PENDING', awaitingPayment: false },
+      data: {
+        status: 'CONFIRMED',
+        holdExpiresAt: null,
+        reviewedBy: adminId,
+        reviewedAt: new Date()
+      }
+    });
+
+    if (result.count === 0) {
+      for (const payment of captured) {
+        await PaymentService.release(payment);
+      }
+      throw { statusCode: 400, message: 'Only pending bookings can be approved' };
+    }
+
+    const updatedBooking = await this.getBookingById(bookingId, null, true);
 
-    // Audit log (don't fail booking if audit fails)
     try {
+      await NotificationService.notifyBookingCreated(booking.userId, updatedBooking, booking.resource);
+    } catch (err) {
+      console.error('Failed to create approval notification:', err.message);
+    }
+
+    try {
+      await MessageService.sendBookingConfirmation(booking.user, updatedBooking, booking.resource);
+      await MessageService.sendBookingConfirmationSMS(booking.user, updatedBooking, booking.resource);
+    } catch (err) {
+      console.error('Failed to send booking confirmation:', err.message);
+    }
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.BOOKING_CONFIRM,
+      entity: 'Booking',
+      entityId: bookingId,
+      ipAddress,
+      details: {
+        resourceId: booking.resourceId,
+        resourceName: booking.resource.name,
+        requestedBy: booking.userId
+      }
+    });
+
+    return updatedBooking;
+  }
+
+  /**
+   * Reject a PENDING booking (admin only), releasing the slot
+   */
+  static async rejectBooking(bookingId, adminId, reason, ipAddress) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: { resource: true, user: true }
+    });
+
+    if (!booking) {
+      throw { statusCode: 404, message: 'Booking not found' };
+    }
+
+    const result = await prisma.booking.updateMany({
+      where: { id: bookingId, status: 'PENDING' },
+      data: {
+        status: 'CANCELLED',
+        holdExpiresAt: null,
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+        rejectionReason: reason || null
+      }
+    });
+
+    if (result.count === 0) {
+      throw { statusCode: 400, message: 'Only pending bookings can be rejected' };
+    }
+
+    await this.releasePayments(bookingId);
+    await this.refundCaptured(bookingId, 'rejected');
+    await this.notifyRejected(booking, reason);
+    await this.offerFreedSlot(booking.resourceId, booking.startTime, booking.endTime);
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.BOOKING_REJECT,
+      entity: 'Booking',
+      entityId: bookingId,
+      ipAddress,
+      details: {
+        resourceId: booking.resourceId,
+        resourceName: booking.resource.name,
+        requestedBy: booking.userId,
+        reason
+      }
+    });
+
+    return this.getBookingById(bookingId, null, true);
+  }
+
+  /**
+   * Tell the requester their booking was not approved
+   */
+  static async notifyRejected(booking, reason) {
+    try {
+      await NotificationService.notifyBookingRejected(booking.userId, booking, booking.resource, reason);
+    } catch (err) {
+      console.error('Failed to create rejection notification:', err.message);
+    }
+
+    try {
+      await MessageService.sendBookingRejected(booking.user, booking, booking.resource, reason);
+    } catch (err) {
+      console.error('Failed to send rejection email:', err.message);
+    }
+  }
+
+  /**
+   * Offer a freed time range to the resource's waitlist
+   * (don't fail the caller if this fails)
+   */
+  static async offerFreedSlot(resourceId, startTime, endTime) {
+    try {
+      // Required here because the waitlist service depends on this module
+      const WaitlistService = require('./waitlistService');
+      await WaitlistService.offerFreedSlot(resourceId, startTime, endTime);
+    } catch (err) {
+      console.error('Failed to offer slot to waitlist:', err.message);
+    }
+  }
+
+  /**
+   * Void the authorised payments of a booking that won't go ahead
+   * (don't fail the caller if this fails)
+   */
+  static async releasePayments(bookingId) {
+    try {
+      await getPaymentService().releaseAuthorizations(bookingId);
+    } catch (err) {
+      console.error('Failed to release booking payments:', err.message);
+    }
+  }
+
+  /**
+   * Refund in full what was captured for a PENDING booking that won't go ahead;
+   * only bookings moved onto a resource that needs approval have been
+   * (don't fail the caller if this fails)
+   */
+  static async refundCaptured(bookingId, reason) {
+    try {
+      const PaymentService = getPaymentService();
+      const paid = await PaymentService.getPaidAmount(bookingId, ['CAPTURED']);
+      if (paid > 0) {
+        await PaymentService.refundBooking(bookingId, paid, { reason });
+      }
+    } catch (err) {
+      console.error('Failed to refund booking payments:', err.message);
+    }
+  }
+
+  /**
+   * Cancel PENDING bookings whose payment or approval hold has expired
+   */
+  static async expirePendingHolds(now = new Date()) {
+    const bookings = await prisma.booking.findMany({
+      where: {
+        status: 'PENDING',
+        holdExpiresAt: { lte: now }
+      },
+      include: { resource: true, user: true }
+    });
+
+    let expired = 0;
+
+    for (const booking of bookings) {
+      const reason = booking.awaitingPayment
+        ? 'The booking was not paid for in time'
+        : 'The approval window expired before the booking was reviewed';
+
+      const result = await prisma.booking.updateMany({
+        where: { id: booking.id, status: 'PENDING' },
+        data: { status: 'CANCELLED', holdExpiresAt: null, rejectionReason: reason }
+      });
+      if (result.count === 0) continue;
+      expired++;
+
+      await this.releasePayments(booking.id);
+      await this.refundCaptured(booking.id, 'hold_expired');
+      await this.notifyRejected(booking, reason);
+      await this.offerFreedSlot(booking.resourceId, booking.startTime, booking.endTime);
+
       await AuditService.log({
-        userId,
-        action: AuditActions.BOOKING_CREATE,
+        userId: null,
+        action: AuditActions.BOOKING_EXPIRE,
         entity: 'Booking',
         entityId: booking.id,
-        ipAddress,
         details: {
-          resourceId,
-          resourceName: resource.name,
-          startTime,
-          endTime,
-          totalPrice
+          resourceId: booking.resourceId,
+          resourceName: booking.resource.name,
+          holdExpiresAt: booking.holdExpiresAt,
+          awaitingPayment: booking.awaitingPayment
+        }
+      });
+    }
+
+    return { expired };
+  }
+
+  /**
+   * Cancel CONFIRMED bookings whose balance wasn't paid by its due date
+   * The deposit is refunded as far as the cancellation policy allows a user
+   * cancelling now.
+   */
+  static async cancelOverdueBalances(now = new Date()) {
+    const bookings = await prisma.booking.findMany({
+      where: {
+        status: 'CONFIRMED',
+        balanceAmount: { gt: 0 },
+        balanceDueAt: { lte: now }
+      },
+      include: { resource: true, user: true }
+    });
+
+    let cancelled = 0;
+
+    for (const booking of bookings) {
+      const { policy, ...refund } = await this.getCancellationTerms(booking);
+
+      // Guard on the balance too, so a balance paid meanwhile wins
+      const result = await prisma.booking.updateMany({
+        where: { id: booking.id, status: 'CONFIRMED', balanceAmount: { gt: 0 } },
+        data: { status: 'CANCELLED', rejectionReason: 'The balance was not paid by its due date' }
+      });
+      if (result.count === 0) continue;
+      cancelled++;
+
+      await this.releasePayments(booking.id);
+
+      refund.refundedAmount = 0;
+      if (refund.refundAmount > 0) {
+        try {
+          refund.refundedAmount = await getPaymentService().refundBooking(booking.id, refund.refundAmount, {
+            reason: 'balance_overdue'
+          });
+        } catch (err) {
+          console.error('Failed to refund deposit of overdue booking:', err.message);
+        }
+      }
+
+      const reason = refund.refundedAmount > 0
+        ? `The balance was not paid by its due date; ${formatMoney(refund.refundedAmount, booking.currency)} of the deposit has been refunded`
+        : 'The balance was not paid by its due date';
+      await this.notifyRejected(booking, reason);
+
+      await this.offerFreedSlot(booking.resourceId, booking.startTime, booking.endTime);
+
+      await AuditService.log({
+        userId: null,
+        action: AuditActions.BOOKING_EXPIRE,
+        entity: 'Booking',
+        entityId: booking.id,
+        details: {
+          resourceId: booking.resourceId,
+          resourceName: booking.resource.name,
+          balanceAmount: booking.balanceAmount,
+          balanceDueAt: booking.balanceDueAt,
+          policy: policy.source,
+          refund
+        }
+      });
+    }
+
+    return { cancelled };
+  }
+
+  /**
+   * Get PENDING bookings awaiting approval, oldest first (admin only)
+   */
+  static async getApprovalQueue({ page = 1, limit = 10, resourceId }) {
+    const skip = (page - 1) * limit;
+    const where = { status: 'PENDING', awaitingPayment: false };
+
+    if (resourceId) where.resourceId = resourceId;
+
+    const [bookings, total] = await Promise.all([
+      prisma.booking.findMany({
+        where,
+        include: {
+          resource: {
+            select: { id: true, name: true, type: true }
+          },
+          user: {
+            select: { id: true, email: true, firstName: true, lastName: true }
+          }
+        },
+        orderBy: { createdAt: 'asc' },
+        skip,
+        take: limit
+      }),
+      prisma.booking.count({ where })
+    ]);
+
+    return {
+      bookings,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Update a booking (reschedule, change resource or notes)
+   */
+  static async updateBooking(bookingId, userId, isAdmin = false, { resourceId, startTime, endTime, notes }, ipAddress) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: { resource: true, promoCode: true }
+    });
+
+    if (!booking) {
+      throw { statusCode: 404, message: 'Booking not found' };
+    }
+
+    // Check ownership unless admin; organisation admins act for their members
+    if (!isAdmin && !(await OrganisationService.canActFor(userId, booking.userId))) {
+      throw { statusCode: 403, message: 'Not authorized to update this booking' };
+    }
+
+    if (!['PENDING', 'CONFIRMED'].includes(booking.status)) {
+      throw { statusCode: 400, message: `Cannot update a ${booking.status.toLowerCase()} booking` };
+    }
+
+    if (booking.startTime <= new Date()) {
+      throw { statusCode: 400, message: 'Cannot update a booking that has already started' };
+    }
+
+    const newResourceId = resourceId || booking.resourceId;
+    const start = startTime ? new Date(startTime) : booking.startTime;
+    const end = endTime ? new Date(endTime) : booking.endTime;
+
+    const resourceChanged = newResourceId !== booking.resourceId;
+    const timeChanged = start.getTime() !== booking.startTime.getTime() ||
+      end.getTime() !== booking.endTime.getTime();
+
+    let resource = booking.resource;
+    let totalPrice = booking.totalPrice;
+    let prices = {};
+    let balance = {};
+    let approval = {};
+
+    if (resourceChanged || timeChanged) {
+      if (start >= end) {
+        throw { statusCode: 400, message: 'End time must be after start time' };
+      }
+
+      if (start < new Date()) {
+        throw { statusCode: 400, message: 'Cannot book in the past' };
+      }
+
+      if (resourceChanged) {
+        resource = await prisma.resource.findUnique({
+          where: { id: newResourceId }
+        });
+
+        if (!resource) {
+          throw { statusCode: 404, message: 'Resource not found' };
+        }
+
+        if (resource.status !== 'AVAILABLE') {
+          throw { statusCode: 400, message: 'Resource is not available for booking' };
+        }
+
+        // Moving onto a restricted resource needs its approval, as when booking
+        // it directly; an admin moving the booking approves it themselves
+        if (resource.requiresApproval && booking.status === 'CONFIRMED' && !isAdmin) {
+          approval = {
+            status: 'PENDING',
+            holdExpiresAt: new Date(Date.now() + config.bookings.approvalHoldMinutes * 60 * 1000)
+          };
         }
+      }
+
+      // Admins may reschedule outside the booking rules and quotas
+      if (!isAdmin) {
+        await BookingRuleService.assertBookable(resource, start, end);
+        await BookingPolicyService.assertWithinQuota(
+          booking.userId,
+          resource,
+          [{ startTime: start, endTime: end }],
+          { excludeBookingId: bookingId }
+        );
+      }
+
+      await AvailabilityService.assertAvailable(newResourceId, start, end, {
+        excludeBookingId: bookingId,
+        userId: booking.userId
       });
+
+      // The promo code used at checkout carries over, if it covers the new resource
+      const promo = booking.promoCode;
+      if (promo && !PromoCodeService.coversResource(promo, resource)) {
+        throw { statusCode: 400, message: `Promo code ${promo.code} cannot be used for this resource` };
+      }
+
+      const quote = await PricingService.quote(resource, start, end, { promo });
+
+      // Payments aren't adjusted when the price changes
+      const paid = await getPaymentService().getPaidAmount(bookingId);
+      if (paid > 0 && quote.total !== parseFloat(booking.totalPrice)) {
+        throw { statusCode: 400, message: 'This change would alter the price of a paid booking; cancel it and book again instead' };
+      }
+
+      totalPrice = quote.total;
+      prices = {
+        subtotal: quote.subtotal,
+        feeAmount: quote.feeAmount,
+        taxAmount: quote.taxAmount,
+        totalPrice,
+        currency: quote.currency,
+        priceBreakdown: quote,
+        discountAmount: promo ? quote.promoDiscount : 0
+      };
+
+      if (paid === 0 && booking.awaitingPayment) {
+        // Nothing paid yet, so the deposit is worked out afresh
+        const deposit = await DepositService.getTerms(resource, quote.total, start);
+        balance = {
+          depositAmount: deposit ? deposit.depositAmount : 0,
+          balanceAmount: deposit ? deposit.balanceAmount : 0,
+          balanceDueAt: deposit ? deposit.balanceDueAt : null
+        };
+      } else if (timeChanged && parseFloat(booking.balanceAmount) > 0) {
+        // An unpaid balance's deadline moves with the booking, leaving at least a payment hold to pay it
+        const shifted = booking.balanceDueAt.getTime() + (start.getTime() - booking.startTime.getTime());
+        balance = {
+          balanceDueAt: new Date(Math.max(shifted, Date.now() + config.payments.holdMinutes * 60 * 1000)),
+          balanceReminded: false
+        };
+      }
+    }
+
+    const updatedBooking = await prisma.$transaction(async (tx) => {
+      if (resourceChanged || timeChanged) {
+        await this.lockResource(tx, newResourceId);
+
+        // Double-check now that no other booking for this resource can be written
+        const { bookings: taken } = await AvailabilityService.getConflicts(newResourceId, start, end, {
+          client: tx,
+          excludeBookingId: bookingId,
+          holds: false
+        });
+
+        if (taken.length > 0) {
+          throw { statusCode: 409, message: 'This time slot was just booked by another user' };
+        }
+
+        if (!isAdmin) {
+          await BookingPolicyService.lockQuotas(tx, booking.userId);
+          await BookingPolicyService.assertWithinQuota(
+            booking.userId,
+            resource,
+            [{ startTime: start, endTime: end }],
+            { excludeBookingId: bookingId, client: tx }
+          );
+        }
+      }
+
+      // Reminders were scheduled against the old start time
+      if (timeChanged) {
+        await tx.bookingReminder.deleteMany({ where: { bookingId } });
+      }
+
+      return tx.booking.update({
+        where: { id: bookingId },
+        data: {
+          resourceId: newResourceId,
+          startTime: start,
+          endTime: end,
+          ...prices,
+          ...balance,
+          ...approval,
+          notes: notes !== undefined ? notes : booking.notes
+        },
+        include: {
+          resource: true,
+          user: {
+            select: { id: true, email: true, firstName: true, lastName: true }
+          }
+        }
+      });
+    });
+
+    // Diff of what changed, for the notification and audit log
+    const changes = {};
+    if (resourceChanged) {
+      changes.resource = { from: booking.resource.name, to: resource.name };
+    }
+    if (start.getTime() !== booking.startTime.getTime()) {
+      changes.startTime = { from: booking.startTime, to: start };
+    }
+    if (end.getTime() !== booking.endTime.getTime()) {
+      changes.endTime = { from: booking.endTime, to: end };
+    }
+    if (parseFloat(totalPrice) !== parseFloat(booking.totalPrice)) {
+      changes.totalPrice = { from: booking.totalPrice, to: totalPrice };
+    }
+    if (notes !== undefined && notes !== booking.notes) {
+      changes.notes = { from: booking.notes, to: notes };
+    }
+    if (approval.status) {
+      changes.status = { from: booking.status, to: approval.status };
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return updatedBooking;
+    }
+
+    // Notify user (don't fail update if notification fails)
+    try {
+      await NotificationService.notifyBookingUpdated(booking.userId, updatedBooking, resource, booking, changes);
     } catch (err) {
-      console.error('Failed to create audit log:', err.message);
+      console.error('Failed to create update notification:', err.message);
     }
 
-    return booking;
+    // Queue email (don't fail update if email fails)
+    try {
+      const user = await prisma.user.findUnique({ where: { id: booking.userId } });
+      if (user) {
+        await MessageService.sendBookingUpdate(user, updatedBooking, resource, booking);
+      }
+    } catch (err) {
+      console.error('Failed to send booking update email:', err.message);
+    }
+
+    if (approval.status) {
+      await this.notifyPlaced(updatedBooking, resource);
+    }
+
+    // The old time range is free for the waitlist
+    if (resourceChanged || timeChanged) {
+      await this.offerFreedSlot(booking.resourceId, booking.startTime, booking.endTime);
+    }
+
+    await AuditService.log({
+      userId,
+      action: AuditActions.BOOKING_UPDATE,
+      entity: 'Booking',
+      entityId: bookingId,
+      ipAddress,
+      details: {
+        resourceId: newResourceId,
+        resourceName: resource.name,
+        updatedBy: booking.userId === userId ? 'user' : isAdmin ? 'admin' : 'organisation_admin',
+        changes
+      }
+    });
+
+    return updatedBooking;
+  }
+
+  /**
+   * What cancelling a booking now would refund under its resource's
+   * cancellation policy, or at refundPercent when an admin overrides it. Only
+   * captured payments count as paid; payments still only authorised are
+   * released in full.
+   */
+  static async getCancellationTerms(booking, { refundPercent = null } = {}) {
+    const [policy, paidAmount] = await Promise.all([
+      CancellationPolicyService.getEffectivePolicy(booking.resource),
+      getPaymentService().getPaidAmount(booking.id, ['CAPTURED'])
+    ]);
+
+    return CancellationPolicyService.computeRefund(policy, booking, paidAmount, { refundPercent });
   }
 
   /**
-   * Cancel a booking
+   * Throw a 400 unless a booking is still upcoming or in progress
    */
-  static async cancelBooking(bookingId, userId, isAdmin = false, ipAddress) {
+  static assertCancellable(booking) {
+    if (booking.status === 'CANCELLED') {
+      throw { statusCode: 400, message: 'Booking is already cancelled' };
+    }
+
+    if (!CANCELLABLE_STATUSES.includes(booking.status)) {
+      throw { statusCode: 400, message: `Cannot cancel a ${booking.status.toLowerCase().replace('_', '-')} booking` };
+    }
+  }
+
+  /**
+   * Only admins may set their own refund percent in place of the policy
+   */
+  static assertCanOverrideRefund(refundPercent, isAdmin) {
+    if (refundPercent !== undefined && refundPercent !== null && !isAdmin) {
+      throw { statusCode: 403, message: 'Only admins can override the cancellation policy' };
+    }
+  }
+
+  /**
+   * Preview the refund for cancelling a booking, without cancelling it
+   */
+  static async previewCancellation(bookingId, userId, isAdmin = false, { refundPercent } = {}) {
     const booking = await prisma.booking.findUnique({
       where: { id: bookingId },
       include: { resource: true }
@@ -230,24 +871,77 @@ class BookingService {
       throw { statusCode: 404, message: 'Booking not found' };
     }
 
-    // Check ownership unless admin
-    if (!isAdmin && booking.userId !== userId) {
+    if (!isAdmin && !(await OrganisationService.canActFor(userId, booking.userId))) {
       throw { statusCode: 403, message: 'Not authorized to cancel this booking' };
     }
 
-    if (booking.status === 'CANCELLED') {
-      throw { statusCode: 400, message: 'Booking is already cancelled' };
+    this.assertCancellable(booking);
+    this.assertCanOverrideRefund(refundPercent, isAdmin);
+
+    return {
+      bookingId,
+      ...(await this.getCancellationTerms(booking, { refundPercent }))
+    };
+  }
+
+  /**
+   * Cancel a booking, refunding what its cancellation policy allows
+   * refundPercent: admins only, refund this percent of what was paid instead
+   */
+  static async cancelBooking(bookingId, userId, isAdmin = false, ipAddress, { refundPercent } = {}) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: { resource: true }
+    });
+
+    if (!booking) {
+      throw { statusCode: 404, message: 'Booking not found' };
     }
 
-    const updatedBooking = await prisma.booking.update({
+    // Check ownership unless admin; organisation admins act for their members
+    if (!isAdmin && !(await OrganisationService.canActFor(userId, booking.userId))) {
+      throw { statusCode: 403, message: 'Not authorized to cancel this booking' };
+    }
+
+    this.assertCancellable(booking);
+    this.assertCanOverrideRefund(refundPercent, isAdmin);
+
+    const { policy, ...refund } = await this.getCancellationTerms(booking, { refundPercent });
+
+    // Guard on the status so only one of two concurrent cancellations refunds
+    const result = await prisma.booking.updateMany({
+      where: { id: bookingId, status: { in: CANCELLABLE_STATUSES } },
+      data: { status: 'CANCELLED' }
+    });
+    if (result.count === 0) {
+      throw { statusCode: 409, message: 'This booking was just cancelled or completed' };
+    }
+
+    const updatedBooking = await prisma.booking.findUnique({
       where: { id: bookingId },
-      data: { status: 'CANCELLED' },
       include: { resource: true }
     });
 
+    // Payments only authorised are voided; captured ones are refunded per the policy
+    await this.releasePayments(bookingId);
+
+    // Don't fail cancellation if the gateway refuses; admins can refund by hand
+    refund.refundedAmount = 0;
+    if (refund.refundAmount > 0) {
+      try {
+        refund.refundedAmount = await getPaymentService().refundBooking(bookingId, refund.refundAmount, {
+          userId,
+          ipAddress,
+          reason: 'cancellation'
+        });
+      } catch (err) {
+        console.error('Failed to refund cancelled booking:', err.message);
+      }
+    }
+
     // Create notification (don't fail cancellation if notification fails)
     try {
-      await NotificationService.notifyBookingCancelled(booking.userId, booking, booking.resource);
+      await NotificationService.notifyBookingCancelled(booking.userId, booking, booking.resource, refund);
     } catch (err) {
       console.error('Failed to create cancellation notification:', err.message);
     }
@@ -256,12 +950,15 @@ class BookingService {
     try {
       const user = await prisma.user.findUnique({ where: { id: booking.userId } });
       if (user) {
-        await MessageService.sendBookingCancellation(user, booking, booking.resource);
+        await MessageService.sendBookingCancellation(user, booking, booking.resource, refund);
+        await MessageService.sendBookingCancellationSMS(user, booking, booking.resource, refund);
       }
     } catch (err) {
       console.error('Failed to send cancellation email:', err.message);
     }
 
+    await this.offerFreedSlot(booking.resourceId, booking.startTime, booking.endTime);
+
     // Audit log (don't fail cancellation if audit fails)
     try {
       await AuditService.log({
@@ -274,22 +971,131 @@ class BookingService {
           resourceId: booking.resourceId,
           resourceName: booking.resource.name,
           originalStatus: booking.status,
-          cancelledBy: isAdmin ? 'admin' : 'user'
+          cancelledBy: isAdmin ? 'admin' : booking.userId === userId ? 'user' : 'organisation_admin',
+          policy: policy.source,
+          refund
         }
       });
     } catch (err) {
       console.error('Failed to create audit log:', err.message);
     }
 
+    return { ...updatedBooking, refund };
+  }
+
+  /**
+   * Move CONFIRMED bookings that ended more than the grace period ago to COMPLETED
+   * The grace period leaves admins time to mark no-shows first
+   */
+  static async completePastBookings(now = new Date()) {
+    const cutoff = new Date(now.getTime() - config.bookings.completionGraceMinutes * 60 * 1000);
+
+    const bookings = await prisma.booking.findMany({
+      where: {
+        status: 'CONFIRMED',
+        endTime: { lte: cutoff }
+      },
+      include: { resource: true }
+    });
+
+    let completed = 0;
+    for (const booking of bookings) {
+      // Guard on status so a concurrent cancel/no-show is not overwritten
+      const result = await prisma.booking.updateMany({
+        where: { id: booking.id, status: 'CONFIRMED' },
+        data: { status: 'COMPLETED' }
+      });
+      if (result.count === 0) continue;
+      completed++;
+
+      try {
+        await NotificationService.notifyBookingCompleted(booking.userId, booking, booking.resource);
+      } catch (err) {
+        console.error('Failed to create completion notification:', err.message);
+      }
+
+      await AuditService.log({
+        userId: null,
+        action: AuditActions.BOOKING_COMPLETE,
+        entity: 'Booking',
+        entityId: booking.id,
+        details: {
+          resourceId: booking.resourceId,
+          resourceName: booking.resource.name,
+          endTime: booking.endTime,
+          completedBy: 'system'
+        }
+      });
+    }
+
+    return { completed };
+  }
+
+  /**
+   * Mark a booking as a no-show (admin only)
+   */
+  static async markNoShow(bookingId, adminId, ipAddress) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: { resource: true }
+    });
+
+    if (!booking) {
+      throw { statusCode: 404, message: 'Booking not found' };
+    }
+
+    if (!['CONFIRMED', 'COMPLETED'].includes(booking.status)) {
+      throw { statusCode: 400, message: `Cannot mark a ${booking.status.toLowerCase()} booking as no-show` };
+    }
+
+    if (booking.startTime > new Date()) {
+      throw { statusCode: 400, message: 'Cannot mark a booking as no-show before it starts' };
+    }
+
+    const updatedBooking = await prisma.booking.update({
+      where: { id: bookingId },
+      data: { status: 'NO_SHOW' },
+      include: { resource: true }
+    });
+
+    try {
+      await NotificationService.notifyBookingNoShow(booking.userId, booking, booking.resource);
+    } catch (err) {
+      console.error('Failed to create no-show notification:', err.message);
+    }
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.BOOKING_NO_SHOW,
+      entity: 'Booking',
+      entityId: bookingId,
+      ipAddress,
+      details: {
+        resourceId: booking.resourceId,
+        resourceName: booking.resource.name,
+        userId: booking.userId,
+        originalStatus: booking.status
+      }
+    });
+
     return updatedBooking;
   }
 
   /**
    * Get user's bookings with pagination
+   * scope: 'own'          - the user's own bookings
+   *        'organisation' - every member's bookings, for organisation admins;
+   *                         memberId narrows it to one member
    */
-  static async getUserBookings(userId, { page = 1, limit = 10, status, upcoming = false }) {
+  static async getUserBookings(userId, { page = 1, limit = 10, status, upcoming = false, scope = 'own', memberId }) {
     const skip = (page - 1) * limit;
-    const where = { userId };
+    let where = { userId };
+
+    if (scope === 'organisation') {
+      const organisationId = await OrganisationService.getAdministeredOrganisationId(userId);
+      where = { user: { organisationId } };
+      if (memberId) where.userId = memberId;
+    }
 
     if (status) {
       where.status = status;
@@ -306,6 +1112,9 @@ class BookingService {
         include: {
           resource: {
             select: { id: true, name: true, type: true, imageUrl: true }
+          },
+          user: {
+            select: { id: true, email: true, firstName: true, lastName: true }
           }
         },
         orderBy: { startTime: 'asc' },
@@ -336,6 +1145,9 @@ class BookingService {
         resource: true,
         user: {
           select: { id: true, email: true, firstName: true, lastName: true }
+        },
+        payments: {
+          orderBy: { createdAt: 'desc' }
         }
       }
     });
@@ -345,7 +1157,7 @@ class BookingService {
     }
 
     // Check ownership unless admin
-    if (!isAdmin && userId && booking.userId !== userId) {
+    if (!isAdmin && userId && !(await OrganisationService.canActFor(userId, booking.userId))) {
       throw { statusCode: 403, message: 'Not authorized to view this booking' };
     }
 
@@ -355,13 +1167,14 @@ class BookingService {
   /**
    * Get all bookings (admin)
    */
-  static async getAllBookings({ page = 1, limit = 10, status, resourceId, userId, startDate, endDate }) {
+  static async getAllBookings({ page = 1, limit = 10, status, resourceId, userId, organisationId, startDate, endDate }) {
     const skip = (page - 1) * limit;
     const where = {};
 
     if (status) where.status = status;
     if (resourceId) where.resourceId = resourceId;
     if (userId) where.userId = userId;
+    if (organisationId) where.user = { organisationId };
     if (startDate || endDate) {
       where.startTime = {};
       if (startDate) where.startTime.gte = new Date(startDate);
@@ -376,7 +1189,13 @@ class BookingService {
             select: { id: true, name: true, type: true }
           },
           user: {
-            select: { id: true, email: true, firstName: true, lastName: true }
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              organisation: { select: { id: true, name: true } }
+            }
           }
         },
         orderBy: { createdAt: 'desc' },
@@ -399,8 +1218,10 @@ class BookingService {
 
   /**
    * Get bookings for calendar display
+   * With includeBuffers, each booking on a resource with buffers is followed
+   * by BUFFER pseudo-blocks covering its turnover time.
    */
-  static async getCalendarBookings(resourceId, startDate, endDate) {
+  static async getCalendarBookings(resourceId, startDate, endDate, includeBuffers = false) {
     const where = {
       status: { not: 'CANCELLED' }
     };
@@ -426,15 +1247,58 @@ class BookingService {
       ];
     }
 
-    return prisma.booking.findMany({
+    const bookings = await prisma.booking.findMany({
       where,
       include: {
         resource: {
-          select: { id: true, name: true, type: true }
+          select: { id: true, name: true, type: true, bufferBeforeMinutes: true, bufferAfterMinutes: true }
         }
       },
       orderBy: { startTime: 'asc' }
     });
+
+    if (!includeBuffers) {
+      return bookings;
+    }
+
+    const entries = [];
+    for (const booking of bookings) {
+      entries.push(booking);
+      entries.push(...this.bufferBlocks(booking));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Pseudo-blocks for the turnover time around a booking
+   */
+  static bufferBlocks(booking) {
+    const { bufferBeforeMinutes, bufferAfterMinutes } = booking.resource;
+    const start = new Date(booking.startTime).getTime();
+    const end = new Date(booking.endTime).getTime();
+    const blocks = [];
+
+    const block = (side, startTime, endTime) => ({
+      id: `${booking.id}:buffer-${side}`,
+      bookingId: booking.id,
+      resourceId: booking.resourceId,
+      resource: booking.resource,
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      status: 'BUFFER',
+      isBuffer: true
+    });
+
+    if (bufferBeforeMinutes > 0) {
+      blocks.push(block('before', start - bufferBeforeMinutes * 60 * 1000, start));
+    }
+
+    if (bufferAfterMinutes > 0) {
+      blocks.push(block('after', end, end + bufferAfterMinutes * 60 * 1000));
+    }
+
+    return blocks;
   }
 }
 
@@ -0,0 +1,196 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const config = require('../config');
+const { AuditService, AuditActions } = require('./auditService');
+
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Cancellation Policy Service
+ * Works out how much of what was paid for a booking is refunded when it is
+ * cancelled. Admins may override the policy with their own refund percent.
+ */
+class CancellationPolicyService {
+  /**
+   * Policy that applies to a resource: its own, then its type's, then the
+   * default of a full refund up to config.cancellations.freeCancellationHours before
+   */
+  static async getEffectivePolicy(resource) {
+    const policies = await prisma.cancellationPolicy.findMany({
+      where: {
+        OR: [
+          { resourceId: resource.id },
+          { resourceType: resource.type }
+        ]
+      }
+    });
+
+    const policy = policies.find(p => p.resourceId === resource.id) ||
+      policies.find(p => p.resourceType === resource.type);
+
+    if (!policy) {
+      return {
+        source: 'default',
+        nonRefundable: false,
+        refundTiers: [{ hoursBefore: config.cancellations.freeCancellationHours, percent: 100 }]
+      };
+    }
+
+    return {
+      source: policy.resourceId ? 'resource' : 'type',
+      nonRefundable: policy.nonRefundable,
+      refundTiers: policy.refundTiers || []
+    };
+  }
+
+  /**
+   * Percent refunded for a cancellation hoursBefore the start
+   */
+  static refundPercent(policy, hoursBefore) {
+    if (policy.nonRefundable) return 0;
+
+    const tier = policy.refundTiers
+      .filter(t => hoursBefore >= t.hoursBefore)
+      .sort((a, b) => b.hoursBefore - a.hoursBefore)[0];
+
+    return tier ? tier.percent : 0;
+  }
+
+  /**
+   * Refund owed for cancelling a booking now, given the amount paid for it
+   * refundPercent: an admin's override of the policy, or null to apply it
+   */
+  static computeRefund(policy, booking, paidAmount, { refundPercent = null, now = new Date() } = {}) {
+    const hoursBefore = (new Date(booking.startTime).getTime() - now.getTime()) / HOUR_MS;
+    const overridden = refundPercent !== null && refundPercent !== undefined;
+    const percent = overridden ? refundPercent : this.refundPercent(policy, hoursBefore);
+
+    return {
+      policy,
+      overridden,
+      hoursBeforeStart: round(hoursBefore),
+      percent,
+      paidAmount,
+      refundAmount: round(paidAmount * percent / 100),
+      currency: booking.currency
+    };
+  }
+
+  // =====================
+  // Admin
+  // =====================
+
+  /**
+   * Validate refund tiers and sort them by window; throws 400 on bad input
+   */
+  static normalizeTiers(tiers) {
+    if (tiers === null || tiers === undefined) return null;
+
+    if (!Array.isArray(tiers)) {
+      throw { statusCode: 400, message: 'Refund tiers must be a list' };
+    }
+
+    const normalized = tiers
+      .map(t => {
+        const hoursBefore = parseFloat(t && t.hoursBefore);
+        const percent = parseFloat(t && t.percent);
+        if (!(hoursBefore >= 0) || !(percent >= 0 && percent <= 100)) {
+          throw { statusCode: 400, message: 'Refund tiers need hoursBefore >= 0 and percent between 0 and 100' };
+        }
+        return { hoursBefore, percent };
+      })
+      .sort((a, b) => b.hoursBefore - a.hoursBefore);
+
+    for (let i = 1; i < normalized.length; i++) {
+      if (normalized[i].hoursBefore === normalized[i - 1].hoursBefore) {
+        throw { statusCode: 400, message: `Two refund tiers start ${normalized[i].hoursBefore} hours before` };
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * List all resource and type cancellation policies
+   */
+  static async getPolicies() {
+    return prisma.cancellationPolicy.findMany({
+      include: {
+        resource: {
+          select: { id: true, name: true, type: true }
+        }
+      },
+      orderBy: [{ resourceType: 'asc' }, { createdAt: 'asc' }]
+    });
+  }
+
+  /**
+   * Create or replace the cancellation policy for a resource or a resource type
+   * target: { resourceId } or { resourceType }
+   */
+  static async upsertPolicy(target, data, adminId, ipAddress) {
+    if (target.resourceId) {
+      const resource = await prisma.resource.findUnique({ where: { id: target.resourceId } });
+      if (!resource) {
+        throw { statusCode: 404, message: 'Resource not found' };
+      }
+    }
+
+    const values = {
+      nonRefundable: data.nonRefundable === true,
+      refundTiers: this.normalizeTiers(data.refundTiers)
+    };
+
+    if (!values.nonRefundable && !values.refundTiers) {
+      throw { statusCode: 400, message: 'A policy needs refund tiers unless it is non-refundable' };
+    }
+
+    // A null Json column needs Prisma.DbNull to be stored as SQL NULL
+    const stored = { ...values, refundTiers: values.refundTiers || Prisma.DbNull };
+    const policy = await prisma.cancellationPolicy.upsert({
+      where: target,
+      create: { ...target, ...stored },
+      update: stored
+    });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.CANCELLATION_POLICY_UPDATE,
+      entity: 'CancellationPolicy',
+      entityId: policy.id,
+      ipAddress,
+      details: { ...target, ...values }
+    });
+
+    return policy;
+  }
+
+  /**
+   * Delete a cancellation policy; the resource falls back to its type's policy or free cancellation
+   */
+  static async deletePolicy(policyId, adminId, ipAddress) {
+    const policy = await prisma.cancellationPolicy.findUnique({ where: { id: policyId } });
+
+    if (!policy) {
+      throw { statusCode: 404, message: 'Cancellation policy not found' };
+    }
+
+    await prisma.cancellationPolicy.delete({ where: { id: policyId } });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.CANCELLATION_POLICY_DELETE,
+      entity: 'CancellationPolicy',
+      entityId: policyId,
+      ipAddress,
+      details: { resourceId: policy.resourceId, resourceType: policy.resourceType }
+    });
+
+    return { message: 'Cancellation policy deleted successfully' };
+  }
+}
+
+module.exports = CancellationPolicyService;
@@ -0,0 +1,148 @@
+const { PrismaClient } = require('@prisma/client');
+const { AuditService, AuditActions } = require('./auditService');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Deposit Service
+ * Works out how much of a booking is paid up front as a deposit and when
+ * the balance is due. Collecting the balance is up to PaymentService, and
+ * cancelling bookings whose balance is overdue up to BookingService.
+ */
+class DepositService {
+  /**
+   * Deposit rule that applies to a resource: its own, then its type's, or null
+   */
+  static async getEffectiveRule(resource) {
+    const rules = await prisma.depositRule.findMany({
+      where: {
+        OR: [
+          { resourceId: resource.id },
+          { resourceType: resource.type }
+        ]
+      }
+    });
+
+    return rules.find(r => r.resourceId === resource.id) ||
+      rules.find(r => r.resourceType === resource.type) ||
+      null;
+  }
+
+  /**
+   * Split a booking total into { depositAmount, balanceAmount, balanceDueAt }
+   * Returns null when the booking is paid in full: no rule, or the balance
+   * deadline has already passed, or the deposit covers the whole total.
+   */
+  static computeDeposit(rule, total, startTime, now = new Date()) {
+    if (!rule || total <= 0) return null;
+
+    const balanceDueAt = new Date(new Date(startTime).getTime() - rule.balanceDueDays * DAY_MS);
+    if (balanceDueAt <= now) return null;
+
+    const value = parseFloat(rule.value);
+    const depositAmount = round(rule.type === 'PERCENT' ? total * value / 100 : value);
+    if (depositAmount >= total) return null;
+
+    return {
+      depositAmount,
+      balanceAmount: round(total - depositAmount),
+      balanceDueAt
+    };
+  }
+
+  /**
+   * Deposit terms for booking a resource at a given total and start time
+   */
+  static async getTerms(resource, total, startTime) {
+    const rule = await this.getEffectiveRule(resource);
+    return this.computeDeposit(rule, total, startTime);
+  }
+
+  // =====================
+  // Admin
+  // =====================
+
+  /**
+   * List all resource and type deposit rules
+   */
+  static async getRules() {
+    return prisma.depositRule.findMany({
+      include: {
+        resource: {
+          select: { id: true, name: true, type: true }
+        }
+      },
+      orderBy: [{ resourceType: 'asc' }, { createdAt: 'asc' }]
+    });
+  }
+
+  /**
+   * Create or replace the deposit rule for a resource or a resource type
+   * target: { resourceId } or { resourceType }
+   */
+  static async upsertRule(target, data, adminId, ipAddress) {
+    if (target.resourceId) {
+      const resource = await prisma.resource.findUnique({ where: { id: target.resourceId } });
+      if (!resource) {
+        throw { statusCode: 404, message: 'Resource not found' };
+      }
+    }
+
+    const values = {
+      type: data.type,
+      value: parseFloat(data.value),
+      balanceDueDays: parseInt(data.balanceDueDays)
+    };
+
+    if (values.type === 'PERCENT' && values.value >= 100) {
+      throw { statusCode: 400, message: 'A percentage deposit must be below 100%' };
+    }
+
+    const rule = await prisma.depositRule.upsert({
+      where: target,
+      create: { ...target, ...values },
+      update: values
+    });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.DEPOSIT_RULE_UPDATE,
+      entity: 'DepositRule',
+      entityId: rule.id,
+      ipAddress,
+      details: { ...target, ...values }
+    });
+
+    return rule;
+  }
+
+  /**
+   * Delete a deposit rule; the resource falls back to its type's rule or full payment
+   */
+  static async deleteRule(ruleId, adminId, ipAddress) {
+    const rule = await prisma.depositRule.findUnique({ where: { id: ruleId } });
+
+    if (!rule) {
+      throw { statusCode: 404, message: 'Deposit rule not found' };
+    }
+
+    await prisma.depositRule.delete({ where: { id: ruleId } });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.DEPOSIT_RULE_DELETE,
+      entity: 'DepositRule',
+      entityId: ruleId,
+      ipAddress,
+      details: { resourceId: rule.resourceId, resourceType: rule.resourceType }
+    });
+
+    return { message: 'Deposit rule deleted successfully' };
+  }
+}
+
+module.exports = DepositService;
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../config');
+
+/**
+ * Email Transports
+ * Every transport exposes `name` and `send({ to, subject, text, html, attachments })`
+ * and resolves with `{ provider, messageId }` or throws on delivery failure.
+ */
+
+/**
+ * SMTP transport (production)
+ */
+class SmtpTransport {
+  constructor(options = config.email) {
+    this.name = 'smtp';
+    this.from = options.from;
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: parseInt(options.port) || 587,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+  }
+
+  async send({ to, subject, text, html, attachments }) {
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      to,
+      subject,
+      text,
+      html,
+      attachments
+    });
+
+    return { provider: this.name, messageId: info.messageId };
+  }
+}
+
+/**
+ * Outbox transport (development/tests)
+ * Writes each message as a JSON file instead of delivering it
+ */
+class OutboxTransport {
+  constructor(options = config.email) {
+    this.name = 'outbox';
+    this.from = options.from;
+    this.dir = path.resolve(options.outboxDir);
+  }
+
+  async send({ to, subject, text, html, attachments = [] }) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const message = {
+      messageId,
+      from: this.from,
+      to,
+      subject,
+      text,
+      html,
+      attachments: attachments.map(a => ({ filename: a.filename, contentType: a.contentType })),
+      createdAt: new Date().toISOString()
+    };
+
+    await fs.promises.writeFile(
+      path.join(this.dir, `${messageId}.json`),
+      JSON.stringify(message, null, 2)
+    );
+
+    return { provider: this.name, messageId };
+  }
+}
+
+const transports = {
+  smtp: SmtpTransport,
+  outbox: OutboxTransport
+};
+
+let instance = null;
+
+/**
+ * Get the configured email transport (created once per process)
+ */
+const getEmailTransport = () => {
+  if (!instance) {
+    const Transport = transports[config.email.transport];
+    if (!Transport) {
+      throw new Error(`Unknown email transport: ${config.email.transport}`);
+    }
+    instance = new Transport();
+  }
+  return instance;
+};
+
+/**
+ * Replace the active transport (used by tests and scripts)
+ */
+const setEmailTransport = (transport) => {
+  instance = transport;
+};
+
+module.exports = {
+  SmtpTransport,
+  OutboxTransport,
+  getEmailTransport,
+  setEmailTransport
+};
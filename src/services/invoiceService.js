@@ -0,0 +1,373 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const { toZonedDateString } = require('../utils/helpers');
+const { createPdf, PAGE_WIDTH, PAGE_HEIGHT } = require('../utils/pdf');
+const { AuditService, AuditActions } = require('./auditService');
+const OrganisationService = require('./organisationService');
+
+const prisma = new PrismaClient();
+
+const INVOICEABLE_STATUSES = ['CONFIRMED', 'COMPLETED'];
+
+// Breakdown lines printed as totals under the items rather than as items
+const TOTAL_LINE_TYPES = ['FEE', 'TAX'];
+
+const MARGIN = 50;
+const BOTTOM = PAGE_HEIGHT - 70;
+
+/**
+ * Invoice Service
+ * Issues one numbered invoice per confirmed booking, from the booking's price
+ * breakdown and the customer's billing details at the time, and renders it as PDF.
+ * Members of an organisation with consolidated billing are invoiced through
+ * their organisation instead.
+ */
+class InvoiceService {
+  /**
+   * Whether an invoice can be issued for a booking
+   */
+  static isInvoiceable(booking) {
+    return INVOICEABLE_STATUSES.includes(booking.status) && parseFloat(booking.totalPrice) > 0;
+  }
+
+  /**
+   * Take the next invoice number for the year; must run inside the transaction
+   * creating the invoice so a rolled back invoice doesn't leave a gap
+   */
+  static async nextNumber(tx, year) {
+    await tx.$executeRaw`
+      INSERT INTO invoice_counters (year, lastNumber) VALUES (${year}, 1)
+      ON DUPLICATE KEY UPDATE lastNumber = lastNumber + 1
+    `;
+    const counter = await tx.invoiceCounter.findUnique({ where: { year } });
+
+    return `${config.invoices.prefix}-${year}-${String(counter.lastNumber).padStart(6, '0')}`;
+  }
+
+  /**
+   * Line items of a booking; bookings priced before itemised quotes get a single line
+   */
+  static buildLines(booking) {
+    if (booking.priceBreakdown && Array.isArray(booking.priceBreakdown.lines)) {
+      return booking.priceBreakdown.lines;
+    }
+
+    return [{
+      type: 'RATE',
+      description: `Booking of ${booking.resource.name}`,
+      amount: parseFloat(booking.subtotal) || parseFloat(booking.totalPrice)
+    }];
+  }
+
+  /**
+   * Who an invoice is made out to: the customer, or their organisation with
+   * the customer named as the member who booked
+   */
+  static billingDetails(user, organisation = null) {
+    const name = `${user.firstName} ${user.lastName}`;
+
+    if (organisation) {
+      return {
+        name: organisation.billingName || organisation.name,
+        email: organisation.billingEmail || user.email,
+        address: organisation.billingAddress || null,
+        taxId: organisation.taxId || null,
+        bookedBy: { name, email: user.email }
+      };
+    }
+
+    return {
+      name: user.billingName || name,
+      email: user.email,
+      address: user.billingAddress || null,
+      taxId: user.taxId || null
+    };
+  }
+
+  /**
+   * Get the invoice of a booking, issuing it on first request
+   */
+  static async getOrCreateForBooking(bookingId, { userId = null, ipAddress = null } = {}) {
+    const existing = await prisma.invoice.findUnique({ where: { bookingId } });
+    if (existing) return existing;
+
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: {
+        user: { include: { organisation: true } },
+        resource: { select: { id: true, name: true } }
+      }
+    });
+
+    if (!booking) {
+      throw { statusCode: 404, message: 'Booking not found' };
+    }
+
+    if (!this.isInvoiceable(booking)) {
+      throw { statusCode: 400, message: 'Only confirmed or completed bookings with a price can be invoiced' };
+    }
+
+    const { user } = booking;
+    const organisation = user.organisation && user.organisation.consolidatedBilling ? user.organisation : null;
+    const issuedAt = new Date();
+    const year = parseInt(toZonedDateString(issuedAt, config.locale.timezone).slice(0, 4));
+
+    let invoice;
+    try {
+      invoice = await prisma.$transaction(async (tx) => {
+        const number = await this.nextNumber(tx, year);
+
+        return tx.invoice.create({
+          data: {
+            number,
+            bookingId,
+            userId: booking.userId,
+            issuedAt,
+            currency: booking.currency,
+            subtotal: booking.subtotal,
+            feeAmount: booking.feeAmount,
+            taxAmount: booking.taxAmount,
+            discountAmount: booking.discountAmount,
+            total: booking.totalPrice,
+            lines: this.buildLines(booking),
+            billingDetails: this.billingDetails(user, organisation),
+            organisationId: organisation ? organisation.id : null
+          }
+        });
+      });
+    } catch (err) {
+      // Issued by a concurrent request; its number is kept and ours rolled back
+      if (err.code === 'P2002') {
+        return prisma.invoice.findUnique({ where: { bookingId } });
+      }
+      throw err;
+    }
+
+    await AuditService.log({
+      userId: userId || booking.userId,
+      action: AuditActions.INVOICE_CREATE,
+      entity: 'Invoice',
+      entityId: invoice.id,
+      ipAddress,
+      details: {
+        number: invoice.number,
+        bookingId,
+        total: booking.totalPrice,
+        currency: booking.currency
+      }
+    });
+
+    return invoice;
+  }
+
+  /**
+   * Get the invoice of a booking, checking ownership unless admin; organisation
+   * admins may get their members' invoices
+   */
+  static async getBookingInvoice(bookingId, userId, isAdmin = false, ipAddress = null) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      select: { id: true, userId: true }
+    });
+
+    if (!booking) {
+      throw { statusCode: 404, message: 'Booking not found' };
+    }
+
+    if (!isAdmin && !(await OrganisationService.canActFor(userId, booking.userId))) {
+      throw { statusCode: 403, message: 'Not authorized to view this booking' };
+    }
+
+    return this.getOrCreateForBooking(bookingId, { userId, ipAddress });
+  }
+
+  /**
+   * Invoice PDF of a booking as { filename, content }, checking ownership unless admin
+   */
+  static async getPdfForBooking(bookingId, userId, isAdmin = false, ipAddress = null) {
+    const invoice = await this.getBookingInvoice(bookingId, userId, isAdmin, ipAddress);
+    return this.getPdf(invoice.id);
+  }
+
+  /**
+   * Render a stored invoice as { filename, content, contentType }
+   */
+  static async getPdf(invoiceId) {
+    const invoice = await prisma.invoice.findUnique({
+      where: { id: invoiceId },
+      include: {
+        booking: {
+          select: {
+            id: true,
+            startTime: true,
+            endTime: true,
+            resource: { select: { name: true } }
+          }
+        }
+      }
+    });
+
+    if (!invoice) {
+      throw { statusCode: 404, message: 'Invoice not found' };
+    }
+
+    return {
+      filename: `${invoice.number}.pdf`,
+      content: this.renderPdf(invoice),
+      contentType: 'application/pdf'
+    };
+  }
+
+  /**
+   * Lay out an invoice (with its booking) on A4 pages
+   */
+  static renderPdf(invoice) {
+    const timeZone = config.locale.timezone;
+    const money = (amount) => new Intl.NumberFormat('en', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+      .format(parseFloat(amount));
+    const dateTime = (date) => new Intl.DateTimeFormat('en-GB', {
+      timeZone, year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    }).format(new Date(date));
+
+    const right = PAGE_WIDTH - MARGIN;
+    const pages = [[]];
+    let page = pages[0];
+    let y = MARGIN;
+
+    const text = (value, x, options = {}) => page.push({ text: value, x, y, ...options });
+    const rule = () => page.push({ line: [MARGIN, y, right, y] });
+    const nextLine = (height = 14) => {
+      y += height;
+      if (y > BOTTOM) {
+        page = [];
+        pages.push(page);
+        y = MARGIN;
+      }
+    };
+
+    // Issuer and invoice details
+    text(config.invoices.issuerName, MARGIN, { size: 16, bold: true });
+    text('INVOICE', right, { size: 16, bold: true, align: 'right' });
+    nextLine(20);
+    const issuer = [
+      ...config.invoices.issuerAddress.split('\n'),
+      config.invoices.issuerTaxId ? `Tax ID: ${config.invoices.issuerTaxId}` : ''
+    ].filter(Boolean);
+    const details = [
+      `Number: ${invoice.number}`,
+      `Date: ${toZonedDateString(invoice.issuedAt, timeZone)}`,
+      `Booking: ${invoice.bookingId}`
+    ];
+    for (let i = 0; i < Math.max(issuer.length, details.length); i++) {
+      if (issuer[i]) text(issuer[i], MARGIN);
+      if (details[i]) text(details[i], right, { align: 'right' });
+      nextLine();
+    }
+    nextLine(16);
+
+    // Customer
+    const billing = invoice.billingDetails;
+    text('Bill to', MARGIN, { bold: true });
+    nextLine();
+    for (const line of [billing.name, ...(billing.address || '').split('\n'), billing.email]) {
+      if (!line) continue;
+      text(line, MARGIN);
+      nextLine();
+    }
+    if (billing.taxId) {
+      text(`Tax ID: ${billing.taxId}`, MARGIN);
+      nextLine();
+    }
+    if (billing.bookedBy) {
+      text(`Booked by: ${billing.bookedBy.name} (${billing.bookedBy.email})`, MARGIN);
+      nextLine();
+    }
+    nextLine(16);
+
+    // Items
+    text(`${invoice.booking.resource.name}: ${dateTime(invoice.booking.startTime)} - ${dateTime(invoice.booking.endTime)}`, MARGIN, { bold: true });
+    nextLine(20);
+    text('Description', MARGIN, { bold: true });
+    text('Qty', 360, { bold: true, align: 'right' });
+    text('Unit price', 440, { bold: true, align: 'right' });
+    text(`Amount (${invoice.currency})`, right, { bold: true, align: 'right' });
+    nextLine(6);
+    rule();
+    nextLine();
+
+    for (const line of invoice.lines.filter(l => !TOTAL_LINE_TYPES.includes(l.type))) {
+      text(line.description, MARGIN);
+      if (line.quantity !== undefined) text(String(line.quantity), 360, { align: 'right' });
+      if (line.unitPrice !== undefined) {
+        const multiplier = line.multiplier && line.multiplier !== 1 ? ` x ${line.multiplier}` : '';
+        text(`${money(line.unitPrice)}${multiplier}`, 440, { align: 'right' });
+      }
+      text(money(line.amount), right, { align: 'right' });
+      nextLine();
+    }
+
+    // Totals
+    nextLine(-8);
+    rule();
+    nextLine();
+    const totals = [
+      ['Subtotal', invoice.subtotal],
+      ...invoice.lines.filter(l => TOTAL_LINE_TYPES.includes(l.type)).map(l => [l.description, l.amount])
+    ];
+    for (const [label, amount] of totals) {
+      text(label, 440, { align: 'right' });
+      text(money(amount), right, { align: 'right' });
+      nextLine();
+    }
+    text(`Total (${invoice.currency})`, 440, { bold: true, align: 'right' });
+    text(money(invoice.total), right, { bold: true, align: 'right' });
+
+    return createPdf(pages, { title: `Invoice ${invoice.number}` });
+  }
+
+  /**
+   * Get all invoices (admin), filtered by issue date, customer or organisation billed
+   */
+  static async getAll({ page = 1, limit = 20, startDate, endDate, userId, organisationId }) {
+    const skip = (page - 1) * limit;
+    const where = {};
+
+    if (userId) where.userId = userId;
+    if (organisationId) where.organisationId = organisationId;
+    if (startDate || endDate) {
+      where.issuedAt = {};
+      if (startDate) where.issuedAt.gte = new Date(startDate);
+      if (endDate) where.issuedAt.lte = new Date(endDate);
+    }
+
+    const [invoices, total] = await Promise.all([
+      prisma.invoice.findMany({
+        where,
+        include: {
+          user: {
+            select: { id: true, email: true, firstName: true, lastName: true }
+          },
+          booking: {
+            select: { id: true, status: true, startTime: true, resource: { select: { id: true, name: true } } }
+          }
+        },
+        orderBy: { issuedAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.invoice.count({ where })
+    ]);
+
+    return {
+      invoices,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = InvoiceService;
@@ -1,40 +1,52 @@
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const config = require('../config');
+const { getEmailTransport } = require('./emailTransport');
+const { getSmsProvider } = require('./smsProvider');
+const { AuditService, AuditActions } = require('./auditService');
+const { TemplateService, TemplateKeys } = require('./templateService');
+const InvoiceService = require('./invoiceService');
 
 const prisma = new PrismaClient();
 
 /**
  * Message Service
- * Handles email/SMS logging (actual sending would require provider integration)
+ * Handles email/SMS logging and queueing; delivery is performed by the message worker
  */
 class MessageService {
   /**
-   * Log an email message
+   * Log an email message (queued for delivery when PENDING)
+   * attachments are references such as { kind: 'invoice', id }, rendered on delivery
    */
-  static async logEmail({ to, content, status = 'QUEUED', provider = null, userId = null }) {
+  static async logEmail({ to, subject = null, content, htmlContent = null, attachments = null, status = 'PENDING', provider = null, userId = null }) {
     return prisma.messageLog.create({
       data: {
         type: 'EMAIL',
-        to,
+        recipient: to,
+        subject,
         content,
+        htmlContent,
+        attachments: attachments || Prisma.DbNull,
         status,
         provider,
-        userId
+        userId,
+        nextAttemptAt: status === 'PENDING' ? new Date() : null
       }
     });
   }
 
   /**
-   * Log an SMS message
+   * Log an SMS message (queued for delivery when PENDING)
    */
-  static async logSMS({ to, content, status = 'QUEUED', provider = null, userId = null }) {
+  static async logSMS({ to, content, status = 'PENDING', provider = null, userId = null }) {
     return prisma.messageLog.create({
       data: {
         type: 'SMS',
-        to,
+        recipient: to,
         content,
         status,
         provider,
-        userId
+        userId,
+        nextAttemptAt: status === 'PENDING' ? new Date() : null
       }
     });
   }
@@ -42,23 +54,183 @@ class MessageService {
   /**
    * Update message status
    */
-  static async updateStatus(messageId, status) {
+  static async updateStatus(messageId, status, { provider, error, nextAttemptAt } = {}) {
+    const data = { status };
+    if (status === 'SENT') data.sentAt = new Date();
+    if (status !== 'PENDING') data.nextAttemptAt = null;
+    if (provider !== undefined) data.provider = provider;
+    if (error !== undefined) data.error = error;
+    if (nextAttemptAt !== undefined) data.nextAttemptAt = nextAttemptAt;
+
     return prisma.messageLog.update({
       where: { id: messageId },
-      data: { status }
+      data
     });
   }
 
+  /**
+   * Delay before the next attempt (exponential backoff, capped)
+   */
+  static getRetryDelay(attempts) {
+    const { backoffBaseMs, backoffMaxMs } = config.messageQueue;
+    return Math.min(backoffBaseMs * Math.pow(2, Math.max(0, attempts - 1)), backoffMaxMs);
+  }
+
+  /**
+   * Claim pending messages that are due for delivery
+   * Each claimed message is leased so concurrent workers skip it
+   */
+  static async claimDueMessages(limit = config.messageQueue.batchSize) {
+    const now = new Date();
+    const leaseUntil = new Date(now.getTime() + config.messageQueue.leaseMs);
+
+    const candidates = await prisma.messageLog.findMany({
+      where: {
+        status: 'PENDING',
+        nextAttemptAt: { lte: now }
+      },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: limit
+    });
+
+    const claimed = [];
+    for (const message of candidates) {
+      const result = await prisma.messageLog.updateMany({
+        where: {
+          id: message.id,
+          status: 'PENDING',
+          nextAttemptAt: message.nextAttemptAt
+        },
+        data: { nextAttemptAt: leaseUntil }
+      });
+
+      if (result.count === 1) {
+        claimed.push(message);
+      }
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Get the transport responsible for a message type
+   */
+  static getTransport(type) {
+    if (type === 'EMAIL') return getEmailTransport();
+    if (type === 'SMS') return getSmsProvider();
+    throw new Error(`No transport configured for ${type} messages`);
+  }
+
+  /**
+   * Attempt delivery of a queued message
+   * On failure the message is rescheduled with backoff, or marked FAILED
+   * once maxAttempts is reached; never throws on delivery errors. Messages
+   * the transport doesn't send (SMS disabled) are marked SKIPPED.
+   */
+  static async deliver(message) {
+    const attempts = message.attempts + 1;
+    const lastAttemptAt = new Date();
+    let provider = null;
+
+    try {
+      const transport = this.getTransport(message.type);
+      provider = transport.name;
+
+      const result = await transport.send({
+        to: message.recipient,
+        subject: message.subject,
+        text: message.content,
+        html: message.htmlContent || undefined,
+        attachments: await this.renderAttachments(message.attachments)
+      });
+
+      return prisma.messageLog.update({
+        where: { id: message.id },
+        data: {
+          status: result.skipped ? 'SKIPPED' : 'SENT',
+          provider: result.provider,
+          error: null,
+          attempts,
+          lastAttemptAt,
+          nextAttemptAt: null,
+          sentAt: result.skipped ? null : new Date()
+        }
+      });
+    } catch (err) {
+      const exhausted = attempts >= config.messageQueue.maxAttempts;
+      console.error(
+        `Failed to deliver message ${message.id} (attempt ${attempts}/${config.messageQueue.maxAttempts}):`,
+        err.message
+      );
+
+      return prisma.messageLog.update({
+        where: { id: message.id },
+        data: {
+          status: exhausted ? 'FAILED' : 'PENDING',
+          provider,
+          error: err.message,
+          attempts,
+          lastAttemptAt,
+          nextAttemptAt: exhausted ? null : new Date(Date.now() + this.getRetryDelay(attempts))
+        }
+      });
+    }
+  }
+
+  /**
+   * Render the attachments referenced by a message for the transport
+   */
+  static async renderAttachments(attachments) {
+    if (!attachments) return undefined;
+
+    return Promise.all(attachments.map(attachment => {
+      if (attachment.kind === 'invoice') {
+        return InvoiceService.getPdf(attachment.id);
+      }
+      throw new Error(`Unknown attachment kind: ${attachment.kind}`);
+    }));
+  }
+
+  /**
+   * Claim and deliver one batch of due messages
+   */
+  static async processQueue(limit) {
+    const messages = await this.claimDueMessages(limit);
+
+    let sent = 0;
+    let skipped = 0;
+    let failed = 0;
+    for (const message of messages) {
+      const result = await this.deliver(message);
+      if (result.status === 'SENT') sent++;
+      else if (result.status === 'SKIPPED') skipped++;
+      else failed++;
+    }
+
+    return { processed: messages.length, sent, skipped, failed };
+  }
+
   /**
    * Get message logs with pagination
    */
-  static async getLogs({ page = 1, limit = 20, type, status, userId }) {
+  static async getLogs({ page = 1, limit = 20, type, status, userId, search, startDate, endDate }) {
     const skip = (page - 1) * limit;
     const where = {};
 
     if (type) where.type = type;
     if (status) where.status = status;
     if (userId) where.userId = userId;
+    if (search) {
+      where.OR = [
+        { recipient: { contains: search } },
+        { subject: { contains: search } }
+      ];
+    }
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) where.createdAt.lte = new Date(endDate);
+    }
 
     const [logs, total] = await Promise.all([
       prisma.messageLog.findMany({
@@ -87,59 +259,302 @@ class MessageService {
   }
 
   /**
-   * Send booking confirmation email (mock - logs only)
+   * Get a single message log with its full content
    */
-  static async sendBookingConfirmation(user, booking, resource) {
-    const content = `
-Dear ${user.firstName || 'Customer'},
-
-Your booking has been confirmed!
+  static async getById(messageId) {
+    const message = await prisma.messageLog.findUnique({
+      where: { id: messageId },
+      include: {
+        user: {
+          select: { id: true, email: true, firstName: true, lastName: true }
+        }
+      }
+    });
 
-Resource: ${resource.name}
-Date: ${new Date(booking.startTime).toLocaleDateString()}
-Time: ${new Date(booking.startTime).toLocaleTimeString()} - ${new Date(booking.endTime).toLocaleTimeString()}
-Total: $${booking.totalPrice}
+    if (!message) {
+      throw { statusCode: 404, message: 'Message not found' };
+    }
 
-Thank you for your booking!
+    return message;
+  }
 
-Best regards,
-BookingPMS Team
-    `.trim();
+  /**
+   * Get message counts grouped by status
+   */
+  static async getStats() {
+    const groups = await prisma.messageLog.groupBy({
+      by: ['status'],
+      _count: { _all: true }
+    });
 
-    return this.logEmail({
-      to: user.email,
-      content,
-      status: 'QUEUED',
-      userId: user.id
+    const stats = { PENDING: 0, SENT: 0, FAILED: 0, SKIPPED: 0 };
+    groups.forEach(g => {
+      stats[g.status] = g._count._all;
     });
+
+    return stats;
   }
 
   /**
-   * Send booking cancellation email (mock - logs only)
+   * Re-queue a failed message for immediate delivery
+   * Pending messages are left alone: a worker may hold them leased, and
+   * re-queueing one would let a second worker send it again.
    */
-  static async sendBookingCancellation(user, booking, resource) {
-    const content = `
-Dear ${user.firstName || 'Customer'},
+  static async resend(messageId, adminId, ipAddress) {
+    const existing = await this.getById(messageId);
 
-Your booking has been cancelled.
+    if (existing.status === 'SENT') {
+      throw { statusCode: 400, message: 'Message has already been sent' };
+    }
 
-Resource: ${resource.name}
-Date: ${new Date(booking.startTime).toLocaleDateString()}
-Time: ${new Date(booking.startTime).toLocaleTimeString()} - ${new Date(booking.endTime).toLocaleTimeString()}
+    // Guard on status so a message being delivered is not re-queued
+    const result = await prisma.messageLog.updateMany({
+      where: { id: messageId, status: 'FAILED' },
+      data: {
+        status: 'PENDING',
+        attempts: 0,
+        error: null,
+        nextAttemptAt: new Date()
+      }
+    });
 
-If you did not request this cancellation, please contact us immediately.
+    if (result.count === 0) {
+      throw { statusCode: 409, message: 'Only failed messages can be resent' };
+    }
 
-Best regards,
-BookingPMS Team
-    `.trim();
+    const message = await this.getById(messageId);
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.MESSAGE_RESEND,
+      entity: 'MessageLog',
+      entityId: messageId,
+      ipAddress,
+      details: {
+        type: existing.type,
+        recipient: existing.recipient,
+        previousStatus: existing.status,
+        previousAttempts: existing.attempts,
+        previousError: existing.error
+      }
+    });
+
+    return message;
+  }
+
+  /**
+   * Render a template and queue it as an email
+   */
+  static async queueTemplatedEmail(user, key, context, { attachments = null } = {}) {
+    const { subject, text, html } = await TemplateService.render(key, 'EMAIL', user.locale, context);
 
     return this.logEmail({
       to: user.email,
-      content,
-      status: 'QUEUED',
+      subject,
+      content: text,
+      htmlContent: html,
+      attachments,
+      userId: user.id
+    });
+  }
+
+  /**
+   * Render a template and queue it as an SMS
+   */
+  static async queueTemplatedSMS(user, to, key, context) {
+    const { text } = await TemplateService.render(key, 'SMS', user.locale, context);
+
+    return this.logSMS({
+      to,
+      content: text,
       userId: user.id
     });
   }
+
+  /**
+   * Queue booking confirmation email, with the invoice attached when the booking is invoiceable
+   */
+  static async sendBookingConfirmation(user, booking, resource) {
+    const context = TemplateService.buildBookingContext(user, booking, resource);
+    let attachments = null;
+
+    if (config.invoices.attachToConfirmation && InvoiceService.isInvoiceable(booking)) {
+      try {
+        const invoice = await InvoiceService.getOrCreateForBooking(booking.id);
+        attachments = [{ kind: 'invoice', id: invoice.id }];
+      } catch (err) {
+        console.error('Failed to issue invoice for confirmation email:', err.message);
+      }
+    }
+
+    return this.queueTemplatedEmail(user, TemplateKeys.BOOKING_CONFIRMATION, context, { attachments });
+  }
+
+  /**
+   * Queue "awaiting approval" email
+   */
+  static async sendBookingPending(user, booking, resource) {
+    const context = TemplateService.buildBookingContext(user, booking, resource);
+    return this.queueTemplatedEmail(user, TemplateKeys.BOOKING_PENDING, context);
+  }
+
+  /**
+   * Queue booking rejection email
+   */
+  static async sendBookingRejected(user, booking, resource, reason) {
+    const context = TemplateService.buildBookingContext(user, booking, resource, { reason: reason || 'No reason given' });
+    return this.queueTemplatedEmail(user, TemplateKeys.BOOKING_REJECTED, context);
+  }
+
+  /**
+   * Queue booking cancellation email
+   */
+  static async sendBookingCancellation(user, booking, resource, refund = null) {
+    const context = TemplateService.buildBookingContext(user, booking, resource, TemplateService.buildRefundContext(refund));
+    return this.queueTemplatedEmail(user, TemplateKeys.BOOKING_CANCELLATION, context);
+  }
+
+  /**
+   * Queue recurring booking confirmation email
+   */
+  static async sendBookingSeriesConfirmation(user, series, resource) {
+    const context = TemplateService.buildSeriesContext(user, series, resource);
+    return this.queueTemplatedEmail(user, TemplateKeys.BOOKING_SERIES_CREATED, context);
+  }
+
+  /**
+   * Queue recurring booking cancellation email
+   */
+  static async sendBookingSeriesCancellation(user, series, resource, cancelled) {
+    const context = TemplateService.buildSeriesContext(user, series, resource, cancelled);
+    return this.queueTemplatedEmail(user, TemplateKeys.BOOKING_SERIES_CANCELLED, context);
+  }
+
+  /**
+   * Queue booking update email, showing the previous and new details
+   */
+  static async sendBookingUpdate(user, booking, resource, previous) {
+    const context = TemplateService.buildBookingContext(
+      user, booking, resource, TemplateService.buildPreviousContext(previous)
+    );
+    return this.queueTemplatedEmail(user, TemplateKeys.BOOKING_UPDATED, context);
+  }
+
+  /**
+   * Queue booking reminder email
+   */
+  static async sendBookingReminder(user, booking, resource) {
+    const context = TemplateService.buildBookingContext(user, booking, resource);
+    return this.queueTemplatedEmail(user, TemplateKeys.BOOKING_REMINDER, context);
+  }
+
+  /**
+   * Queue balance-due reminder email for a deposit booking
+   */
+  static async sendBalanceDue(user, booking, resource) {
+    const context = TemplateService.buildBookingContext(user, booking, resource);
+    return this.queueTemplatedEmail(user, TemplateKeys.BALANCE_DUE, context);
+  }
+
+  /**
+   * Queue waitlist offer email with the claim link
+   */
+  static async sendWaitlistOffer(user, entry, resource) {
+    const context = TemplateService.buildWaitlistOfferContext(user, entry, resource);
+    return this.queueTemplatedEmail(user, TemplateKeys.WAITLIST_OFFER, context);
+  }
+
+  // =====================
+  // SMS
+  // =====================
+
+  /**
+   * Whether a user has a verified phone and opted in to SMS
+   */
+  static canReceiveSMS(user) {
+    return Boolean(user && user.phone && user.phoneVerified && user.smsOptIn);
+  }
+
+  /**
+   * Send a phone verification code SMS right away
+   * Not queued like other messages: the log only keeps the text with the code
+   * masked, so codes never sit in message_logs. Throws 502 if sending fails,
+   * and 503 if SMS is disabled.
+   */
+  static async sendPhoneVerification(user, phone, code) {
+    const context = {
+      user: { firstName: user.firstName },
+      expiresInMinutes: config.sms.verificationTtlMinutes
+    };
+    const [{ text }, { text: redacted }] = await Promise.all([
+      TemplateService.render(TemplateKeys.PHONE_VERIFICATION, 'SMS', user.locale, { ...context, code }),
+      TemplateService.render(TemplateKeys.PHONE_VERIFICATION, 'SMS', user.locale, { ...context, code: '******' })
+    ]);
+
+    const transport = this.getTransport('SMS');
+    let result;
+    try {
+      result = await transport.send({ to: phone, text });
+    } catch (err) {
+      console.error('Failed to send phone verification code:', err.message);
+      const message = await this.logSMS({ to: phone, content: redacted, status: 'FAILED', userId: user.id });
+      await this.updateStatus(message.id, 'FAILED', { provider: transport.name, error: err.message });
+      throw { statusCode: 502, message: 'The verification code could not be sent; please try again' };
+    }
+
+    if (result.skipped) {
+      const message = await this.logSMS({ to: phone, content: redacted, status: 'SKIPPED', userId: user.id });
+      await this.updateStatus(message.id, 'SKIPPED', { provider: result.provider });
+      throw { statusCode: 503, message: 'Text messages are not available' };
+    }
+
+    const message = await this.logSMS({ to: phone, content: redacted, status: 'SENT', userId: user.id });
+    return this.updateStatus(message.id, 'SENT', { provider: result.provider });
+  }
+
+  /**
+   * Queue booking confirmation SMS (only if the user opted in)
+   */
+  static async sendBookingConfirmationSMS(user, booking, resource) {
+    if (!this.canReceiveSMS(user)) return null;
+
+    const context = TemplateService.buildBookingContext(user, booking, resource);
+    return this.queueTemplatedSMS(user, user.phone, TemplateKeys.BOOKING_CONFIRMATION, context);
+  }
+
+  /**
+   * Queue booking cancellation SMS (only if the user opted in)
+   */
+  static async sendBookingCancellationSMS(user, booking, resource, refund = null) {
+    if (!this.canReceiveSMS(user)) return null;
+
+    const context = TemplateService.buildBookingContext(user, booking, resource, TemplateService.buildRefundContext(refund));
+    return this.queueTemplatedSMS(user, user.phone, TemplateKeys.BOOKING_CANCELLATION, context);
+  }
+
+  /**
+   * Queue booking reminder SMS (only if the user opted in)
+   */
+  static async sendBookingReminderSMS(user, booking, resource) {
+    if (!this.canReceiveSMS(user)) return null;
+
+    const context = TemplateService.buildBookingContext(user, booking, resource);
+    return this.queueTemplatedSMS(user, user.phone, TemplateKeys.BOOKING_REMINDER, context);
+  }
+
+  static async sendBalanceDueSMS(user, booking, resource) {
+    if (!this.canReceiveSMS(user)) return null;
+
+    const context = TemplateService.buildBookingContext(user, booking, resource);
+    return this.queueTemplatedSMS(user, user.phone, TemplateKeys.BALANCE_DUE, context);
+  }
+
+  static async sendWaitlistOfferSMS(user, entry, resource) {
+    if (!this.canReceiveSMS(user)) return null;
+
+    const context = TemplateService.buildWaitlistOfferContext(user, entry, resource);
+    return this.queueTemplatedSMS(user, user.phone, TemplateKeys.WAITLIST_OFFER, context);
+  }
 }
 
 module.exports = MessageService;
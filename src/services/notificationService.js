@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const { TemplateService, TemplateKeys } = require('./templateService');
 
 const prisma = new PrismaClient();
 
@@ -116,43 +117,149 @@ class NotificationService {
   // Notification Templates
   // =====================
 
-  static async notifyBookingCreated(userId, booking, resource) {
+  /**
+   * Create a notification from an IN_APP template in the user's locale
+   */
+  static async createFromTemplate(userId, type, key, context, metadata = null) {
+    const locale = await TemplateService.getUserLocale(userId);
+    const { subject, text } = await TemplateService.render(key, 'IN_APP', locale, context);
+
     return this.create({
       userId,
-      type: 'BOOKING_CREATED',
-      title: 'Booking Confirmed',
-      message: `Your booking for "${resource.name}" from ${new Date(booking.startTime).toLocaleString()} to ${new Date(booking.endTime).toLocaleString()} has been confirmed. Total: $${booking.totalPrice}`,
-      metadata: { bookingId: booking.id, resourceId: resource.id }
+      type,
+      title: subject,
+      message: text,
+      metadata
     });
   }
 
-  static async notifyBookingCancelled(userId, booking, resource) {
-    return this.create({
+  static async notifyBookingCreated(userId, booking, resource) {
+    return this.createFromTemplate(
       userId,
-      type: 'BOOKING_CANCELLED',
-      title: 'Booking Cancelled',
-      message: `Your booking for "${resource.name}" on ${new Date(booking.startTime).toLocaleString()} has been cancelled.`,
-      metadata: { bookingId: booking.id, resourceId: resource.id }
-    });
+      'BOOKING_CREATED',
+      TemplateKeys.BOOKING_CONFIRMATION,
+      TemplateService.buildBookingContext(booking.user, booking, resource),
+      { bookingId: booking.id, resourceId: resource.id }
+    );
   }
 
-  static async notifyBookingUpdated(userId, booking, resource) {
-    return this.create({
+  static async notifyBookingPending(userId, booking, resource) {
+    return this.createFromTemplate(
       userId,
-      type: 'BOOKING_REMINDER',
-      title: 'Booking Updated',
-      message: `Your booking for "${resource.name}" has been updated. New time: ${new Date(booking.startTime).toLocaleString()} to ${new Date(booking.endTime).toLocaleString()}`,
-      metadata: { bookingId: booking.id, resourceId: resource.id }
-    });
+      'BOOKING_PENDING',
+      TemplateKeys.BOOKING_PENDING,
+      TemplateService.buildBookingContext(booking.user, booking, resource),
+      { bookingId: booking.id, resourceId: resource.id }
+    );
+  }
+
+  static async notifyBookingRejected(userId, booking, resource, reason) {
+    return this.createFromTemplate(
+      userId,
+      'BOOKING_REJECTED',
+      TemplateKeys.BOOKING_REJECTED,
+      TemplateService.buildBookingContext(booking.user, booking, resource, { reason: reason || '' }),
+      { bookingId: booking.id, resourceId: resource.id, reason }
+    );
+  }
+
+  static async notifyBookingCancelled(userId, booking, resource, refund = null) {
+    return this.createFromTemplate(
+      userId,
+      'BOOKING_CANCELLED',
+      TemplateKeys.BOOKING_CANCELLATION,
+      TemplateService.buildBookingContext(booking.user, booking, resource, TemplateService.buildRefundContext(refund)),
+      { bookingId: booking.id, resourceId: resource.id }
+    );
+  }
+
+  static async notifyBookingSeriesCreated(userId, series, resource) {
+    return this.createFromTemplate(
+      userId,
+      'BOOKING_SERIES_CREATED',
+      TemplateKeys.BOOKING_SERIES_CREATED,
+      TemplateService.buildSeriesContext(null, series, resource),
+      { seriesId: series.id, resourceId: resource.id }
+    );
+  }
+
+  static async notifyBookingSeriesCancelled(userId, series, resource, cancelled) {
+    return this.createFromTemplate(
+      userId,
+      'BOOKING_SERIES_CANCELLED',
+      TemplateKeys.BOOKING_SERIES_CANCELLED,
+      TemplateService.buildSeriesContext(null, series, resource, cancelled),
+      { seriesId: series.id, resourceId: resource.id, bookingIds: cancelled.map(b => b.id) }
+    );
+  }
+
+  static async notifyBookingUpdated(userId, booking, resource, previous = null, changes = null) {
+    return this.createFromTemplate(
+      userId,
+      'BOOKING_UPDATED',
+      TemplateKeys.BOOKING_UPDATED,
+      TemplateService.buildBookingContext(booking.user, booking, resource, TemplateService.buildPreviousContext(previous)),
+      { bookingId: booking.id, resourceId: resource.id, changes }
+    );
+  }
+
+  static async notifyBookingReminder(userId, booking, resource) {
+    return this.createFromTemplate(
+      userId,
+      'BOOKING_REMINDER',
+      TemplateKeys.BOOKING_REMINDER,
+      TemplateService.buildBookingContext(booking.user, booking, resource),
+      { bookingId: booking.id, resourceId: resource.id }
+    );
+  }
+
+  static async notifyBalanceDue(userId, booking, resource) {
+    return this.createFromTemplate(
+      userId,
+      'BALANCE_DUE',
+      TemplateKeys.BALANCE_DUE,
+      TemplateService.buildBookingContext(booking.user, booking, resource),
+      { bookingId: booking.id, resourceId: resource.id }
+    );
+  }
+
+  static async notifyWaitlistOffer(userId, entry, resource) {
+    return this.createFromTemplate(
+      userId,
+      'WAITLIST_OFFER',
+      TemplateKeys.WAITLIST_OFFER,
+      TemplateService.buildWaitlistOfferContext(null, entry, resource),
+      { waitlistEntryId: entry.id, resourceId: resource.id, offerToken: entry.offerToken }
+    );
+  }
+
+  static async notifyBookingCompleted(userId, booking, resource) {
+    return this.createFromTemplate(
+      userId,
+      'BOOKING_COMPLETED',
+      TemplateKeys.BOOKING_COMPLETED,
+      TemplateService.buildBookingContext(booking.user, booking, resource),
+      { bookingId: booking.id, resourceId: resource.id }
+    );
+  }
+
+  static async notifyBookingNoShow(userId, booking, resource) {
+    return this.createFromTemplate(
+      userId,
+      'BOOKING_NO_SHOW',
+      TemplateKeys.BOOKING_NO_SHOW,
+      TemplateService.buildBookingContext(booking.user, booking, resource),
+      { bookingId: booking.id, resourceId: resource.id }
+    );
   }
 
   static async notifyWelcome(userId, firstName) {
-    return this.create({
+    return this.createFromTemplate(
       userId,
-      type: 'WELCOME',
-      title: 'Welcome!',
-      message: `Welcome to BookingPMS, ${firstName || 'there'}! Start exploring our resources and make your first booking.`
-    });
+      'WELCOME',
+      TemplateKeys.WELCOME,
+      { user: { firstName: firstName || 'there' } }
+    );
   }
 }
 
@@ -0,0 +1,418 @@
+const { Prisma, PrismaClient } = require('@prisma/client');
+const { AuditService, AuditActions } = require('./auditService');
+const BookingPolicyService = require('./bookingPolicyService');
+
+const prisma = new PrismaClient();
+
+const MEMBER_SELECT = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  isActive: true,
+  organisationRole: true
+};
+
+const BILLING_FIELDS = ['billingName', 'billingEmail', 'billingAddress', 'taxId'];
+
+/**
+ * Organisation Service
+ * Organisations group users. Their ADMIN members see and manage the bookings
+ * of every member, their quotas limit the members' bookings together (see
+ * BookingPolicyService), and with consolidated billing the members' invoices
+ * are made out to the organisation (see InvoiceService).
+ */
+class OrganisationService {
+  /**
+   * Whether a user may act on another user's bookings: their own, or those of
+   * a member of the organisation they administer
+   */
+  static async canActFor(actorId, userId) {
+    if (!actorId || !userId) return false;
+    if (actorId === userId) return true;
+
+    const users = await prisma.user.findMany({
+      where: { id: { in: [actorId, userId] } },
+      select: { id: true, organisationId: true, organisationRole: true }
+    });
+    const actor = users.find(u => u.id === actorId);
+    const owner = users.find(u => u.id === userId);
+
+    return Boolean(
+      actor && owner &&
+      actor.organisationId &&
+      actor.organisationRole === 'ADMIN' &&
+      actor.organisationId === owner.organisationId
+    );
+  }
+
+  /**
+   * Id of the organisation a user administers; throws 403 if none
+   */
+  static async getAdministeredOrganisationId(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { organisationId: true, organisationRole: true }
+    });
+
+    if (!user || !user.organisationId || user.organisationRole !== 'ADMIN') {
+      throw { statusCode: 403, message: 'Only organisation admins can do this' };
+    }
+
+    return user.organisationId;
+  }
+
+  /**
+   * Check a user may manage an organisation: system admins, or its own admins
+   */
+  static async assertCanManage(organisationId, userId, isAdmin = false) {
+    if (isAdmin) return;
+
+    const administered = await this.getAdministeredOrganisationId(userId);
+    if (administered !== organisationId) {
+      throw { statusCode: 403, message: 'Not authorized to manage this organisation' };
+    }
+  }
+
+  /**
+   * Clean organisation fields from a request; undefined leaves a field as is
+   */
+  static normalize(data) {
+    const values = {};
+
+    if (data.name !== undefined) values.name = data.name;
+    if (data.consolidatedBilling !== undefined) values.consolidatedBilling = Boolean(data.consolidatedBilling);
+    for (const field of BILLING_FIELDS) {
+      if (data[field] !== undefined) values[field] = data[field] || null;
+    }
+    if (data.quotas !== undefined) {
+      values.quotas = data.quotas ? BookingPolicyService.normalize(data.quotas) : Prisma.DbNull;
+    }
+
+    return values;
+  }
+
+  // =====================
+  // Admin
+  // =====================
+
+  /**
+   * Get all organisations with their member counts
+   */
+  static async getAll({ page = 1, limit = 20, search }) {
+    const skip = (page - 1) * limit;
+    const where = {};
+
+    if (search) {
+      where.name = { contains: search };
+    }
+
+    const [organisations, total] = await Promise.all([
+      prisma.organisation.findMany({
+        where,
+        include: {
+          _count: {
+            select: { members: true }
+          }
+        },
+        orderBy: { name: 'asc' },
+        skip,
+        take: limit
+      }),
+      prisma.organisation.count({ where })
+    ]);
+
+    return {
+      organisations: organisations.map(({ _count, ...organisation }) => ({ ...organisation, members: _count.members })),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get an organisation with its members; system admins or its own admins
+   */
+  static async getById(organisationId, userId, isAdmin = false) {
+    await this.assertCanManage(organisationId, userId, isAdmin);
+
+    const organisation = await prisma.organisation.findUnique({
+      where: { id: organisationId },
+      include: {
+        members: {
+          select: MEMBER_SELECT,
+          orderBy: [{ lastName: 'asc' }, { firstName: 'asc' }]
+        }
+      }
+    });
+
+    if (!organisation) {
+      throw { statusCode: 404, message: 'Organisation not found' };
+    }
+
+    return organisation;
+  }
+
+  /**
+   * Create an organisation
+   */
+  static async create(data, adminId, ipAddress) {
+    const existing = await prisma.organisation.findUnique({ where: { name: data.name } });
+    if (existing) {
+      throw { statusCode: 409, message: 'An organisation with this name already exists' };
+    }
+
+    const values = this.normalize(data);
+    const organisation = await prisma.organisation.create({ data: values });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.ORGANISATION_CREATE,
+      entity: 'Organisation',
+      entityId: organisation.id,
+      ipAddress,
+      details: { ...values, quotas: organisation.quotas }
+    });
+
+    return organisation;
+  }
+
+  /**
+   * Update an organisation's name, quotas or billing details
+   */
+  static async update(organisationId, data, adminId, ipAddress) {
+    const organisation = await prisma.organisation.findUnique({ where: { id: organisationId } });
+
+    if (!organisation) {
+      throw { statusCode: 404, message: 'Organisation not found' };
+    }
+
+    if (data.name && data.name !== organisation.name) {
+      const existing = await prisma.organisation.findUnique({ where: { name: data.name } });
+      if (existing) {
+        throw { statusCode: 409, message: 'An organisation with this name already exists' };
+      }
+    }
+
+    const values = this.normalize(data);
+    const updated = await prisma.organisation.update({
+      where: { id: organisationId },
+      data: values
+    });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.ORGANISATION_UPDATE,
+      entity: 'Organisation',
+      entityId: organisationId,
+      ipAddress,
+      details: { ...values, quotas: values.quotas === undefined ? undefined : updated.quotas }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Delete an organisation; its members and invoices are kept, unlinked
+   */
+  static async delete(organisationId, adminId, ipAddress) {
+    const organisation = await prisma.organisation.findUnique({ where: { id: organisationId } });
+
+    if (!organisation) {
+      throw { statusCode: 404, message: 'Organisation not found' };
+    }
+
+    await prisma.$transaction([
+      prisma.user.updateMany({
+        where: { organisationId },
+        data: { organisationRole: 'MEMBER' }
+      }),
+      prisma.organisation.delete({ where: { id: organisationId } })
+    ]);
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.ORGANISATION_DELETE,
+      entity: 'Organisation',
+      entityId: organisationId,
+      ipAddress,
+      details: { name: organisation.name }
+    });
+
+    return { message: 'Organisation deleted successfully' };
+  }
+
+  /**
+   * Add a user to an organisation, or change their role in it; a user
+   * belongs to one organisation at most, so this moves them from any other
+   */
+  static async setMember(organisationId, userId, role, adminId, ipAddress) {
+    const [organisation, user] = await Promise.all([
+      prisma.organisation.findUnique({ where: { id: organisationId } }),
+      prisma.user.findUnique({ where: { id: userId }, select: { id: true, organisationId: true } })
+    ]);
+
+    if (!organisation) {
+      throw { statusCode: 404, message: 'Organisation not found' };
+    }
+    if (!user) {
+      throw { statusCode: 404, message: 'User not found' };
+    }
+
+    const member = await prisma.user.update({
+      where: { id: userId },
+      data: { organisationId, organisationRole: role },
+      select: MEMBER_SELECT
+    });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.ORGANISATION_MEMBER_UPDATE,
+      entity: 'User',
+      entityId: userId,
+      ipAddress,
+      details: { organisationId, role, previousOrganisationId: user.organisationId }
+    });
+
+    return member;
+  }
+
+  /**
+   * Remove a user from an organisation
+   */
+  static async removeMember(organisationId, userId, adminId, ipAddress) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, organisationId: true }
+    });
+
+    if (!user || user.organisationId !== organisationId) {
+      throw { statusCode: 404, message: 'User is not a member of this organisation' };
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { organisationId: null, organisationRole: 'MEMBER' }
+    });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.ORGANISATION_MEMBER_REMOVE,
+      entity: 'User',
+      entityId: userId,
+      ipAddress,
+      details: { organisationId }
+    });
+
+    return { message: 'Member removed successfully' };
+  }
+
+  // =====================
+  // Members
+  // =====================
+
+  /**
+   * The organisation a user belongs to, with the member list for its admins
+   */
+  static async getMine(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { organisationId: true, organisationRole: true }
+    });
+
+    if (!user || !user.organisationId) {
+      throw { statusCode: 404, message: 'You are not a member of an organisation' };
+    }
+
+    const isOrgAdmin = user.organisationRole === 'ADMIN';
+    const organisation = await prisma.organisation.findUnique({
+      where: { id: user.organisationId },
+      include: isOrgAdmin
+        ? { members: { select: MEMBER_SELECT, orderBy: [{ lastName: 'asc' }, { firstName: 'asc' }] } }
+        : undefined
+    });
+
+    return { ...organisation, role: user.organisationRole };
+  }
+
+  /**
+   * Consolidated billing statement: the invoices made out to an organisation
+   * in a period, with totals per currency
+   */
+  static async getBillingStatement(organisationId, userId, isAdmin = false, { page = 1, limit = 50, startDate, endDate } = {}) {
+    await this.assertCanManage(organisationId, userId, isAdmin);
+
+    const organisation = await prisma.organisation.findUnique({ where: { id: organisationId } });
+
+    if (!organisation) {
+      throw { statusCode: 404, message: 'Organisation not found' };
+    }
+
+    const skip = (page - 1) * limit;
+    const where = { organisationId };
+
+    if (startDate || endDate) {
+      where.issuedAt = {};
+      if (startDate) where.issuedAt.gte = new Date(startDate);
+      if (endDate) where.issuedAt.lte = new Date(endDate);
+    }
+
+    const [invoices, total, totals] = await Promise.all([
+      prisma.invoice.findMany({
+        where,
+        include: {
+          user: {
+            select: { id: true, email: true, firstName: true, lastName: true }
+          },
+          booking: {
+            select: { id: true, status: true, startTime: true, resource: { select: { id: true, name: true } } }
+          }
+        },
+        orderBy: { issuedAt: 'asc' },
+        skip,
+        take: limit
+      }),
+      prisma.invoice.count({ where }),
+      prisma.invoice.groupBy({
+        by: ['currency'],
+        where,
+        _count: { _all: true },
+        _sum: { subtotal: true, feeAmount: true, taxAmount: true, discountAmount: true, total: true }
+      })
+    ]);
+
+    return {
+      organisation: {
+        id: organisation.id,
+        name: organisation.name,
+        consolidatedBilling: organisation.consolidatedBilling,
+        billingName: organisation.billingName,
+        billingEmail: organisation.billingEmail,
+        billingAddress: organisation.billingAddress,
+        taxId: organisation.taxId
+      },
+      period: { startDate: startDate || null, endDate: endDate || null },
+      totals: totals.map(t => ({
+        currency: t.currency,
+        invoices: t._count._all,
+        subtotal: t._sum.subtotal,
+        feeAmount: t._sum.feeAmount,
+        taxAmount: t._sum.taxAmount,
+        discountAmount: t._sum.discountAmount,
+        total: t._sum.total
+      })),
+      invoices,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = OrganisationService;
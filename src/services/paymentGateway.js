@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Payment Gateways
+ * Every gateway exposes `name` and:
+ * - `authorize({ amount, currency, reference, paymentMethod })` resolving with
+ *   `{ gatewayPaymentId, status, failureReason, nextAction }`, where status is
+ *   AUTHORIZED, FAILED or PENDING (settled later by webhook, e.g. 3-D Secure)
+ * - `capture(gatewayPaymentId, amount)`, `void(gatewayPaymentId)` and
+ *   `refund(gatewayPaymentId, amount)`, throwing if the gateway refuses
+ * - `parseWebhook(rawBody, headers)` resolving with
+ *   `{ id, type, gatewayPaymentId, amount, failureReason }` once the signature
+ *   is verified. type is one of payment.authorized, payment.captured,
+ *   payment.failed or payment.refunded (amount is then the total refunded).
+ * Amounts are in major units of the currency, as stored on bookings.
+ */
+
+const EVENT_TYPES = ['payment.authorized', 'payment.captured', 'payment.failed', 'payment.refunded'];
+
+/**
+ * Mock gateway (development/tests)
+ * Settles payments in memory. paymentMethod picks the outcome:
+ * 'mock_decline' fails, 'mock_pending' waits for a webhook (see buildWebhook),
+ * anything else is authorised at once. Refused in production (see config).
+ */
+class MockPaymentGateway {
+  constructor(options = config.payments) {
+    this.name = 'mock';
+    this.webhookSecret = options.webhookSecret;
+    this.toleranceSeconds = options.webhookToleranceSeconds;
+    this.payments = new Map();
+  }
+
+  async authorize({ amount, currency, reference, paymentMethod }) {
+    const gatewayPaymentId = `mock_${crypto.randomBytes(12).toString('hex')}`;
+    const status = { mock_decline: 'FAILED', mock_pending: 'PENDING' }[paymentMethod] || 'AUTHORIZED';
+
+    this.payments.set(gatewayPaymentId, { amount, currency, reference, status, refunded: 0 });
+    console.log(`[Payments:mock] ${status} ${amount} ${currency} for ${reference}`);
+
+    return {
+      gatewayPaymentId,
+      status,
+      failureReason: status === 'FAILED' ? 'Card declined' : null,
+      nextAction: status === 'PENDING' ? { type: 'await_webhook' } : null
+    };
+  }
+
+  async capture(gatewayPaymentId) {
+    this.setStatus(gatewayPaymentId, 'CAPTURED');
+  }
+
+  async void(gatewayPaymentId) {
+    this.setStatus(gatewayPaymentId, 'VOIDED');
+  }
+
+  async refund(gatewayPaymentId, amount) {
+    const payment = this.payments.get(gatewayPaymentId);
+    if (payment) payment.refunded += amount;
+  }
+
+  // Payments made before a restart are unknown; accept them rather than fail
+  setStatus(gatewayPaymentId, status) {
+    const payment = this.payments.get(gatewayPaymentId);
+    if (payment) payment.status = status;
+  }
+
+  /**
+   * Signature header value for a raw body: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">`
+   */
+  sign(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Build a signed webhook request, as the gateway would send it (used by tests and scripts)
+   */
+  buildWebhook(type, gatewayPaymentId, data = {}) {
+    const body = JSON.stringify({
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      data: { gatewayPaymentId, ...data }
+    });
+    return { body, headers: { 'x-mock-signature': this.sign(body) } };
+  }
+
+  async parseWebhook(rawBody, headers) {
+    const header = headers['x-mock-signature'] || '';
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || !parts.v1) {
+      throw { statusCode: 400, message: 'Missing webhook signature' };
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > this.toleranceSeconds) {
+      throw { statusCode: 400, message: 'Webhook signature has expired' };
+    }
+
+    const expected = Buffer.from(this.sign(rawBody, timestamp).split('v1=')[1]);
+    const actual = Buffer.from(parts.v1);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw { statusCode: 400, message: 'Invalid webhook signature' };
+    }
+
+    const event = JSON.parse(rawBody);
+    if (!EVENT_TYPES.includes(event.type)) {
+      throw { statusCode: 400, message: `Unknown webhook event type: ${event.type}` };
+    }
+
+    return {
+      id: event.id,
+      type: event.type,
+      gatewayPaymentId: event.data.gatewayPaymentId,
+      amount: event.data.amount !== undefined ? parseFloat(event.data.amount) : null,
+      failureReason: event.data.failureReason || null
+    };
+  }
+}
+
+const gateways = {
+  mock: MockPaymentGateway
+};
+
+let instance = null;
+
+/**
+ * Get the configured payment gateway (created once per process)
+ */
+const getPaymentGateway = () => {
+  if (!instance) {
+    const Gateway = gateways[config.payments.gateway];
+    if (!Gateway) {
+      throw new Error(`Unknown payment gateway: ${config.payments.gateway}`);
+    }
+    instance = new Gateway();
+  }
+  return instance;
+};
+
+/**
+ * Replace the active gateway (used by tests and scripts)
+ */
+const setPaymentGateway = (gateway) => {
+  instance = gateway;
+};
+
+module.exports = {
+  MockPaymentGateway,
+  getPaymentGateway,
+  setPaymentGateway
+};
@@ -0,0 +1,602 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const { getPaymentGateway } = require('./paymentGateway');
+const BookingService = require('./bookingService');
+const OrganisationService = require('./organisationService');
+const { AuditService, AuditActions } = require('./auditService');
+
+const prisma = new PrismaClient();
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Payment Service
+ * A booking with a price is created PENDING and awaitingPayment, holding its
+ * slot for config.payments.holdMinutes. Once a payment is authorised the
+ * booking is settled: resources needing approval wait for an admin (who
+ * captures the payment on approval), others are captured and CONFIRMED at
+ * once. Payments that arrive after the booking was cancelled or expired are
+ * voided or refunded; cancelling a paid booking refunds what its
+ * cancellation policy allows (see CancellationPolicyService).
+ * Bookings of resources with a deposit rule pay only the deposit this way;
+ * the balance is paid on the CONFIRMED booking before its balanceDueAt and
+ * captured at once (see DepositService).
+ */
+class PaymentService {
+  /**
+   * Whether a new booking at this price must be paid before it is confirmed
+   */
+  static isRequired(totalPrice) {
+    return config.payments.required && parseFloat(totalPrice) > 0;
+  }
+
+  /**
+   * What is paid next for a booking: the balance of a CONFIRMED deposit
+   * booking, otherwise its deposit or, without one, its total
+   */
+  static getAmountDue(booking) {
+    if (booking.status === 'CONFIRMED' && parseFloat(booking.balanceAmount) > 0) {
+      return { amount: parseFloat(booking.balanceAmount), purpose: 'BALANCE' };
+    }
+
+    if (parseFloat(booking.depositAmount) > 0) {
+      return { amount: parseFloat(booking.depositAmount), purpose: 'DEPOSIT' };
+    }
+
+    return { amount: parseFloat(booking.totalPrice), purpose: 'FULL' };
+  }
+
+  /**
+   * Amount held or taken for a booking, less refunds
+   * Pass statuses: ['CAPTURED'] to count only money actually taken.
+   */
+  static async getPaidAmount(bookingId, statuses = ['AUTHORIZED', 'CAPTURED']) {
+    const payments = await prisma.payment.findMany({
+      where: { bookingId, status: { in: statuses } },
+      select: { amount: true, refundedAmount: true }
+    });
+
+    return round(payments.reduce((sum, p) => sum + parseFloat(p.amount) - parseFloat(p.refundedAmount), 0));
+  }
+
+  /**
+   * Pay for a booking that is awaiting payment, or the outstanding balance
+   * of a deposit booking (its owner, their organisation admin or an admin)
+   * Throws 402 if the gateway declines; the booking stays payable until its hold expires.
+   */
+  static async payBooking(bookingId, userId, isAdmin = false, { paymentMethod } = {}, ipAddress) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: { payments: { where: { status: { in: ['PENDING', 'AUTHORIZED'] } } } }
+    });
+
+    if (!booking) {
+      throw { statusCode: 404, message: 'Booking not found' };
+    }
+
+    if (!isAdmin && !(await OrganisationService.canActFor(userId, booking.userId))) {
+      throw { statusCode: 403, message: 'Not authorized to pay for this booking' };
+    }
+
+    const payingBalance = booking.status === 'CONFIRMED' && parseFloat(booking.balanceAmount) > 0;
+    if (!payingBalance && (booking.status !== 'PENDING' || !booking.awaitingPayment)) {
+      throw { statusCode: 400, message: 'This booking is not awaiting payment' };
+    }
+
+    if (booking.payments.length > 0) {
+      throw { statusCode: 409, message: 'A payment for this booking is already in progress' };
+    }
+
+    const payment = await this.startPayment(booking, { paymentMethod, userId, ipAddress });
+
+    if (payment.status === 'FAILED') {
+      throw { statusCode: 402, message: payment.failureReason || 'Payment failed' };
+    }
+
+    return payment;
+  }
+
+  /**
+   * Ask the gateway to authorise what is due for a booking and settle the booking if it does
+   * Never throws for gateway errors: they are recorded on a FAILED payment.
+   * The returned payment carries the gateway's nextAction, if any.
+   */
+  static async startPayment(booking, { paymentMethod, userId = null, ipAddress } = {}) {
+    const gateway = getPaymentGateway();
+    const { amount, purpose } = this.getAmountDue(booking);
+
+    let payment = await prisma.payment.create({
+      data: {
+        bookingId: booking.id,
+        gateway: gateway.name,
+        amount,
+        currency: booking.currency,
+        purpose
+      }
+    });
+
+    let result;
+    try {
+      result = await gateway.authorize({
+        amount,
+        currency: booking.currency,
+        reference: booking.id,
+        paymentMethod
+      });
+    } catch (err) {
+      console.error('Payment gateway error:', err.message);
+      result = { gatewayPaymentId: null, status: 'FAILED', failureReason: 'The payment could not be processed, please try again' };
+    }
+
+    payment = await prisma.payment.update({
+      where: { id: payment.id },
+      data: {
+        gatewayPaymentId: result.gatewayPaymentId,
+        status: result.status,
+        failureReason: result.failureReason || null,
+        authorizedAt: result.status === 'AUTHORIZED' ? new Date() : null
+      }
+    });
+
+    try {
+      await AuditService.log({
+        userId,
+        action: AuditActions.PAYMENT_CREATE,
+        entity: 'Payment',
+        entityId: payment.id,
+        ipAddress,
+        details: {
+          bookingId: booking.id,
+          amount: payment.amount,
+          currency: payment.currency,
+          purpose,
+          status: payment.status
+        }
+      });
+    } catch (err) {
+      console.error('Failed to create audit log:', err.message);
+    }
+
+    if (payment.status === 'AUTHORIZED') {
+      payment = await this.settleBooking(payment);
+    }
+
+    return { ...payment, nextAction: result.nextAction || null };
+  }
+
+  /**
+   * Move a booking on now that its payment is authorised
+   * Returns the payment as it ends up (captured, or voided/refunded if the
+   * booking no longer wants it).
+   */
+  static async settleBooking(payment) {
+    if (payment.purpose === 'BALANCE') {
+      return this.settleBalance(payment);
+    }
+
+    const booking = await prisma.booking.findUnique({
+      where: { id: payment.bookingId },
+      include: { resource: true }
+    });
+
+    if (!booking || booking.status !== 'PENDING' || !booking.awaitingPayment) {
+      return this.release(payment);
+    }
+
+    const awaiting = { id: booking.id, status: 'PENDING', awaitingPayment: true };
+
+    if (booking.resource.requiresApproval) {
+      // The approval hold starts now; the payment is captured on approval
+      const result = await prisma.booking.updateMany({
+        where: awaiting,
+        data: {
+          awaitingPayment: false,
+          holdExpiresAt: new Date(Date.now() + config.bookings.approvalHoldMinutes * 60 * 1000)
+        }
+      });
+      if (result.count === 0) return this.release(payment);
+    } else {
+      // Capture first, so a CONFIRMED booking has always been paid
+      try {
+        payment = await this.capture(payment);
+      } catch (err) {
+        console.error('Failed to capture payment:', err.message);
+        return payment;
+      }
+
+      const result = await prisma.booking.updateMany({
+        where: awaiting,
+        data: { status: 'CONFIRMED', awaitingPayment: false, holdExpiresAt: null }
+      });
+      if (result.count === 0) return this.release(payment);
+    }
+
+    const settled = await BookingService.getBookingById(booking.id, null, true);
+    await BookingService.notifyPlaced(settled, booking.resource);
+
+    return payment;
+  }
+
+  /**
+   * Capture an authorised balance payment and clear the booking's balance
+   */
+  static async settleBalance(payment) {
+    const booking = await prisma.booking.findUnique({ where: { id: payment.bookingId } });
+
+    if (!booking || booking.status !== 'CONFIRMED' || parseFloat(booking.balanceAmount) <= 0) {
+      return this.release(payment);
+    }
+
+    try {
+      payment = await this.capture(payment);
+    } catch (err) {
+      console.error('Failed to capture payment:', err.message);
+      return payment;
+    }
+
+    // Guarded like the overdue cancellation, so only one of them wins
+    const result = await prisma.booking.updateMany({
+      where: { id: booking.id, status: 'CONFIRMED', balanceAmount: { gt: 0 } },
+      data: { balanceAmount: 0 }
+    });
+    if (result.count === 0) return this.release(payment);
+
+    return payment;
+  }
+
+  /**
+   * Capture an authorised payment in full
+   */
+  static async capture(payment) {
+    if (payment.status === 'CAPTURED') return payment;
+
+    await getPaymentGateway().capture(payment.gatewayPaymentId, parseFloat(payment.amount));
+
+    return prisma.payment.update({
+      where: { id: payment.id },
+      data: { status: 'CAPTURED', capturedAt: new Date() }
+    });
+  }
+
+  /**
+   * Capture every authorised payment of a booking (e.g. on approval)
+   * Returns the captured payments; throws 402 if the gateway refuses.
+   */
+  static async captureForBooking(bookingId) {
+    const payments = await prisma.payment.findMany({
+      where: { bookingId, status: 'AUTHORIZED' }
+    });
+
+    const captured = [];
+    for (const payment of payments) {
+      try {
+        captured.push(await this.capture(payment));
+      } catch (err) {
+        console.error('Failed to capture payment:', err.message);
+        throw { statusCode: 402, message: 'The payment for this booking could not be captured' };
+      }
+    }
+
+    return captured;
+  }
+
+  /**
+   * Give back a payment that no longer pays for anything: void it if only
+   * authorised, refund what is left of it if captured
+   */
+  static async release(payment) {
+    const gateway = getPaymentGateway();
+
+    if (payment.status === 'AUTHORIZED') {
+      await gateway.void(payment.gatewayPaymentId);
+      return prisma.payment.update({
+        where: { id: payment.id },
+        data: { status: 'VOIDED' }
+      });
+    }
+
+    if (payment.status === 'CAPTURED') {
+      // Claimed before the gateway call, guarded on what was already refunded,
+      // so a concurrent refund can't be paid out a second time
+      const claimed = await prisma.payment.updateMany({
+        where: { id: payment.id, status: 'CAPTURED', refundedAmount: payment.refundedAmount },
+        data: { status: 'REFUNDED', refundedAmount: payment.amount, refundedAt: new Date() }
+      });
+      if (claimed.count === 0) {
+        return prisma.payment.findUnique({ where: { id: payment.id } });
+      }
+
+      const remaining = round(parseFloat(payment.amount) - parseFloat(payment.refundedAmount));
+      try {
+        await gateway.refund(payment.gatewayPaymentId, remaining);
+      } catch (err) {
+        await prisma.payment.update({
+          where: { id: payment.id },
+          data: { status: 'CAPTURED', refundedAmount: payment.refundedAmount, refundedAt: payment.refundedAt }
+        });
+        throw err;
+      }
+      return prisma.payment.findUnique({ where: { id: payment.id } });
+    }
+
+    return payment;
+  }
+
+  /**
+   * Void the authorised (not yet captured) payments of a booking that was
+   * cancelled, rejected or expired. Captured payments are left for refunds.
+   */
+  static async releaseAuthorizations(bookingId) {
+    const payments = await prisma.payment.findMany({
+      where: { bookingId, status: 'AUTHORIZED' }
+    });
+
+    for (const payment of payments) {
+      try {
+        await this.release(payment);
+      } catch (err) {
+        console.error('Failed to void payment:', err.message);
+      }
+    }
+  }
+
+  /**
+   * Refund a captured payment, in full or in part (admin only)
+   */
+  static async refund(paymentId, amount, adminId, ipAddress) {
+    const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+
+    if (!payment) {
+      throw { statusCode: 404, message: 'Payment not found' };
+    }
+
+    if (payment.status !== 'CAPTURED') {
+      throw { statusCode: 400, message: 'Only captured payments can be refunded' };
+    }
+
+    const remaining = round(parseFloat(payment.amount) - parseFloat(payment.refundedAmount));
+    const refundAmount = amount === undefined || amount === null ? remaining : round(amount);
+
+    if (refundAmount <= 0 || refundAmount > remaining) {
+      throw { statusCode: 400, message: `Refund amount must be between 0 and ${remaining.toFixed(2)}` };
+    }
+
+    return this.refundPayment(payment, refundAmount, { userId: adminId, ipAddress });
+  }
+
+  /**
+   * Refund up to `amount` of a booking's captured payments, newest first
+   * Returns the amount actually refunded; throws 502 if the gateway refuses.
+   */
+  static async refundBooking(bookingId, amount, { userId = null, ipAddress, reason } = {}) {
+    const payments = await prisma.payment.findMany({
+      where: { bookingId, status: 'CAPTURED' },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    let left = round(amount);
+    for (const payment of payments) {
+      if (left <= 0) break;
+
+      const share = Math.min(left, round(parseFloat(payment.amount) - parseFloat(payment.refundedAmount)));
+      if (share <= 0) continue;
+
+      await this.refundPayment(payment, share, { userId, ipAddress, reason });
+      left = round(left - share);
+    }
+
+    return round(amount - left);
+  }
+
+  /**
+   * Send a refund to the gateway and record it
+   * The amount is reserved on the payment before the gateway is called, in one
+   * statement checked against what was captured, so concurrent refunds can't
+   * together refund more than was paid; it is released if the gateway refuses.
+   */
+  static async refundPayment(payment, refundAmount, { userId = null, ipAddress, reason = null } = {}) {
+    const reserved = await prisma.$executeRaw`
+      UPDATE payments SET refundedAmount = refundedAmount + ${refundAmount}, updatedAt = ${new Date()}
+      WHERE id = ${payment.id} AND status = 'CAPTURED' AND refundedAmount + ${refundAmount} <= amount
+    `;
+
+    if (reserved === 0) {
+      throw { statusCode: 409, message: 'This payment was refunded meanwhile; reload it and try again' };
+    }
+
+    try {
+      await getPaymentGateway().refund(payment.gatewayPaymentId, refundAmount);
+    } catch (err) {
+      console.error('Failed to refund payment:', err.message);
+      await prisma.payment.update({
+        where: { id: payment.id },
+        data: { refundedAmount: { decrement: refundAmount } }
+      });
+      throw { statusCode: 502, message: 'The payment gateway refused the refund' };
+    }
+
+    await prisma.$executeRaw`
+      UPDATE payments
+      SET status = IF(refundedAmount >= amount, 'REFUNDED', status), refundedAt = ${new Date()}, updatedAt = ${new Date()}
+      WHERE id = ${payment.id}
+    `;
+    const updated = await prisma.payment.findUnique({ where: { id: payment.id } });
+    const refundedAmount = parseFloat(updated.refundedAmount);
+
+    await AuditService.log({
+      userId,
+      action: AuditActions.PAYMENT_REFUND,
+      entity: 'Payment',
+      entityId: payment.id,
+      ipAddress,
+      details: {
+        bookingId: payment.bookingId,
+        amount: refundAmount,
+        currency: payment.currency,
+        refundedAmount,
+        reason
+      }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Handle a gateway webhook
+   * Events are recorded by id so retries are only applied once; an event
+   * that fails to apply is forgotten again so the gateway's retry can succeed.
+   */
+  static async handleWebhook(gatewayName, rawBody, headers) {
+    const gateway = getPaymentGateway();
+
+    if (gatewayName !== gateway.name) {
+      throw { statusCode: 404, message: 'Unknown payment gateway' };
+    }
+
+    if (!rawBody) {
+      throw { statusCode: 400, message: 'Webhook body is required' };
+    }
+
+    const event = await gateway.parseWebhook(rawBody.toString('utf8'), headers);
+
+    const payment = event.gatewayPaymentId
+      ? await prisma.payment.findUnique({
+        where: {
+          gateway_gatewayPaymentId: { gateway: gateway.name, gatewayPaymentId: event.gatewayPaymentId }
+        }
+      })
+      : null;
+
+    let record;
+    try {
+      record = await prisma.paymentEvent.create({
+        data: {
+          gateway: gateway.name,
+          eventId: event.id,
+          type: event.type,
+          paymentId: payment ? payment.id : null,
+          payload: event
+        }
+      });
+    } catch (err) {
+      if (err.code === 'P2002') return { received: true, duplicate: true };
+      throw err;
+    }
+
+    if (!payment) {
+      return { received: true, ignored: true };
+    }
+
+    try {
+      await this.applyEvent(payment, event);
+    } catch (err) {
+      await prisma.paymentEvent.delete({ where: { id: record.id } });
+      throw err;
+    }
+
+    return { received: true };
+  }
+
+  /**
+   * Apply a verified webhook event to its payment
+   * Updates are guarded on the current status, so stale or repeated events are no-ops.
+   */
+  static async applyEvent(payment, event) {
+    const now = new Date();
+
+    switch (event.type) {
+      case 'payment.authorized':
+      case 'payment.captured': {
+        const captured = event.type === 'payment.captured';
+        const result = await prisma.payment.updateMany({
+          where: { id: payment.id, status: { in: captured ? ['PENDING', 'AUTHORIZED'] : ['PENDING'] } },
+          data: captured
+            ? { status: 'CAPTURED', capturedAt: now, authorizedAt: payment.authorizedAt || now }
+            : { status: 'AUTHORIZED', authorizedAt: now }
+        });
+
+        // Only a payment that was still pending can settle its booking
+        if (result.count > 0 && payment.status === 'PENDING') {
+          await this.settleBooking(await prisma.payment.findUnique({ where: { id: payment.id } }));
+        }
+        break;
+      }
+
+      case 'payment.failed':
+        await prisma.payment.updateMany({
+          where: { id: payment.id, status: 'PENDING' },
+          data: { status: 'FAILED', failureReason: event.failureReason || 'Payment failed' }
+        });
+        break;
+
+      case 'payment.refunded': {
+        const refundedAmount = event.amount !== null ? event.amount : parseFloat(payment.amount);
+        await prisma.payment.updateMany({
+          where: { id: payment.id, status: { in: ['CAPTURED', 'REFUNDED'] } },
+          data: {
+            refundedAmount,
+            status: refundedAmount >= parseFloat(payment.amount) ? 'REFUNDED' : 'CAPTURED',
+            refundedAt: now
+          }
+        });
+        break;
+      }
+    }
+  }
+
+  /**
+   * Payments of one booking, newest first (its owner or an admin)
+   */
+  static async getBookingPayments(bookingId, userId, isAdmin = false) {
+    await BookingService.getBookingById(bookingId, userId, isAdmin);
+
+    return prisma.payment.findMany({
+      where: { bookingId },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * List payments (admin only)
+   */
+  static async getAll({ page = 1, limit = 20, status, bookingId }) {
+    const skip = (page - 1) * limit;
+    const where = {};
+
+    if (status) where.status = status;
+    if (bookingId) where.bookingId = bookingId;
+
+    const [payments, total] = await Promise.all([
+      prisma.payment.findMany({
+        where,
+        include: {
+          booking: {
+            select: {
+              id: true,
+              status: true,
+              startTime: true,
+              resource: { select: { id: true, name: true } },
+              user: { select: { id: true, email: true, firstName: true, lastName: true } }
+            }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.payment.count({ where })
+    ]);
+
+    return {
+      payments,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,435 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const config = require('../config');
+const { zonedTimeToDate, toZonedDateString, addDays } = require('../utils/helpers');
+const BookingRuleService = require('./bookingRuleService');
+const PromoCodeService = require('./promoCodeService');
+const DepositService = require('./depositService');
+const { AuditService, AuditActions } = require('./auditService');
+
+const prisma = new PrismaClient();
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RULE_FIELDS = [
+  'unit',
+  'hourlyRate',
+  'dailyRate',
+  'nightlyRate',
+  'peakHours',
+  'peakMultiplier',
+  'weekendMultiplier',
+  'minimumCharge',
+  'longStayDiscounts',
+  'serviceFeePercent',
+  'serviceFeeAmount',
+  'taxPercent'
+];
+const UNIT_NAMES = { HOURLY: 'hour', DAILY: 'day', NIGHTLY: 'night' };
+
+const round = (amount) => Math.round(amount * 100) / 100;
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const weekdayOf = (dateStr) => DAYS[new Date(`${dateStr}T00:00:00Z`).getUTCDay()];
+
+/**
+ * Pricing Service
+ * Turns a resource and a time range into an itemised quote. Bookings are
+ * charged per hour, day (started 24 hours) or night (local dates between
+ * check-in and check-out, at least one), with optional peak-hour (hourly
+ * only) and weekend multipliers, a long-stay discount and a minimum charge.
+ * A promo code comes off next, giving the subtotal; a service fee is added to
+ * it and tax charged on subtotal + fee. Amounts are in the resource's currency.
+ * Only the booked time is priced; resource buffers are never charged.
+ */
+class PricingService {
+  /**
+   * Pricing that applies to a resource: its own rule, then its type's, then
+   * a flat hourly rate of pricePerHour with config.pricing fees and tax
+   */
+  static async getEffectivePricing(resource) {
+    const rules = await prisma.pricingRule.findMany({
+      where: {
+        OR: [
+          { resourceId: resource.id },
+          { resourceType: resource.type }
+        ]
+      }
+    });
+
+    const own = rules.find(r => r.resourceId === resource.id) || {};
+    const byType = rules.find(r => r.resourceType === resource.type) || {};
+    const pick = (field) => {
+      const value = [own[field], byType[field]].find(v => v !== null && v !== undefined);
+      return value === undefined ? null : value;
+    };
+
+    const hourlyRate = toNumber(pick('hourlyRate'));
+    const orDefault = (field) => {
+      const value = toNumber(pick(field));
+      return value !== null ? value : config.pricing[field];
+    };
+
+    return {
+      unit: pick('unit') || 'HOURLY',
+      hourlyRate: hourlyRate !== null ? hourlyRate : parseFloat(resource.pricePerHour),
+      dailyRate: toNumber(pick('dailyRate')),
+      nightlyRate: toNumber(pick('nightlyRate')),
+      peakHours: pick('peakHours'),
+      peakMultiplier: toNumber(pick('peakMultiplier')),
+      weekendMultiplier: toNumber(pick('weekendMultiplier')),
+      minimumCharge: toNumber(pick('minimumCharge')),
+      longStayDiscounts: pick('longStayDiscounts') || [],
+      serviceFeePercent: orDefault('serviceFeePercent'),
+      serviceFeeAmount: orDefault('serviceFeeAmount'),
+      taxPercent: orDefault('taxPercent')
+    };
+  }
+
+  /**
+   * Price of one unit; days and nights default to 24 hours at the hourly rate
+   */
+  static unitRate(pricing) {
+    if (pricing.unit === 'DAILY' && pricing.dailyRate !== null) return pricing.dailyRate;
+    if (pricing.unit === 'NIGHTLY' && pricing.nightlyRate !== null) return pricing.nightlyRate;
+    if (pricing.unit === 'HOURLY') return pricing.hourlyRate;
+    return pricing.hourlyRate * 24;
+  }
+
+  /**
+   * Hours of a range split by local day and peak/off-peak
+   */
+  static hourlyPeriods(pricing, start, end) {
+    const timeZone = config.locale.timezone;
+    const lastDay = toZonedDateString(new Date(end.getTime() - 1), timeZone);
+    const periods = [];
+
+    for (let day = toZonedDateString(start, timeZone); day <= lastDay; day = addDays(day, 1)) {
+      const from = Math.max(start.getTime(), zonedTimeToDate(day, '00:00', timeZone).getTime());
+      const to = Math.min(end.getTime(), zonedTimeToDate(addDays(day, 1), '00:00', timeZone).getTime());
+      const weekend = config.pricing.weekendDays.includes(weekdayOf(day));
+
+      let peakMs = 0;
+      if (pricing.peakHours) {
+        for (const window of BookingRuleService.getOpeningWindows({ openingHours: pricing.peakHours }, day)) {
+          peakMs += Math.max(0, Math.min(to, window.endTime.getTime()) - Math.max(from, window.startTime.getTime()));
+        }
+      }
+
+      periods.push({ quantity: peakMs / HOUR_MS, peak: true, weekend });
+      periods.push({ quantity: (to - from - peakMs) / HOUR_MS, peak: false, weekend });
+    }
+
+    return periods;
+  }
+
+  /**
+   * One period per started 24 hours, weekend by the local day it starts on
+   */
+  static dailyPeriods(start, end) {
+    const timeZone = config.locale.timezone;
+    const days = Math.ceil((end - start) / DAY_MS);
+    const periods = [];
+
+    for (let i = 0; i < days; i++) {
+      const day = toZonedDateString(new Date(start.getTime() + i * DAY_MS), timeZone);
+      periods.push({ quantity: 1, peak: false, weekend: config.pricing.weekendDays.includes(weekdayOf(day)) });
+    }
+
+    return periods;
+  }
+
+  /**
+   * One period per local date from check-in up to check-out, at least one
+   */
+  static nightlyPeriods(start, end) {
+    const timeZone = config.locale.timezone;
+    const checkIn = toZonedDateString(start, timeZone);
+    const checkOut = toZonedDateString(end, timeZone);
+    const periods = [];
+
+    for (let night = checkIn; night < checkOut || night === checkIn; night = addDays(night, 1)) {
+      periods.push({ quantity: 1, peak: false, weekend: config.pricing.weekendDays.includes(weekdayOf(night)) });
+    }
+
+    return periods;
+  }
+
+  /**
+   * Itemised price of [startTime, endTime) under a pricing, before fees and tax
+   * Lines: RATE per weekday/weekend and peak/off-peak group, then DISCOUNT
+   * and MINIMUM_CHARGE when they apply. Amounts are rounded to cents.
+   */
+  static calculate(pricing, startTime, endTime) {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    const unitName = UNIT_NAMES[pricing.unit];
+
+    let periods;
+    if (pricing.unit === 'DAILY') {
+      periods = this.dailyPeriods(start, end);
+    } else if (pricing.unit === 'NIGHTLY') {
+      periods = this.nightlyPeriods(start, end);
+    } else {
+      periods = this.hourlyPeriods(pricing, start, end);
+    }
+
+    const rate = this.unitRate(pricing);
+    const lines = [];
+    let quantity = 0;
+
+    for (const weekend of [false, true]) {
+      for (const peak of [false, true]) {
+        const units = periods
+          .filter(p => p.weekend === weekend && p.peak === peak)
+          .reduce((sum, p) => sum + p.quantity, 0);
+        if (units <= 0) continue;
+
+        const multiplier = (peak ? pricing.peakMultiplier || 1 : 1) * (weekend ? pricing.weekendMultiplier || 1 : 1);
+        quantity += units;
+        lines.push({
+          type: 'RATE',
+          description: `${weekend ? 'Weekend' : 'Weekday'}${peak ? ' peak' : ''} ${unitName}s`,
+          quantity: round(units),
+          unitPrice: rate,
+          multiplier,
+          amount: round(units * rate * multiplier)
+        });
+      }
+    }
+
+    const baseAmount = round(lines.reduce((sum, line) => sum + line.amount, 0));
+
+    let discount = 0;
+    const tier = pricing.longStayDiscounts
+      .filter(d => quantity >= d.minUnits)
+      .sort((a, b) => b.minUnits - a.minUnits)[0];
+
+    if (tier) {
+      discount = round(baseAmount * tier.percent / 100);
+      lines.push({
+        type: 'DISCOUNT',
+        description: `Long-stay discount (${tier.percent}% from ${tier.minUnits} ${unitName}s)`,
+        amount: -discount
+      });
+    }
+
+    let total = round(baseAmount - discount);
+
+    if (pricing.minimumCharge && total < pricing.minimumCharge) {
+      lines.push({
+        type: 'MINIMUM_CHARGE',
+        description: `Minimum charge of ${pricing.minimumCharge.toFixed(2)}`,
+        amount: round(pricing.minimumCharge - total)
+      });
+      total = pricing.minimumCharge;
+    }
+
+    return {
+      unit: pricing.unit,
+      quantity: round(quantity),
+      lines,
+      baseAmount,
+      discount,
+      total
+    };
+  }
+
+  /**
+   * Add the service fee and tax to a calculated quote; its total becomes the subtotal
+   */
+  static addFeesAndTax(quote, pricing) {
+    const subtotal = quote.total;
+    const lines = [...quote.lines];
+
+    let feeAmount = 0;
+    if (subtotal > 0 && (pricing.serviceFeePercent || pricing.serviceFeeAmount)) {
+      feeAmount = round(subtotal * pricing.serviceFeePercent / 100 + pricing.serviceFeeAmount);
+      lines.push({ type: 'FEE', description: 'Service fee', amount: feeAmount });
+    }
+
+    const taxAmount = round((subtotal + feeAmount) * pricing.taxPercent / 100);
+    if (taxAmount > 0) {
+      lines.push({ type: 'TAX', description: `Tax (${pricing.taxPercent}%)`, amount: taxAmount });
+    }
+
+    return {
+      ...quote,
+      lines,
+      subtotal,
+      feeAmount,
+      taxAmount,
+      total: round(subtotal + feeAmount + taxAmount)
+    };
+  }
+
+  /**
+   * Quote a booking of a resource, less an optional promo code (already checked)
+   * Pass `pricing` to reuse it across many ranges.
+   */
+  static async quote(resource, startTime, endTime, { pricing = null, promo = null } = {}) {
+    pricing = pricing || await this.getEffectivePricing(resource);
+
+    let quote = this.calculate(pricing, startTime, endTime);
+    if (promo) {
+      quote = PromoCodeService.applyToQuote(quote, promo);
+    }
+
+    return {
+      resourceId: resource.id,
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      currency: resource.currency || config.pricing.defaultCurrency,
+      ...this.addFeesAndTax(quote, pricing)
+    };
+  }
+
+  /**
+   * Quote a requested booking without creating it, with an optional promo code
+   * (per-user limits are only checked when userId is known). `deposit` gives
+   * the deposit terms when the booking would be paid in two parts.
+   */
+  static async quoteBooking({ resourceId, startTime, endTime, promoCode, userId = null }) {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    if (start >= end) {
+      throw { statusCode: 400, message: 'End time must be after start time' };
+    }
+
+    const resource = await prisma.resource.findUnique({
+      where: { id: resourceId }
+    });
+
+    if (!resource) {
+      throw { statusCode: 404, message: 'Resource not found' };
+    }
+
+    const promo = promoCode
+      ? await PromoCodeService.getApplicable(promoCode, resource, userId)
+      : null;
+
+    const quote = await this.quote(resource, start, end, { promo });
+    const deposit = config.payments.required
+      ? await DepositService.getTerms(resource, quote.total, start)
+      : null;
+
+    return { ...quote, deposit };
+  }
+
+  // =====================
+  // Admin
+  // =====================
+
+  /**
+   * Validate long-stay tiers and sort them by threshold; throws 400 on bad input
+   */
+  static normalizeDiscounts(discounts) {
+    if (discounts === null || discounts === undefined) return null;
+
+    if (!Array.isArray(discounts)) {
+      throw { statusCode: 400, message: 'Long-stay discounts must be a list' };
+    }
+
+    const normalized = discounts
+      .map(d => {
+        const minUnits = parseInt(d && d.minUnits);
+        const percent = parseFloat(d && d.percent);
+        if (!(minUnits > 0) || !(percent > 0 && percent <= 100)) {
+          throw { statusCode: 400, message: 'Long-stay discounts need minUnits >= 1 and percent between 0 and 100' };
+        }
+        return { minUnits, percent };
+      })
+      .sort((a, b) => a.minUnits - b.minUnits);
+
+    for (let i = 1; i < normalized.length; i++) {
+      if (normalized[i].minUnits === normalized[i - 1].minUnits) {
+        throw { statusCode: 400, message: `Two long-stay discounts start at ${normalized[i].minUnits} units` };
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * List all resource and type pricing rules
+   */
+  static async getRules() {
+    return prisma.pricingRule.findMany({
+      include: {
+        resource: {
+          select: { id: true, name: true, type: true, pricePerHour: true }
+        }
+      },
+      orderBy: [{ resourceType: 'asc' }, { createdAt: 'asc' }]
+    });
+  }
+
+  /**
+   * Create or replace the pricing rule for a resource or a resource type
+   * target: { resourceId } or { resourceType }
+   */
+  static async upsertRule(target, data, adminId, ipAddress) {
+    if (target.resourceId) {
+      const resource = await prisma.resource.findUnique({ where: { id: target.resourceId } });
+      if (!resource) {
+        throw { statusCode: 404, message: 'Resource not found' };
+      }
+    }
+
+    const values = {};
+    for (const field of RULE_FIELDS) {
+      values[field] = data[field] === undefined ? null : data[field];
+    }
+    values.peakHours = BookingRuleService.normalizeOpeningHours(values.peakHours, 'Peak hours');
+    values.longStayDiscounts = this.normalizeDiscounts(values.longStayDiscounts);
+
+    // A null Json column needs Prisma.DbNull to be stored as SQL NULL
+    const stored = {
+      ...values,
+      peakHours: values.peakHours || Prisma.DbNull,
+      longStayDiscounts: values.longStayDiscounts || Prisma.DbNull
+    };
+    const rule = await prisma.pricingRule.upsert({
+      where: target,
+      create: { ...target, ...stored },
+      update: stored
+    });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.PRICING_RULE_UPDATE,
+      entity: 'PricingRule',
+      entityId: rule.id,
+      ipAddress,
+      details: { ...target, ...values }
+    });
+
+    return rule;
+  }
+
+  /**
+   * Delete a pricing rule; the resource falls back to its type's rule or pricePerHour
+   */
+  static async deleteRule(ruleId, adminId, ipAddress) {
+    const rule = await prisma.pricingRule.findUnique({ where: { id: ruleId } });
+
+    if (!rule) {
+      throw { statusCode: 404, message: 'Pricing rule not found' };
+    }
+
+    await prisma.pricingRule.delete({ where: { id: ruleId } });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.PRICING_RULE_DELETE,
+      entity: 'PricingRule',
+      entityId: ruleId,
+      ipAddress,
+      details: { resourceId: rule.resourceId, resourceType: rule.resourceType }
+    });
+
+    return { message: 'Pricing rule deleted successfully' };
+  }
+}
+
+module.exports = PricingService;
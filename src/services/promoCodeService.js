@@ -0,0 +1,351 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const config = require('../config');
+const { AuditService, AuditActions } = require('./auditService');
+
+const prisma = new PrismaClient();
+
+const PROMO_FIELDS = [
+  'description',
+  'discountType',
+  'value',
+  'currency',
+  'validFrom',
+  'validUntil',
+  'maxUses',
+  'maxUsesPerUser',
+  'resourceTypes',
+  'isActive'
+];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Promo Code Service
+ * Discount codes applied to a quote at checkout. Usage limits count bookings
+ * made with the code that are not cancelled, so cancelling gives a use back.
+ */
+class PromoCodeService {
+  /**
+   * Codes are matched case-insensitively and stored upper-case
+   */
+  static normalizeCode(code) {
+    return String(code).trim().toUpperCase();
+  }
+
+  /**
+   * Lock a promo code row for the rest of a transaction
+   * Taken after the resource lock, so usage re-checks for one code run one at a time.
+   */
+  static async lockPromoCode(tx, promoCodeId) {
+    await tx.$queryRaw`SELECT id FROM promo_codes WHERE id = ${promoCodeId} FOR UPDATE`;
+  }
+
+  /**
+   * Bookings counting as uses of a code, overall and by one user
+   */
+  static async countUses(promoCodeId, userId = null, client = prisma) {
+    const where = { promoCodeId, status: { not: 'CANCELLED' } };
+
+    const [total, byUser] = await Promise.all([
+      client.booking.count({ where }),
+      userId ? client.booking.count({ where: { ...where, userId } }) : 0
+    ]);
+
+    return { total, byUser };
+  }
+
+  /**
+   * Whether a code may be used on a resource's type and currency
+   */
+  static coversResource(promo, resource) {
+    if (promo.resourceTypes && !promo.resourceTypes.includes(resource.type)) return false;
+    if (promo.discountType === 'FIXED' && promo.currency && promo.currency !== resource.currency) return false;
+    return true;
+  }
+
+  /**
+   * List every reason a code can't be used on a resource by a user
+   * userId may be null for anonymous quotes; per-user limits are then skipped.
+   */
+  static async getViolations(promo, resource, userId = null, { client = prisma, now = new Date() } = {}) {
+    const violations = [];
+
+    if (!promo.isActive) {
+      violations.push('This promo code is no longer active');
+    }
+
+    if (promo.validFrom && now < promo.validFrom) {
+      violations.push('This promo code is not valid yet');
+    }
+
+    if (promo.validUntil && now > promo.validUntil) {
+      violations.push('This promo code has expired');
+    }
+
+    if (promo.resourceTypes && !promo.resourceTypes.includes(resource.type)) {
+      violations.push(`This promo code cannot be used for ${resource.type} bookings`);
+    } else if (!this.coversResource(promo, resource)) {
+      violations.push(`This promo code cannot be used for bookings in ${resource.currency}`);
+    }
+
+    if (promo.maxUses || (promo.maxUsesPerUser && userId)) {
+      const uses = await this.countUses(promo.id, userId, client);
+
+      if (promo.maxUses && uses.total >= promo.maxUses) {
+        violations.push('This promo code has reached its usage limit');
+      }
+
+      if (promo.maxUsesPerUser && userId && uses.byUser >= promo.maxUsesPerUser) {
+        violations.push('You have already used this promo code the maximum number of times');
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Find a code and check it can be used; throws 400 otherwise
+   */
+  static async getApplicable(code, resource, userId = null, options = {}) {
+    const promo = await prisma.promoCode.findUnique({
+      where: { code: this.normalizeCode(code) }
+    });
+
+    if (!promo) {
+      throw { statusCode: 400, message: 'Invalid promo code' };
+    }
+
+    await this.assertApplicable(promo, resource, userId, options);
+
+    return promo;
+  }
+
+  /**
+   * Throw a 400 listing every reason a code can't be used
+   */
+  static async assertApplicable(promo, resource, userId = null, options = {}) {
+    const violations = await this.getViolations(promo, resource, userId, options);
+
+    if (violations.length > 0) {
+      throw { statusCode: 400, message: violations[0], errors: violations };
+    }
+  }
+
+  /**
+   * Apply a code to a quote before fees and tax (see PricingService.quote), never below zero
+   */
+  static applyToQuote(quote, promo) {
+    const value = parseFloat(promo.value);
+    const discount = promo.discountType === 'PERCENT'
+      ? round(quote.total * value / 100)
+      : Math.min(value, quote.total);
+
+    return {
+      ...quote,
+      lines: [
+        ...quote.lines,
+        {
+          type: 'PROMO',
+          description: `Promo code ${promo.code}${promo.discountType === 'PERCENT' ? ` (${value}%)` : ''}`,
+          amount: -discount
+        }
+      ],
+      promoCode: promo.code,
+      promoDiscount: discount,
+      total: round(quote.total - discount)
+    };
+  }
+
+  // =====================
+  // Admin
+  // =====================
+
+  /**
+   * Check and convert admin input; throws 400 on inconsistent values
+   */
+  static normalize(data, existing = {}) {
+    const values = {};
+    for (const field of PROMO_FIELDS) {
+      if (data[field] !== undefined) values[field] = data[field];
+    }
+
+    for (const field of ['validFrom', 'validUntil']) {
+      if (values[field]) values[field] = new Date(values[field]);
+    }
+
+    if (values.resourceTypes !== undefined) {
+      values.resourceTypes = values.resourceTypes && values.resourceTypes.length > 0
+        ? [...new Set(values.resourceTypes)]
+        : null;
+    }
+
+    const merged = { ...existing, ...values };
+
+    // Fixed amounts are meaningless without a currency
+    if (merged.discountType === 'FIXED' && !merged.currency) {
+      values.currency = config.pricing.defaultCurrency;
+    }
+
+    if (merged.discountType === 'PERCENT' && parseFloat(merged.value) > 100) {
+      throw { statusCode: 400, message: 'A percent discount cannot exceed 100' };
+    }
+
+    if (merged.validFrom && merged.validUntil && merged.validFrom > merged.validUntil) {
+      throw { statusCode: 400, message: 'Valid from must be before valid until' };
+    }
+
+    return values;
+  }
+
+  /**
+   * A null Json column needs Prisma.DbNull to be stored as SQL NULL
+   */
+  static toStored(values) {
+    if (values.resourceTypes === null) {
+      return { ...values, resourceTypes: Prisma.DbNull };
+    }
+    return values;
+  }
+
+  /**
+   * List codes with their use counts
+   */
+  static async getAll({ page = 1, limit = 20, active }) {
+    const skip = (page - 1) * limit;
+    const where = {};
+
+    if (active !== undefined) {
+      where.isActive = active;
+    }
+
+    const [codes, total] = await Promise.all([
+      prisma.promoCode.findMany({
+        where,
+        include: {
+          _count: {
+            select: { bookings: { where: { status: { not: 'CANCELLED' } } } }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.promoCode.count({ where })
+    ]);
+
+    return {
+      codes: codes.map(({ _count, ...code }) => ({ ...code, uses: _count.bookings })),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get one code with its use count
+   */
+  static async getById(promoCodeId) {
+    const promo = await prisma.promoCode.findUnique({
+      where: { id: promoCodeId }
+    });
+
+    if (!promo) {
+      throw { statusCode: 404, message: 'Promo code not found' };
+    }
+
+    const { total } = await this.countUses(promo.id);
+    return { ...promo, uses: total };
+  }
+
+  /**
+   * Create a code
+   */
+  static async create(data, adminId, ipAddress) {
+    const code = this.normalizeCode(data.code);
+
+    const existing = await prisma.promoCode.findUnique({ where: { code } });
+    if (existing) {
+      throw { statusCode: 409, message: 'A promo code with this code already exists' };
+    }
+
+    const values = this.normalize(data);
+    const promo = await prisma.promoCode.create({
+      data: { ...this.toStored(values), code, createdBy: adminId }
+    });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.PROMO_CODE_CREATE,
+      entity: 'PromoCode',
+      entityId: promo.id,
+      ipAddress,
+      details: { code, ...values }
+    });
+
+    return promo;
+  }
+
+  /**
+   * Update a code; the code itself can't change once created
+   */
+  static async update(promoCodeId, data, adminId, ipAddress) {
+    const promo = await prisma.promoCode.findUnique({ where: { id: promoCodeId } });
+
+    if (!promo) {
+      throw { statusCode: 404, message: 'Promo code not found' };
+    }
+
+    const values = this.normalize(data, promo);
+    const updated = await prisma.promoCode.update({
+      where: { id: promoCodeId },
+      data: this.toStored(values)
+    });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.PROMO_CODE_UPDATE,
+      entity: 'PromoCode',
+      entityId: promoCodeId,
+      ipAddress,
+      details: { code: promo.code, ...values }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Delete an unused code; used codes are kept for reporting and must be deactivated
+   */
+  static async delete(promoCodeId, adminId, ipAddress) {
+    const promo = await prisma.promoCode.findUnique({
+      where: { id: promoCodeId },
+      include: { _count: { select: { bookings: true } } }
+    });
+
+    if (!promo) {
+      throw { statusCode: 404, message: 'Promo code not found' };
+    }
+
+    if (promo._count.bookings > 0) {
+      throw { statusCode: 400, message: 'Promo code has been used; deactivate it instead' };
+    }
+
+    await prisma.promoCode.delete({ where: { id: promoCodeId } });
+
+    await AuditService.log({
+      userId: adminId,
+      action: AuditActions.PROMO_CODE_DELETE,
+      entity: 'PromoCode',
+      entityId: promoCodeId,
+      ipAddress,
+      details: { code: promo.code }
+    });
+
+    return { message: 'Promo code deleted successfully' };
+  }
+}
+
+module.exports = PromoCodeService;
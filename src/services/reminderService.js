@@ -0,0 +1,169 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const NotificationService = require('./notificationService');
+const MessageService = require('./messageService');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reminder Service
+ * Sends BOOKING_REMINDER notifications at configured offsets before startTime.
+ * A booking_reminders row is claimed before sending, so each offset is sent at
+ * most once per booking even across restarts or concurrent schedulers.
+ * Deposit bookings also get one reminder before their balance is due.
+ */
+class ReminderService {
+  /**
+   * Find CONFIRMED bookings due a reminder for the given offset
+   * A booking only gets an offset's reminder if it existed when that reminder
+   * became due (a booking made 2h ahead skips the 24h reminder)
+   */
+  static async findDueBookings(offsetMinutes, now = new Date()) {
+    const offsetMs = offsetMinutes * 60 * 1000;
+
+    const bookings = await prisma.booking.findMany({
+      where: {
+        status: 'CONFIRMED',
+        startTime: { gt: now, lte: new Date(now.getTime() + offsetMs) },
+        reminders: { none: { offsetMinutes } }
+      },
+      include: {
+        resource: true,
+        user: true
+      },
+      orderBy: { startTime: 'asc' }
+    });
+
+    return bookings.filter(b => b.createdAt.getTime() <= b.startTime.getTime() - offsetMs);
+  }
+
+  /**
+   * Claim a reminder slot; returns false if it was already sent
+   */
+  static async claim(bookingId, offsetMinutes) {
+    try {
+      await prisma.bookingReminder.create({
+        data: { bookingId, offsetMinutes }
+      });
+      return true;
+    } catch (err) {
+      if (err.code === 'P2002') return false;
+      throw err;
+    }
+  }
+
+  /**
+   * Send the in-app, email and SMS reminder for a booking
+   * Only throws if the in-app notification fails, before anything was sent, so
+   * a retry can't record it twice. The email and SMS are queued separately; one
+   * that fails to queue is logged rather than retried.
+   */
+  static async sendReminder(booking) {
+    await NotificationService.notifyBookingReminder(booking.userId, booking, booking.resource);
+
+    if (booking.user && booking.user.isActive) {
+      await this.queueMessages(booking, [
+        () => MessageService.sendBookingReminder(booking.user, booking, booking.resource),
+        () => MessageService.sendBookingReminderSMS(booking.user, booking, booking.resource)
+      ]);
+    }
+  }
+
+  /**
+   * Queue each message independently, so one failing doesn't stop the others
+   */
+  static async queueMessages(booking, senders) {
+    for (const send of senders) {
+      try {
+        await send();
+      } catch (err) {
+        console.error(`Failed to queue reminder message for booking ${booking.id}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Send all reminders that are due now
+   */
+  static async processDueReminders(now = new Date()) {
+    let sent = 0;
+
+    for (const offsetMinutes of config.reminders.offsetsMinutes) {
+      const bookings = await this.findDueBookings(offsetMinutes, now);
+
+      for (const booking of bookings) {
+        if (!(await this.claim(booking.id, offsetMinutes))) continue;
+
+        try {
+          await this.sendReminder(booking);
+          sent++;
+        } catch (err) {
+          console.error(`Failed to send ${offsetMinutes}m reminder for booking ${booking.id}:`, err.message);
+          // Release the claim so the next run retries
+          await prisma.bookingReminder.deleteMany({
+            where: { bookingId: booking.id, offsetMinutes }
+          });
+        }
+      }
+    }
+
+    return { sent };
+  }
+
+  /**
+   * Send the balance-due reminder for deposit bookings whose balance is due
+   * within config.deposits.reminderDays; claimed via balanceReminded
+   */
+  static async processBalanceReminders(now = new Date()) {
+    const bookings = await prisma.booking.findMany({
+      where: {
+        status: 'CONFIRMED',
+        balanceAmount: { gt: 0 },
+        balanceReminded: false,
+        balanceDueAt: { gt: now, lte: new Date(now.getTime() + config.deposits.reminderDays * DAY_MS) }
+      },
+      include: {
+        resource: true,
+        user: true
+      },
+      orderBy: { balanceDueAt: 'asc' }
+    });
+
+    let sent = 0;
+
+    for (const booking of bookings) {
+      const claimed = await prisma.booking.updateMany({
+        where: { id: booking.id, balanceReminded: false },
+        data: { balanceReminded: true }
+      });
+      if (claimed.count === 0) continue;
+
+      // As with booking reminders, only a failed in-app notification is retried
+      try {
+        await NotificationService.notifyBalanceDue(booking.userId, booking, booking.resource);
+      } catch (err) {
+        console.error(`Failed to send balance reminder for booking ${booking.id}:`, err.message);
+        // Release the claim so the next run retries
+        await prisma.booking.updateMany({
+          where: { id: booking.id },
+          data: { balanceReminded: false }
+        });
+        continue;
+      }
+
+      if (booking.user && booking.user.isActive) {
+        await this.queueMessages(booking, [
+          () => MessageService.sendBalanceDue(booking.user, booking, booking.resource),
+          () => MessageService.sendBalanceDueSMS(booking.user, booking, booking.resource)
+        ]);
+      }
+      sent++;
+    }
+
+    return { sent };
+  }
+}
+
+module.exports = ReminderService;
@@ -1,4 +1,9 @@
 const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const AvailabilityService = require('./availabilityService');
+const BookingRuleService = require('./bookingRuleService');
+const CancellationPolicyService = require('./cancellationPolicyService');
+const DepositService = require('./depositService');
 const { AuditService, AuditActions } = require('./auditService');
 
 const prisma = new PrismaClient();
@@ -19,8 +24,12 @@ class ResourceService {
         type: data.type,
         capacity: data.capacity,
         pricePerHour: data.pricePerHour,
+        currency: data.currency || config.pricing.defaultCurrency,
         status: data.status || 'AVAILABLE',
-        imageUrl: data.imageUrl
+        imageUrl: data.imageUrl,
+        requiresApproval: data.requiresApproval,
+        bufferBeforeMinutes: data.bufferBeforeMinutes,
+        bufferAfterMinutes: data.bufferAfterMinutes
       }
     });
 
@@ -33,7 +42,8 @@ class ResourceService {
       details: {
         name: resource.name,
         type: resource.type,
-        pricePerHour: resource.pricePerHour
+        pricePerHour: resource.pricePerHour,
+        currency: resource.currency
       }
     });
 
@@ -60,8 +70,12 @@ class ResourceService {
         type: data.type,
         capacity: data.capacity,
         pricePerHour: data.pricePerHour,
+        currency: data.currency,
         status: data.status,
-        imageUrl: data.imageUrl
+        imageUrl: data.imageUrl,
+        requiresApproval: data.requiresApproval,
+        bufferBeforeMinutes: data.bufferBeforeMinutes,
+        bufferAfterMinutes: data.bufferAfterMinutes
       }
     });
 
@@ -101,6 +115,11 @@ class ResourceService {
       throw { statusCode: 400, message: 'Cannot delete resource with active bookings' };
     }
 
+    const invoices = await prisma.invoice.count({ where: { booking: { resourceId } } });
+    if (invoices > 0) {
+      throw { statusCode: 400, message: 'Cannot delete a resource with invoiced bookings; set it unavailable instead' };
+    }
+
     await prisma.resource.delete({
       where: { id: resourceId }
     });
@@ -169,7 +188,24 @@ class ResourceService {
       throw { statusCode: 404, message: 'Resource not found' };
     }
 
-    return resource;
+    const [bookingRules, closures, cancellationPolicy, depositRule] = await Promise.all([
+      BookingRuleService.getEffectiveRules(resource),
+      BookingRuleService.getUpcomingClosures(resource),
+      CancellationPolicyService.getEffectivePolicy(resource),
+      DepositService.getEffectiveRule(resource)
+    ]);
+
+    return {
+      ...resource,
+      bookingRules,
+      cancellationPolicy,
+      depositRule,
+      closures: closures.map(c => ({
+        startDate: c.startDate.toISOString().slice(0, 10),
+        endDate: c.endDate.toISOString().slice(0, 10),
+        reason: c.reason
+      }))
+    };
   }
 
   /**
@@ -188,79 +224,100 @@ class ResourceService {
    * Get available resources for a time range
    */
   static async getAvailableResources(startTime, endTime, type = null) {
-    // Get all resources matching criteria
-    const where = { status: 'AVAILABLE' };
-    if (type) where.type = type;
+    return AvailabilityService.getAvailableResources(startTime, endTime, { type });
+  }
 
-    const resources = await prisma.resource.findMany({ where });
-
-    // Filter out resources with overlapping bookings or blocks
-    const availableResources = [];
-
-    for (const resource of resources) {
-      // Check bookings
-      const hasBookingOverlap = await prisma.booking.findFirst({
-        where: {
-          resourceId: resource.id,
-          status: { not: 'CANCELLED' },
-          OR: [
-            {
-              AND: [
-                { startTime: { lte: new Date(startTime) } },
-                { endTime: { gt: new Date(startTime) } }
-              ]
-            },
-            {
-              AND: [
-                { startTime: { lt: new Date(endTime) } },
-                { endTime: { gte: new Date(endTime) } }
-              ]
-            },
-            {
-              AND: [
-                { startTime: { gte: new Date(startTime) } },
-                { endTime: { lte: new Date(endTime) } }
-              ]
-            }
-          ]
-        }
-      });
-
-      if (hasBookingOverlap) continue;
-
-      // Check blocks
-      const hasBlockOverlap = await prisma.resourceBlock.findFirst({
-        where: {
-          resourceId: resource.id,
-          OR: [
-            {
-              AND: [
-                { startTime: { lte: new Date(startTime) } },
-                { endTime: { gt: new Date(startTime) } }
-              ]
-            },
-            {
-              AND: [
-                { startTime: { lt: new Date(endTime) } },
-                { endTime: { gte: new Date(endTime) } }
-              ]
-            },
-            {
-              AND: [
-                { startTime: { gte: new Date(startTime) } },
-                { endTime: { lte: new Date(endTime) } }
-              ]
-            }
-          ]
-        }
-      });
+  /**
+   * List free slots on a resource for a day or range of days
+   */
+  static async getFreeSlots(resourceId, { date, endDate, durationMinutes, stepMinutes, userId = null }) {
+    endDate = endDate || date;
 
-      if (!hasBlockOverlap) {
-        availableResources.push(resource);
-      }
+    if (endDate < date) {
+      throw { statusCode: 400, message: 'endDate must not be before date' };
+    }
+
+    const days = (new Date(endDate) - new Date(date)) / (24 * 60 * 60 * 1000) + 1;
+    if (days > config.slots.maxRangeDays) {
+      throw { statusCode: 400, message: `Range cannot exceed ${config.slots.maxRangeDays} days` };
+    }
+
+    const resource = await prisma.resource.findUnique({
+      where: { id: resourceId }
+    });
+
+    if (!resource) {
+      throw { statusCode: 404, message: 'Resource not found' };
+    }
+
+    const rules = await BookingRuleService.getEffectiveRules(resource);
+    durationMinutes = durationMinutes || rules.minDurationMinutes || config.slots.defaultDurationMinutes;
+    stepMinutes = stepMinutes || rules.slotMinutes || config.slots.stepMinutes;
+
+    if (rules.minDurationMinutes && durationMinutes < rules.minDurationMinutes) {
+      throw { statusCode: 400, message: `Bookings must be at least ${rules.minDurationMinutes} minutes` };
+    }
+
+    if (rules.maxDurationMinutes && durationMinutes > rules.maxDurationMinutes) {
+      throw { statusCode: 400, message: `Bookings cannot be longer than ${rules.maxDurationMinutes} minutes` };
     }
 
-    return availableResources;
+    if (rules.slotMinutes && (stepMinutes % rules.slotMinutes !== 0 || durationMinutes % rules.slotMinutes !== 0)) {
+      throw { statusCode: 400, message: `Duration and step must be multiples of ${rules.slotMinutes} minutes` };
+    }
+
+    const now = Date.now();
+    const windows = await BookingRuleService.getBookableWindows(resource, date, endDate, rules);
+    const slots = resource.status === 'AVAILABLE'
+      ? await AvailabilityService.findFreeSlots(resource, windows, {
+        durationMinutes,
+        stepMinutes,
+        userId,
+        notBefore: new Date(now + (rules.leadTimeMinutes || 0) * 60 * 1000),
+        notAfter: rules.maxAdvanceDays ? new Date(now + rules.maxAdvanceDays * 24 * 60 * 60 * 1000) : null
+      })
+      : [];
+
+    return {
+      resourceId,
+      date,
+      endDate,
+      durationMinutes,
+      stepMinutes,
+      timezone: config.locale.timezone,
+      slots
+    };
+  }
+
+  /**
+   * Check whether one resource is free for a time range
+   * Conflicts are reduced to their time ranges since this is public
+   */
+  static async getResourceAvailability(resourceId, startTime, endTime) {
+    const resource = await prisma.resource.findUnique({
+      where: { id: resourceId },
+      select: { id: true, status: true }
+    });
+
+    if (!resource) {
+      throw { statusCode: 404, message: 'Resource not found' };
+    }
+
+    const { available, conflicts } = await AvailabilityService.checkAvailability(resourceId, startTime, endTime);
+    const toRange = c => ({ startTime: c.startTime, endTime: c.endTime });
+
+    return {
+      resourceId,
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      available: available && resource.status === 'AVAILABLE',
+      resourceStatus: resource.status,
+      conflicts: {
+        bookings: conflicts.bookings.map(toRange),
+        blocks: conflicts.blocks.map(toRange),
+        holds: conflicts.holds.map(toRange)
+      }
+    };
   }
 }
 
@@ -0,0 +1,116 @@
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * SMS Providers
+ * Every provider exposes `name` and `send({ to, text })` and resolves with
+ * `{ provider, messageId }`, or `{ provider, skipped: true }` if nothing was
+ * sent, or throws on delivery failure.
+ */
+
+/**
+ * Twilio provider
+ */
+class TwilioSmsProvider {
+  constructor(options = config.sms) {
+    this.name = 'twilio';
+    this.accountSid = options.accountSid;
+    this.authToken = options.apiKey;
+    this.from = options.from;
+  }
+
+  async send({ to, text }) {
+    if (!this.accountSid || !this.authToken || !this.from) {
+      throw new Error('Twilio is not configured (SMS_ACCOUNT_SID, SMS_API_KEY and SMS_FROM are required)');
+    }
+
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+      new URLSearchParams({ To: to, From: this.from, Body: text }).toString(),
+      {
+        auth: { username: this.accountSid, password: this.authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 15000
+      }
+    );
+
+    return { provider: this.name, messageId: response.data.sid };
+  }
+}
+
+/**
+ * Fake provider (development/tests)
+ * Keeps the last `keep` sent messages in memory instead of delivering them.
+ * Refused in production (see config).
+ */
+class FakeSmsProvider {
+  constructor({ keep = 50 } = {}) {
+    this.name = 'fake';
+    this.keep = keep;
+    this.sent = [];
+    this.count = 0;
+  }
+
+  async send({ to, text }) {
+    this.count++;
+    const messageId = `fake-${Date.now()}-${this.count}`;
+    this.sent.push({ messageId, to, text, sentAt: new Date() });
+    if (this.sent.length > this.keep) {
+      this.sent.shift();
+    }
+    // Bodies may hold verification codes, so only the recipient is logged
+    console.log(`[SMS:fake] ${messageId} to ${to} (${text.length} characters)`);
+    return { provider: this.name, messageId };
+  }
+}
+
+/**
+ * Disabled provider
+ * Used when no SMS provider is configured: sends nothing.
+ */
+class DisabledSmsProvider {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async send() {
+    return { provider: this.name, skipped: true };
+  }
+}
+
+const providers = {
+  twilio: TwilioSmsProvider,
+  fake: FakeSmsProvider,
+  none: DisabledSmsProvider
+};
+
+let instance = null;
+
+/**
+ * Get the configured SMS provider (created once per process)
+ */
+const getSmsProvider = () => {
+  if (!instance) {
+    const Provider = providers[config.sms.provider];
+    if (!Provider) {
+      throw new Error(`Unknown SMS provider: ${config.sms.provider}`);
+    }
+    instance = new Provider();
+  }
+  return instance;
+};
+
+/**
+ * Replace the active provider (used by tests and scripts)
+ */
+const setSmsProvider = (provider) => {
+  instance = provider;
+};
+
+module.exports = {
+  TwilioSmsProvider,
+  FakeSmsProvider,
+  DisabledSmsProvider,
+  getSmsProvider,
+  setSmsProvider
+};
@@ -0,0 +1,743 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const { formatMoney } = require('../utils/helpers');
+const { AuditService, AuditActions } = require('./auditService');
+
+const prisma = new PrismaClient();
+
+// Template keys used by the messaging and notification services
+const TemplateKeys = {
+  BOOKING_CONFIRMATION: 'booking_confirmation',
+  BOOKING_PENDING: 'booking_pending',
+  BOOKING_REJECTED: 'booking_rejected',
+  BOOKING_CANCELLATION: 'booking_cancellation',
+  BOOKING_SERIES_CREATED: 'booking_series_created',
+  BOOKING_SERIES_CANCELLED: 'booking_series_cancelled',
+  WAITLIST_OFFER: 'waitlist_offer',
+  BOOKING_UPDATED: 'booking_updated',
+  BOOKING_REMINDER: 'booking_reminder',
+  BOOKING_COMPLETED: 'booking_completed',
+  BOOKING_NO_SHOW: 'booking_no_show',
+  BALANCE_DUE: 'balance_due',
+  PHONE_VERIFICATION: 'phone_verification',
+  WELCOME: 'welcome'
+};
+
+/**
+ * Built-in English templates, used when no database template matches
+ */
+const DEFAULT_TEMPLATES = {
+  [TemplateKeys.BOOKING_CONFIRMATION]: {
+    EMAIL: {
+      subject: 'Booking confirmed: {{resource.name}}',
+      bodyText: `Dear {{user.firstName}},
+
+Your booking has been confirmed!
+
+Resource: {{resource.name}}
+Date: {{booking.startTime|date}}
+Time: {{booking.startTime|time}} - {{booking.endTime|time}}
+
+Subtotal: {{booking.subtotal|money}}
+Service fee: {{booking.feeAmount|money}}
+Tax: {{booking.taxAmount|money}}
+Total: {{booking.totalPrice|money}}
+
+Thank you for your booking!
+
+Best regards,
+BookingPMS Team`
+    },
+    SMS: {
+      bodyText: 'BookingPMS: your booking for {{resource.name}} on {{booking.startTime}} is confirmed.'
+    },
+    IN_APP: {
+      subject: 'Booking Confirmed',
+      bodyText: 'Your booking for "{{resource.name}}" from {{booking.startTime}} to {{booking.endTime}} has been confirmed. Total: {{booking.totalPrice|money}}'
+    }
+  },
+  [TemplateKeys.BOOKING_PENDING]: {
+    EMAIL: {
+      subject: 'Booking request received: {{resource.name}}',
+      bodyText: `Dear {{user.firstName}},
+
+We have received your booking request. {{resource.name}} requires approval, so your booking is pending until a manager reviews it.
+
+Resource: {{resource.name}}
+Date: {{booking.startTime|date}}
+Time: {{booking.startTime|time}} - {{booking.endTime|time}}
+Held until: {{booking.holdExpiresAt}}
+
+We will let you know as soon as it has been reviewed.
+
+Best regards,
+BookingPMS Team`
+    },
+    IN_APP: {
+      subject: 'Booking Awaiting Approval',
+      bodyText: 'Your booking for "{{resource.name}}" from {{booking.startTime}} to {{booking.endTime}} is awaiting approval. The slot is held until {{booking.holdExpiresAt}}.'
+    }
+  },
+  [TemplateKeys.BOOKING_REJECTED]: {
+    EMAIL: {
+      subject: 'Booking not approved: {{resource.name}}',
+      bodyText: `Dear {{user.firstName}},
+
+Unfortunately your booking request was not approved.
+
+Resource: {{resource.name}}
+Date: {{booking.startTime|date}}
+Time: {{booking.startTime|time}} - {{booking.endTime|time}}
+Reason: {{reason}}
+
+Best regards,
+BookingPMS Team`
+    },
+    IN_APP: {
+      subject: 'Booking Not Approved',
+      bodyText: 'Your booking request for "{{resource.name}}" on {{booking.startTime}} was not approved. {{reason}}'
+    }
+  },
+  [TemplateKeys.BOOKING_CANCELLATION]: {
+    EMAIL: {
+      subject: 'Booking cancelled: {{resource.name}}',
+      bodyText: `Dear {{user.firstName}},
+
+Your booking has been cancelled.
+
+Resource: {{resource.name}}
+Date: {{booking.startTime|date}}
+Time: {{booking.startTime|time}} - {{booking.endTime|time}}
+Refund: {{refund.amount|money}} ({{refund.percent}}% of {{refund.paid|money}} paid)
+
+If you did not request this cancellation, please contact us immediately.
+
+Best regards,
+BookingPMS Team`
+    },
+    SMS: {
+      bodyText: 'BookingPMS: your booking for {{resource.name}} on {{booking.startTime}} has been cancelled. Refund: {{refund.amount|money}}.'
+    },
+    IN_APP: {
+      subject: 'Booking Cancelled',
+      bodyText: 'Your booking for "{{resource.name}}" on {{booking.startTime}} has been cancelled. Refund: {{refund.amount|money}}.'
+    }
+  },
+  [TemplateKeys.BOOKING_SERIES_CREATED]: {
+    EMAIL: {
+      subject: 'Recurring booking confirmed: {{resource.name}}',
+      bodyText: `Dear {{user.firstName}},
+
+Your recurring booking has been created.
+
+Resource: {{resource.name}}
+Repeats: {{series.frequency}} (every {{series.interval}})
+Occurrences: {{series.occurrenceCount}}
+First: {{series.firstStartTime}}
+Last: {{series.lastStartTime}}
+
+Thank you for your booking!
+
+Best regards,
+BookingPMS Team`
+    },
+    IN_APP: {
+      subject: 'Recurring Booking Created',
+      bodyText: 'Your recurring booking for "{{resource.name}}" has been created: {{series.occurrenceCount}} occurrences from {{series.firstStartTime}} to {{series.lastStartTime}}.'
+    }
+  },
+  [TemplateKeys.BOOKING_SERIES_CANCELLED]: {
+    EMAIL: {
+      subject: 'Recurring booking cancelled: {{resource.name}}',
+      bodyText: `Dear {{user.firstName}},
+
+{{series.cancelledCount}} occurrence(s) of your recurring booking have been cancelled.
+
+Resource: {{resource.name}}
+From: {{series.cancelledFrom}}
+To: {{series.cancelledTo}}
+
+If you did not request this cancellation, please contact us immediately.
+
+Best regards,
+BookingPMS Team`
+    },
+    IN_APP: {
+      subject: 'Recurring Booking Cancelled',
+      bodyText: '{{series.cancelledCount}} occurrence(s) of your recurring booking for "{{resource.name}}" from {{series.cancelledFrom}} to {{series.cancelledTo}} have been cancelled.'
+    }
+  },
+  [TemplateKeys.BOOKING_UPDATED]: {
+    EMAIL: {
+      subject: 'Booking updated: {{resource.name}}',
+      bodyText: `Dear {{user.firstName}},
+
+Your booking has been updated.
+
+Now:
+Resource: {{resource.name}}
+Date: {{booking.startTime|date}}
+Time: {{booking.startTime|time}} - {{booking.endTime|time}}
+Total: {{booking.totalPrice|money}}
+
+Previously:
+Resource: {{previous.resource.name}}
+Date: {{previous.startTime|date}}
+Time: {{previous.startTime|time}} - {{previous.endTime|time}}
+Total: {{previous.totalPrice|money}}
+
+If you did not request this change, please contact us immediately.
+
+Best regards,
+BookingPMS Team`
+    },
+    IN_APP: {
+      subject: 'Booking Updated',
+      bodyText: 'Your booking for "{{resource.name}}" has been updated. New time: {{booking.startTime}} to {{booking.endTime}} (previously "{{previous.resource.name}}", {{previous.startTime}} to {{previous.endTime}})'
+    }
+  },
+  [TemplateKeys.BOOKING_REMINDER]: {
+    EMAIL: {
+      subject: 'Reminder: {{resource.name}} on {{booking.startTime|date}}',
+      bodyText: `Dear {{user.firstName}},
+
+This is a reminder of your upcoming booking.
+
+Resource: {{resource.name}}
+Date: {{booking.startTime|date}}
+Time: {{booking.startTime|time}} - {{booking.endTime|time}}
+
+Best regards,
+BookingPMS Team`
+    },
+    SMS: {
+      bodyText: 'BookingPMS reminder: {{resource.name}} starts at {{booking.startTime}}.'
+    },
+    IN_APP: {
+      subject: 'Upcoming Booking',
+      bodyText: 'Reminder: your booking for "{{resource.name}}" starts at {{booking.startTime}}.'
+    }
+  },
+  [TemplateKeys.BALANCE_DUE]: {
+    EMAIL: {
+      subject: 'Balance due for {{resource.name}} on {{booking.startTime|date}}',
+      bodyText: `Dear {{user.firstName}},
+
+The balance for your booking is due soon.
+
+Resource: {{resource.name}}
+Date: {{booking.startTime|date}}
+Time: {{booking.startTime|time}} - {{booking.endTime|time}}
+
+Total: {{booking.totalPrice|money}}
+Deposit paid: {{booking.depositAmount|money}}
+Balance due: {{booking.balanceAmount|money}}
+Due by: {{booking.balanceDueAt}}
+
+If the balance is not paid by then, the booking will be cancelled.
+
+Best regards,
+BookingPMS Team`
+    },
+    SMS: {
+      bodyText: 'BookingPMS: the balance of {{booking.balanceAmount|money}} for {{resource.name}} is due by {{booking.balanceDueAt}}, or the booking will be cancelled.'
+    },
+    IN_APP: {
+      subject: 'Balance Due',
+      bodyText: 'The balance of {{booking.balanceAmount|money}} for your booking of "{{resource.name}}" on {{booking.startTime}} is due by {{booking.balanceDueAt}}.'
+    }
+  },
+  [TemplateKeys.WAITLIST_OFFER]: {
+    EMAIL: {
+      subject: 'A slot you are waiting for is available: {{resource.name}}',
+      bodyText: `Dear {{user.firstName}},
+
+Good news! A slot you joined the waitlist for has become available.
+
+Resource: {{resource.name}}
+Date: {{booking.startTime|date}}
+Time: {{booking.startTime|time}} - {{booking.endTime|time}}
+
+Claim it here before {{offer.expiresAt}}:
+{{offer.claimUrl}}
+
+After that, the slot will be offered to the next person on the waitlist.
+
+Best regards,
+BookingPMS Team`
+    },
+    SMS: {
+      bodyText: 'BookingPMS: {{resource.name}} at {{booking.startTime}} is available. Claim by {{offer.expiresAt|time}}: {{offer.claimUrl}}'
+    },
+    IN_APP: {
+      subject: 'Waitlisted Slot Available',
+      bodyText: '"{{resource.name}}" at {{booking.startTime}} is available. Claim it before {{offer.expiresAt}}.'
+    }
+  },
+  [TemplateKeys.BOOKING_COMPLETED]: {
+    IN_APP: {
+      subject: 'Booking Completed',
+      bodyText: 'Your booking for "{{resource.name}}" on {{booking.startTime|date}} is complete. Thanks for visiting!'
+    }
+  },
+  [TemplateKeys.BOOKING_NO_SHOW]: {
+    IN_APP: {
+      subject: 'Missed Booking',
+      bodyText: 'You were marked as a no-show for your booking of "{{resource.name}}" on {{booking.startTime}}. Please cancel in advance if your plans change.'
+    }
+  },
+  [TemplateKeys.PHONE_VERIFICATION]: {
+    SMS: {
+      bodyText: 'Your BookingPMS verification code is {{code}}. It expires in {{expiresInMinutes}} minutes.'
+    }
+  },
+  [TemplateKeys.WELCOME]: {
+    IN_APP: {
+      subject: 'Welcome!',
+      bodyText: 'Welcome to BookingPMS, {{user.firstName}}! Start exploring our resources and make your first booking.'
+    }
+  }
+};
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)(?:\s*\|\s*(\w+))?\s*\}\}/g;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Format a placeholder value for the given locale
+ * `money` formats an amount in the context's currency
+ */
+const formatValue = (value, filter, locale, context) => {
+  if (value === undefined || value === null) return '';
+
+  if (filter === 'money') {
+    return formatMoney(value, context.currency || config.pricing.defaultCurrency, locale);
+  }
+
+  const timeZone = config.locale.timezone;
+  if (value instanceof Date) {
+    if (filter === 'date') return value.toLocaleDateString(locale, { dateStyle: 'medium', timeZone });
+    if (filter === 'time') return value.toLocaleTimeString(locale, { timeStyle: 'short', timeZone });
+    return value.toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone });
+  }
+
+  return String(value);
+};
+
+/**
+ * Template Service
+ * Renders per-locale message templates stored in the database,
+ * falling back to the built-in English defaults
+ */
+class TemplateService {
+  /**
+   * Replace {{path.to.value}} and {{path|filter}} placeholders
+   */
+  static renderString(template, context, locale, { html = false } = {}) {
+    if (!template) return null;
+
+    return template.replace(PLACEHOLDER, (match, path, filter) => {
+      const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+      const formatted = formatValue(value, filter, locale, context);
+      return html ? escapeHtml(formatted) : formatted;
+    });
+  }
+
+  /**
+   * Build the render context for a booking message
+   */
+  static buildBookingContext(user, booking, resource, extra = {}) {
+    return {
+      user: {
+        firstName: (user && user.firstName) || 'Customer',
+        lastName: user && user.lastName,
+        email: user && user.email
+      },
+      resource: {
+        name: resource.name,
+        type: resource.type
+      },
+      booking: {
+        id: booking.id,
+        startTime: new Date(booking.startTime),
+        endTime: new Date(booking.endTime),
+        subtotal: booking.subtotal,
+        feeAmount: booking.feeAmount,
+        taxAmount: booking.taxAmount,
+        totalPrice: booking.totalPrice,
+        status: booking.status,
+        notes: booking.notes,
+        holdExpiresAt: booking.holdExpiresAt ? new Date(booking.holdExpiresAt) : null,
+        depositAmount: booking.depositAmount,
+        balanceAmount: booking.balanceAmount,
+        balanceDueAt: booking.balanceDueAt ? new Date(booking.balanceDueAt) : null
+      },
+      currency: booking.currency || resource.currency || config.pricing.defaultCurrency,
+      ...extra
+    };
+  }
+
+  /**
+   * Build the render context for a booking series message
+   * `cancelled` lists the occurrences being cancelled, if any
+   */
+  static buildSeriesContext(user, series, resource, cancelled = null) {
+    const active = series.bookings.filter(b => b.status !== 'CANCELLED');
+    const first = active[0] || series.bookings[0];
+    const last = active[active.length - 1] || series.bookings[series.bookings.length - 1];
+
+    return {
+      user: {
+        firstName: (user && user.firstName) || 'Customer',
+        lastName: user && user.lastName,
+        email: user && user.email
+      },
+      resource: {
+        name: resource.name,
+        type: resource.type
+      },
+      series: {
+        id: series.id,
+        frequency: series.frequency.toLowerCase(),
+        interval: series.interval,
+        occurrenceCount: active.length,
+        firstStartTime: first && new Date(first.startTime),
+        lastStartTime: last && new Date(last.startTime),
+        cancelledCount: cancelled ? cancelled.length : 0,
+        cancelledFrom: cancelled && cancelled.length ? new Date(cancelled[0].startTime) : null,
+        cancelledTo: cancelled && cancelled.length ? new Date(cancelled[cancelled.length - 1].startTime) : null
+      }
+    };
+  }
+
+  /**
+   * Build the render context for a waitlist offer
+   * The entry's time range is exposed as `booking` so templates share filters
+   */
+  static buildWaitlistOfferContext(user, entry, resource) {
+    return this.buildBookingContext(user, entry, resource, {
+      offer: {
+        claimUrl: `${config.waitlist.claimUrl}/${entry.offerToken}`,
+        expiresAt: new Date(entry.offerExpiresAt)
+      }
+    });
+  }
+
+  /**
+   * Context for the state of a booking before it was modified
+   */
+  static buildPreviousContext(previous) {
+    if (!previous) return {};
+
+    return {
+      previous: {
+        resource: { name: previous.resource.name },
+        startTime: new Date(previous.startTime),
+        endTime: new Date(previous.endTime),
+        totalPrice: previous.totalPrice
+      }
+    };
+  }
+
+  /**
+   * Context for the refund given when a booking is cancelled
+   * (see CancellationPolicyService.computeRefund)
+   */
+  static buildRefundContext(refund) {
+    if (!refund) return {};
+
+    return {
+      refund: {
+        amount: refund.refundAmount,
+        percent: refund.percent,
+        paid: refund.paidAmount
+      }
+    };
+  }
+
+  /**
+   * Find the best template for key/channel/locale
+   * Tries the exact locale, its base language, then the default locale
+   */
+  static async findTemplate(key, channel, locale) {
+    const candidates = [...new Set([locale, locale && locale.split('-')[0], config.locale.default].filter(Boolean))];
+
+    const templates = await prisma.messageTemplate.findMany({
+      where: { key, channel, locale: { in: candidates }, isActive: true }
+    });
+
+    for (const candidate of candidates) {
+      const template = templates.find(t => t.locale === candidate);
+      if (template) return template;
+    }
+
+    const fallback = DEFAULT_TEMPLATES[key] && DEFAULT_TEMPLATES[key][channel];
+    return fallback ? { key, channel, locale: config.locale.default, ...fallback } : null;
+  }
+
+  /**
+   * Render a template to { subject, text, html }
+   */
+  static async render(key, channel, locale, context) {
+    const resolvedLocale = locale || config.locale.default;
+    const template = await this.findTemplate(key, channel, resolvedLocale);
+
+    if (!template) {
+      throw new Error(`No template found for ${key}/${channel}`);
+    }
+
+    return this.renderTemplate(template, context, resolvedLocale);
+  }
+
+  /**
+   * Render an already-loaded template
+   */
+  static renderTemplate(template, context, locale) {
+    return {
+      subject: this.renderString(template.subject, context, locale),
+      text: this.renderString(template.bodyText, context, locale),
+      html: this.renderString(template.bodyHtml, context, locale, { html: true })
+    };
+  }
+
+  /**
+   * Get a user's preferred locale
+   */
+  static async getUserLocale(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { locale: true }
+    });
+    return (user && user.locale) || config.locale.default;
+  }
+
+  // =====================
+  // Admin management
+  // =====================
+
+  /**
+   * Get templates with pagination
+   */
+  static async getTemplates({ page = 1, limit = 20, key, channel, locale }) {
+    const skip = (page - 1) * limit;
+    const where = {};
+
+    if (key) where.key = key;
+    if (channel) where.channel = channel;
+    if (locale) where.locale = locale;
+
+    const [templates, total] = await Promise.all([
+      prisma.messageTemplate.findMany({
+        where,
+        orderBy: [{ key: 'asc' }, { channel: 'asc' }, { locale: 'asc' }],
+        skip,
+        take: limit
+      }),
+      prisma.messageTemplate.count({ where })
+    ]);
+
+    return {
+      templates,
+      defaults: DEFAULT_TEMPLATES,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get template by ID
+   */
+  static async getTemplateById(templateId) {
+    const template = await prisma.messageTemplate.findUnique({
+      where: { id: templateId }
+    });
+
+    if (!template) {
+      throw { statusCode: 404, message: 'Template not found' };
+    }
+
+    return template;
+  }
+
+  /**
+   * Create a template (admin only)
+   */
+  static async createTemplate(data, userId, ipAddress) {
+    const template = await prisma.messageTemplate.create({
+      data: {
+        key: data.key,
+        channel: data.channel,
+        locale: data.locale,
+        subject: data.subject,
+        bodyText: data.bodyText,
+        bodyHtml: data.bodyHtml,
+        isActive: data.isActive !== undefined ? data.isActive : true
+      }
+    });
+
+    await AuditService.log({
+      userId,
+      action: AuditActions.TEMPLATE_CREATE,
+      entity: 'MessageTemplate',
+      entityId: template.id,
+      ipAddress,
+      details: { key: template.key, channel: template.channel, locale: template.locale }
+    });
+
+    return template;
+  }
+
+  /**
+   * Update a template (admin only)
+   */
+  static async updateTemplate(templateId, data, userId, ipAddress) {
+    const existing = await this.getTemplateById(templateId);
+
+    const template = await prisma.messageTemplate.update({
+      where: { id: templateId },
+      data: {
+        subject: data.subject,
+        bodyText: data.bodyText,
+        bodyHtml: data.bodyHtml,
+        isActive: data.isActive
+      }
+    });
+
+    await AuditService.log({
+      userId,
+      action: AuditActions.TEMPLATE_UPDATE,
+      entity: 'MessageTemplate',
+      entityId: templateId,
+      ipAddress,
+      details: { before: existing, after: template }
+    });
+
+    return template;
+  }
+
+  /**
+   * Delete a template (admin only) - the built-in default applies again
+   */
+  static async deleteTemplate(templateId, userId, ipAddress) {
+    const existing = await this.getTemplateById(templateId);
+
+    await prisma.messageTemplate.delete({
+      where: { id: templateId }
+    });
+
+    await AuditService.log({
+      userId,
+      action: AuditActions.TEMPLATE_DELETE,
+      entity: 'MessageTemplate',
+      entityId: templateId,
+      ipAddress,
+      details: { key: existing.key, channel: existing.channel, locale: existing.locale }
+    });
+
+    return { message: 'Template deleted successfully' };
+  }
+
+  /**
+   * Render a template against a booking (or a sample booking if none given)
+   * Accepts a stored template ID, a key/channel/locale lookup, or inline content
+   */
+  static async preview({ templateId, key, channel, locale, subject, bodyText, bodyHtml, bookingId }) {
+    let template;
+    if (templateId) {
+      template = await this.getTemplateById(templateId);
+    } else if (bodyText) {
+      template = { subject, bodyText, bodyHtml };
+    } else {
+      template = await this.findTemplate(key, channel, locale || config.locale.default);
+      if (!template) {
+        throw { statusCode: 404, message: 'Template not found' };
+      }
+    }
+
+    const renderLocale = locale || template.locale || config.locale.default;
+    const context = await this.getSampleContext(bookingId);
+
+    return {
+      locale: renderLocale,
+      ...this.renderTemplate(template, context, renderLocale)
+    };
+  }
+
+  /**
+   * Context for previews: a real booking if requested, otherwise synthetic data
+   */
+  static async getSampleContext(bookingId) {
+    if (bookingId) {
+      const booking = await prisma.booking.findUnique({
+        where: { id: bookingId },
+        include: { resource: true, user: true }
+      });
+
+      if (!booking) {
+        throw { statusCode: 404, message: 'Booking not found' };
+      }
+
+      return this.buildBookingContext(booking.user, booking, booking.resource);
+    }
+
+    const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    start.setUTCHours(9, 0, 0, 0);
+    const end = new Date(start.getTime() + 2 * 60 * 60 * 1000);
+
+    const user = { firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com' };
+    const resource = { name: 'Conference Room A', type: 'MEETING_ROOM' };
+    const weeks = [0, 1, 2, 3].map(i => ({
+      startTime: new Date(start.getTime() + i * 7 * 24 * 60 * 60 * 1000),
+      status: 'CONFIRMED'
+    }));
+
+    return this.buildBookingContext(
+      user,
+      {
+        id: 'sample-booking',
+        startTime: start,
+        endTime: end,
+        subtotal: '90.00',
+        feeAmount: '2.00',
+        taxAmount: '8.00',
+        totalPrice: '100.00',
+        currency: config.pricing.defaultCurrency,
+        status: 'CONFIRMED',
+        notes: null,
+        depositAmount: '30.00',
+        balanceAmount: '70.00',
+        balanceDueAt: new Date(start.getTime() - 7 * 24 * 60 * 60 * 1000)
+      },
+      resource,
+      {
+        code: '123456',
+        expiresInMinutes: config.sms.verificationTtlMinutes,
+        refund: { amount: '50.00', percent: 50, paid: '100.00' },
+        offer: {
+          claimUrl: `${config.waitlist.claimUrl}/sample-token`,
+          expiresAt: new Date(Date.now() + config.waitlist.offerMinutes * 60 * 1000)
+        },
+        series: this.buildSeriesContext(
+          user,
+          { id: 'sample-series', frequency: 'WEEKLY', interval: 1, bookings: weeks },
+          resource,
+          weeks.slice(2)
+        ).series
+      }
+    );
+  }
+}
+
+module.exports = {
+  TemplateService,
+  TemplateKeys
+};
@@ -1,6 +1,9 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const config = require('../config');
 const { AuditService, AuditActions } = require('./auditService');
+const MessageService = require('./messageService');
 const { sanitizeUser } = require('../utils/helpers');
 
 const prisma = new PrismaClient();
@@ -76,6 +79,14 @@ class UserService {
         role: true,
         isActive: true,
         avatarUrl: true,
+        phone: true,
+        phoneVerified: true,
+        smsOptIn: true,
+        locale: true,
+        organisationRole: true,
+        organisation: {
+          select: { id: true, name: true }
+        },
         createdAt: true,
         updatedAt: true,
         _count: {
@@ -222,6 +233,11 @@ class UserService {
       throw { statusCode: 400, message: 'Cannot delete your own account' };
     }
 
+    const invoices = await prisma.invoice.count({ where: { userId } });
+    if (invoices > 0) {
+      throw { statusCode: 400, message: 'Cannot delete a user who has been invoiced; deactivate them instead' };
+    }
+
     await prisma.user.delete({
       where: { id: userId }
     });
@@ -246,6 +262,12 @@ class UserService {
     if (data.firstName !== undefined) updateData.firstName = data.firstName;
     if (data.lastName !== undefined) updateData.lastName = data.lastName;
     if (data.avatarUrl !== undefined) updateData.avatarUrl = data.avatarUrl;
+    if (data.smsOptIn !== undefined) updateData.smsOptIn = data.smsOptIn;
+    if (data.locale !== undefined) updateData.locale = data.locale;
+    // Billing details are printed on invoices; empty values clear them
+    if (data.billingName !== undefined) updateData.billingName = data.billingName || null;
+    if (data.billingAddress !== undefined) updateData.billingAddress = data.billingAddress || null;
+    if (data.taxId !== undefined) updateData.taxId = data.taxId || null;
 
     const user = await prisma.user.update({
       where: { id: userId },
@@ -255,6 +277,121 @@ class UserService {
     return sanitizeUser(user);
   }
 
+  /**
+   * Set a new phone number and send a verification code by SMS
+   */
+  static async requestPhoneVerification(userId, phone, ipAddress) {
+    const existing = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { phoneVerificationExpires: true }
+    });
+
+    if (!existing) {
+      throw { statusCode: 404, message: 'User not found' };
+    }
+
+    // The last code was sent a TTL before it expires
+    if (existing.phoneVerificationExpires) {
+      const sentAt = existing.phoneVerificationExpires.getTime() - config.sms.verificationTtlMinutes * 60 * 1000;
+      const wait = Math.ceil((sentAt + config.sms.verificationResendSeconds * 1000 - Date.now()) / 1000);
+      if (wait > 0) {
+        throw { statusCode: 429, message: `Please wait ${wait} seconds before requesting another code` };
+      }
+    }
+
+    const code = crypto.randomInt(100000, 1000000).toString();
+    const expires = new Date(Date.now() + config.sms.verificationTtlMinutes * 60 * 1000);
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: {
+        phone,
+        phoneVerified: false,
+        phoneVerificationCode: await bcrypt.hash(code, 10),
+        phoneVerificationExpires: expires,
+        phoneCodeAttempts: 0
+      }
+    });
+
+    await MessageService.sendPhoneVerification(user, phone, code);
+
+    await AuditService.log({
+      userId,
+      action: AuditActions.PHONE_UPDATE,
+      entity: 'User',
+      entityId: userId,
+      ipAddress,
+      details: { phone }
+    });
+
+    return { message: 'Verification code sent', expiresAt: expires };
+  }
+
+  /**
+   * Confirm a phone number with the code sent by SMS
+   */
+  static async verifyPhone(userId, code, ipAddress) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user) {
+      throw { statusCode: 404, message: 'User not found' };
+    }
+
+    if (!user.phone || !user.phoneVerificationCode) {
+      throw { statusCode: 400, message: 'No phone verification in progress' };
+    }
+
+    if (user.phoneVerificationExpires < new Date()) {
+      throw { statusCode: 400, message: 'Verification code has expired' };
+    }
+
+    // Count the attempt before checking it, so concurrent guesses can't exceed the limit
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: userId,
+        phoneVerificationCode: user.phoneVerificationCode,
+        phoneCodeAttempts: { lt: config.sms.verificationMaxAttempts }
+      },
+      data: { phoneCodeAttempts: { increment: 1 } }
+    });
+
+    if (count === 0) {
+      await prisma.user.updateMany({
+        where: { id: userId, phoneVerificationCode: user.phoneVerificationCode },
+        data: { phoneVerificationCode: null }
+      });
+      throw { statusCode: 400, message: 'Too many wrong codes; request a new one' };
+    }
+
+    const isValidCode = await bcrypt.compare(code, user.phoneVerificationCode);
+    if (!isValidCode) {
+      throw { statusCode: 400, message: 'Invalid verification code' };
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: userId },
+      data: {
+        phoneVerified: true,
+        phoneVerificationCode: null,
+        phoneVerificationExpires: null,
+        phoneCodeAttempts: 0
+      }
+    });
+
+    await AuditService.log({
+      userId,
+      action: AuditActions.PHONE_VERIFY,
+      entity: 'User',
+      entityId: userId,
+      ipAddress,
+      details: { phone: user.phone }
+    });
+
+    return sanitizeUser(updated);
+  }
+
   /**
    * Change password
    */
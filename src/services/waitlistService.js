@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const BookingService = require('./bookingService');
+const AvailabilityService = require('./availabilityService');
+const BookingRuleService = require('./bookingRuleService');
+const NotificationService = require('./notificationService');
+const MessageService = require('./messageService');
+const { AuditService, AuditActions } = require('./auditService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Waitlist Service
+ * Users queue for a booked time range. When a conflicting booking is cancelled
+ * the first eligible entry is offered the slot for config.waitlist.offerMinutes;
+ * unclaimed offers expire and pass to the next entry.
+ */
+class WaitlistService {
+  /**
+   * Join the waitlist for a time range that is currently booked
+   */
+  static async join({ userId, resourceId, startTime, endTime, notes }, ipAddress) {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    if (start >= end) {
+      throw { statusCode: 400, message: 'End time must be after start time' };
+    }
+
+    if (start < new Date()) {
+      throw { statusCode: 400, message: 'Cannot book in the past' };
+    }
+
+    const resource = await prisma.resource.findUnique({
+      where: { id: resourceId }
+    });
+
+    if (!resource) {
+      throw { statusCode: 404, message: 'Resource not found' };
+    }
+
+    if (resource.status !== 'AVAILABLE') {
+      throw { statusCode: 400, message: 'Resource is not available for booking' };
+    }
+
+    // No point waiting for a slot that could never be booked
+    await BookingRuleService.assertBookable(resource, start, end);
+
+    const { available, conflicts } = await AvailabilityService.checkAvailability(resourceId, start, end, { userId });
+
+    if (conflicts.blocks.length > 0) {
+      throw AvailabilityService.conflictError(conflicts);
+    }
+
+    if (available) {
+      throw { statusCode: 400, message: 'This time slot is available, book it directly' };
+    }
+
+    const existing = await prisma.waitlistEntry.findFirst({
+      where: {
+        userId,
+        resourceId,
+        startTime: start,
+        endTime: end,
+        status: { in: ['WAITING', 'OFFERED'] }
+      }
+    });
+
+    if (existing) {
+      throw { statusCode: 409, message: 'You are already on the waitlist for this time slot' };
+    }
+
+    const entry = await prisma.waitlistEntry.create({
+      data: {
+        userId,
+        resourceId,
+        startTime: start,
+        endTime: end,
+        notes
+      },
+      include: {
+        resource: {
+          select: { id: true, name: true, type: true }
+        }
+      }
+    });
+
+    await AuditService.log({
+      userId,
+      action: AuditActions.WAITLIST_JOIN,
+      entity: 'WaitlistEntry',
+      entityId: entry.id,
+      ipAddress,
+      details: {
+        resourceId,
+        resourceName: resource.name,
+        startTime: start,
+        endTime: end
+      }
+    });
+
+    return { ...entry, position: await this.getPosition(entry) };
+  }
+
+  /**
+   * Number of waiting entries ahead of (and including) this one for an overlapping range
+   */
+  static async getPosition(entry) {
+    return prisma.waitlistEntry.count({
+      where: {
+        resourceId: entry.resourceId,
+        status: 'WAITING',
+        createdAt: { lte: entry.createdAt },
+        startTime: { lt: entry.endTime },
+        endTime: { gt: entry.startTime }
+      }
+    });
+  }
+
+  /**
+   * Get a user's waitlist entries
+   */
+  static async getUserEntries(userId, { page = 1, limit = 10, status }) {
+    const skip = (page - 1) * limit;
+    const where = { userId };
+
+    if (status) {
+      where.status = status;
+    }
+
+    const [entries, total] = await Promise.all([
+      prisma.waitlistEntry.findMany({
+        where,
+        include: {
+          resource: {
+            select: { id: true, name: true, type: true, imageUrl: true }
+          }
+        },
+        orderBy: { startTime: 'asc' },
+        skip,
+        take: limit
+      }),
+      prisma.waitlistEntry.count({ where })
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Leave the waitlist; an open offer is passed on to the next entry
+   */
+  static async leave(entryId, userId, isAdmin = false, ipAddress) {
+    const entry = await prisma.waitlistEntry.findUnique({
+      where: { id: entryId },
+      include: { resource: true }
+    });
+
+    if (!entry) {
+      throw { statusCode: 404, message: 'Waitlist entry not found' };
+    }
+
+    if (!isAdmin && entry.userId !== userId) {
+      throw { statusCode: 403, message: 'Not authorized to modify this waitlist entry' };
+    }
+
+    if (!['WAITING', 'OFFERED'].includes(entry.status)) {
+      throw { statusCode: 400, message: 'Waitlist entry is no longer active' };
+    }
+
+    const updated = await prisma.waitlistEntry.update({
+      where: { id: entryId },
+      data: { status: 'CANCELLED' }
+    });
+
+    if (entry.status === 'OFFERED') {
+      try {
+        await this.offerFreedSlot(entry.resourceId, entry.startTime, entry.endTime);
+      } catch (err) {
+        console.error('Failed to pass waitlist offer on:', err.message);
+      }
+    }
+
+    await AuditService.log({
+      userId,
+      action: AuditActions.WAITLIST_LEAVE,
+      entity: 'WaitlistEntry',
+      entityId: entryId,
+      ipAddress,
+      details: {
+        resourceId: entry.resourceId,
+        resourceName: entry.resource.name,
+        originalStatus: entry.status,
+        cancelledBy: isAdmin ? 'admin' : 'user'
+      }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Offer a freed time range to the waitlist
+   * Entries overlapping the range are considered oldest first; an entry is
+   * eligible once its whole range is free and not already offered to someone
+   * else. Several entries can be offered if their ranges don't overlap.
+   */
+  static async offerFreedSlot(resourceId, startTime, endTime) {
+    const candidates = await prisma.waitlistEntry.findMany({
+      where: {
+        resourceId,
+        status: 'WAITING',
+        startTime: { lt: new Date(endTime), gt: new Date() },
+        endTime: { gt: new Date(startTime) }
+      },
+      include: {
+        resource: true,
+        user: true
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    let offered = 0;
+
+    for (const entry of candidates) {
+      if (entry.resource.status !== 'AVAILABLE') break;
+
+      const { available } = await AvailabilityService.checkAvailability(resourceId, entry.startTime, entry.endTime);
+      if (!available) continue;
+
+      if (await this.offer(entry)) {
+        offered++;
+      }
+    }
+
+    return { offered };
+  }
+
+  /**
+   * Offer the slot to one entry and notify the user
+   * Returns false if the entry was changed concurrently
+   */
+  static async offer(entry) {
+    const now = new Date();
+    const offerToken = crypto.randomBytes(24).toString('hex');
+    const offerExpiresAt = new Date(now.getTime() + config.waitlist.offerMinutes * 60 * 1000);
+
+    const { count } = await prisma.waitlistEntry.updateMany({
+      where: { id: entry.id, status: 'WAITING' },
+      data: {
+        status: 'OFFERED',
+        offerToken,
+        offeredAt: now,
+        offerExpiresAt
+      }
+    });
+
+    if (count === 0) return false;
+
+    const offered = { ...entry, status: 'OFFERED', offerToken, offeredAt: now, offerExpiresAt };
+
+    try {
+      await NotificationService.notifyWaitlistOffer(entry.userId, offered, entry.resource);
+    } catch (err) {
+      console.error('Failed to create waitlist offer notification:', err.message);
+    }
+
+    try {
+      if (entry.user && entry.user.isActive) {
+        await MessageService.sendWaitlistOffer(entry.user, offered, entry.resource);
+        await MessageService.sendWaitlistOfferSMS(entry.user, offered, entry.resource);
+      }
+    } catch (err) {
+      console.error('Failed to send waitlist offer:', err.message);
+    }
+
+    return true;
+  }
+
+  /**
+   * Claim an offered slot, creating the booking
+   */
+  static async claim(offerToken, userId, ipAddress) {
+    const entry = await prisma.waitlistEntry.findUnique({
+      where: { offerToken },
+      include: { resource: true }
+    });
+
+    if (!entry) {
+      throw { statusCode: 404, message: 'Waitlist offer not found' };
+    }
+
+    if (entry.userId !== userId) {
+      throw { statusCode: 403, message: 'This offer belongs to another user' };
+    }
+
+    if (entry.status === 'CLAIMED') {
+      throw { statusCode: 400, message: 'This offer has already been claimed' };
+    }
+
+    if (entry.status !== 'OFFERED' || entry.offerExpiresAt <= new Date()) {
+      throw { statusCode: 400, message: 'This offer has expired' };
+    }
+
+    const booking = await BookingService.createBooking(
+      {
+        userId,
+        resourceId: entry.resourceId,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        notes: entry.notes
+      },
+      ipAddress
+    );
+
+    const updated = await prisma.waitlistEntry.update({
+      where: { id: entry.id },
+      data: {
+        status: 'CLAIMED',
+        claimedAt: new Date(),
+        bookingId: booking.id
+      }
+    });
+
+    await AuditService.log({
+      userId,
+      action: AuditActions.WAITLIST_CLAIM,
+      entity: 'WaitlistEntry',
+      entityId: entry.id,
+      ipAddress,
+      details: {
+        bookingId: booking.id,
+        resourceId: entry.resourceId,
+        resourceName: entry.resource.name
+      }
+    });
+
+    return { entry: updated, booking };
+  }
+
+  /**
+   * Expire unclaimed offers (passing each slot on) and entries whose time has passed
+   */
+  static async expireOffers(now = new Date()) {
+    const lapsed = await prisma.waitlistEntry.findMany({
+      where: {
+        status: 'OFFERED',
+        offerExpiresAt: { lte: now }
+      },
+      orderBy: { offerExpiresAt: 'asc' }
+    });
+
+    let expired = 0;
+    let offered = 0;
+
+    for (const entry of lapsed) {
+      const { count } = await prisma.waitlistEntry.updateMany({
+        where: { id: entry.id, status: 'OFFERED' },
+        data: { status: 'EXPIRED' }
+      });
+
+      if (count === 0) continue;
+      expired++;
+
+      try {
+        const result = await this.offerFreedSlot(entry.resourceId, entry.startTime, entry.endTime);
+        offered += result.offered;
+      } catch (err) {
+        console.error(`Failed to pass on waitlist offer ${entry.id}:`, err.message);
+      }
+    }
+
+    const stale = await prisma.waitlistEntry.updateMany({
+      where: {
+        status: 'WAITING',
+        startTime: { lte: now }
+      },
+      data: { status: 'EXPIRED' }
+    });
+
+    return { expired: expired + stale.count, offered };
+  }
+}
+
+module.exports = WaitlistService;
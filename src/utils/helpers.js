@@ -5,16 +5,6 @@ const { v4: uuidv4 } = require('uuid');
  */
 const generateUUID = () => uuidv4();
 
-/**
- * Calculate price based on duration and hourly rate
- */
-const calculateBookingPrice = (startTime, endTime, pricePerHour) => {
-  const start = new Date(startTime);
-  const end = new Date(endTime);
-  const durationHours = (end - start) / (1000 * 60 * 60);
-  return parseFloat((durationHours * parseFloat(pricePerHour)).toFixed(2));
-};
-
 /**
  * Check if two time ranges overlap
  */
@@ -36,6 +26,126 @@ const isValidTimeRange = (startTime, endTime) => {
   return start < end && start >= new Date();
 };
 
+/**
+ * Expand a recurrence rule into occurrence time ranges
+ * rule: { frequency: DAILY|WEEKLY|MONTHLY, interval = 1, until?, count? }
+ * Occurrences keep the wall-clock start time in `timeZone`, across DST
+ * changes. Monthly occurrences keep the day of month; months without that day
+ * are skipped (as in RFC 5545). Stops at `until`, `count` or `maxOccurrences`.
+ */
+const expandRecurrence = (startTime, endTime, rule, maxOccurrences = 100, timeZone = 'UTC') => {
+  const start = new Date(startTime);
+  const duration = new Date(endTime) - start;
+  const interval = Math.max(1, parseInt(rule.interval) || 1);
+  const until = rule.until ? new Date(rule.until) : null;
+  const limit = Math.min(rule.count || maxOccurrences, maxOccurrences);
+
+  // Local day and time of the first occurrence; seconds are kept as they are
+  const startDay = toZonedDateString(start, timeZone);
+  const startClock = new Date(start.getTime() + getTimeZoneOffset(start, timeZone)).toISOString().slice(11, 16);
+  const seconds = start.getTime() % (60 * 1000);
+  const [year, month, dayOfMonth] = startDay.split('-').map(Number);
+
+  const occurrences = [];
+  for (let step = 0; occurrences.length < limit; step++) {
+    let day;
+
+    if (rule.frequency === 'DAILY') {
+      day = addDays(startDay, step * interval);
+    } else if (rule.frequency === 'WEEKLY') {
+      day = addDays(startDay, step * interval * 7);
+    } else if (rule.frequency === 'MONTHLY') {
+      const first = new Date(Date.UTC(year, month - 1 + step * interval, 1));
+      const daysInMonth = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+      if (dayOfMonth > daysInMonth) continue;
+      first.setUTCDate(dayOfMonth);
+      day = first.toISOString().slice(0, 10);
+    } else {
+      throw new Error(`Unsupported recurrence frequency: ${rule.frequency}`);
+    }
+
+    const occurrence = new Date(zonedTimeToDate(day, startClock, timeZone).getTime() + seconds);
+
+    if (until && occurrence > until) break;
+
+    occurrences.push({
+      startTime: occurrence,
+      endTime: new Date(occurrence.getTime() + duration)
+    });
+  }
+
+  return occurrences;
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const v = Object.fromEntries(parts.map(p => [p.type, parseInt(p.value)]));
+  const asUTC = Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock date ("2026-01-31") and time ("09:30") in a time zone to a Date
+ */
+const zonedTimeToDate = (dateStr, timeStr, timeZone) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Correct once more in case the first guess crossed a DST change
+  const offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  const corrected = getTimeZoneOffset(new Date(wallClock - offset), timeZone);
+  return new Date(wallClock - corrected);
+};
+
+/**
+ * The "YYYY-MM-DD" calendar day an instant falls on in a time zone
+ */
+const toZonedDateString = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(new Date(date));
+  const v = Object.fromEntries(parts.map(p => [p.type, p.value]));
+  return `${v.year}-${v.month}-${v.day}`;
+};
+
+/**
+ * Add days to a "YYYY-MM-DD" date string
+ */
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Format an amount in a currency for a locale, e.g. "€12.50"
+ */
+const formatMoney = (amount, currency, locale = 'en') => {
+  const value = parseFloat(amount);
+
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value);
+  } catch (err) {
+    return `${value.toFixed(2)} ${currency}`;
+  }
+};
+
 /**
  * Format date for display
  */
@@ -83,15 +193,20 @@ const buildPaginationResponse = (total, page, limit) => {
  */
 const sanitizeUser = (user) => {
   if (!user) return null;
-  const { password, ...sanitized } = user;
+  const { password, phoneVerificationCode, phoneVerificationExpires, phoneCodeAttempts, ...sanitized } = user;
   return sanitized;
 };
 
 module.exports = {
   generateUUID,
-  calculateBookingPrice,
   timeRangesOverlap,
   isValidTimeRange,
+  expandRecurrence,
+  getTimeZoneOffset,
+  zonedTimeToDate,
+  toZonedDateString,
+  addDays,
+  formatMoney,
   formatDate,
   getClientIP,
   parsePagination,
@@ -0,0 +1,101 @@
+/**
+ * Minimal PDF writer
+ * Lays out text and rules on A4 pages using the standard Helvetica fonts,
+ * which every PDF reader provides, so no font files are embedded. Text is
+ * written in WinAnsi (Latin-1); other characters are printed as '?'.
+ *
+ * A page is a list of items, positioned in points from the top-left corner:
+ * - `{ text, x, y, size = 10, bold = false, align = 'left' }` (align 'right'
+ *   puts the end of the text at x)
+ * - `{ line: [x1, y1, x2, y2], width = 0.5 }`
+ */
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Helvetica advance widths (per 1000 units of font size) for the characters
+// that matter when right-aligning amounts; anything else uses the average
+const CHAR_WIDTHS = {
+  ' ': 278, '.': 278, ',': 278, '-': 333, '%': 889, '(': 333, ')': 333, '/': 278, ':': 278,
+  '0': 556, '1': 556, '2': 556, '3': 556, '4': 556, '5': 556, '6': 556, '7': 556, '8': 556, '9': 556
+};
+const AVERAGE_WIDTH = 556;
+
+const toLatin1 = (text) => String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escape = (text) => text.replace(/[\\()]/g, '\\$&');
+
+const num = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Approximate width of a line of text in points
+ */
+const textWidth = (text, size = 10) => {
+  let units = 0;
+  for (const char of toLatin1(text)) {
+    units += CHAR_WIDTHS[char] || AVERAGE_WIDTH;
+  }
+  return units * size / 1000;
+};
+
+const renderItem = (item) => {
+  if (item.line) {
+    const [x1, y1, x2, y2] = item.line;
+    return `${num(item.width || 0.5)} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`;
+  }
+
+  const size = item.size || 10;
+  const text = toLatin1(item.text);
+  const x = item.align === 'right' ? item.x - textWidth(text, size) : item.x;
+
+  return `BT /${item.bold ? 'F2' : 'F1'} ${size} Tf ${num(x)} ${num(PAGE_HEIGHT - item.y)} Td (${escape(text)}) Tj ET`;
+};
+
+/**
+ * Build a PDF document from a list of pages and return it as a Buffer
+ */
+const createPdf = (pages, { title } = {}) => {
+  const objects = [];
+  const add = (body) => objects.push(body);
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const infoId = add(title ? `<< /Title (${escape(toLatin1(title))}) /Producer (BookingPMS) >>` : '<< /Producer (BookingPMS) >>');
+  const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map(items => {
+    const stream = items.map(renderItem).join('\n');
+    const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+
+    return add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // Every string is Latin-1, so string length equals byte length for the xref offsets
+  let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(out, 'latin1');
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  textWidth,
+  createPdf
+};
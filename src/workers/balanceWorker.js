@@ -0,0 +1,19 @@
+const config = require('../config');
+const BookingService = require('../services/bookingService');
+const ReminderService = require('../services/reminderService');
+const createWorker = require('./createWorker');
+
+/**
+ * Balance Worker
+ * Reminds users of deposit bookings that their balance is due, and cancels
+ * bookings whose balance wasn't paid by its due date
+ */
+module.exports = createWorker('BalanceWorker', async () => {
+  const { sent } = await ReminderService.processBalanceReminders();
+  const { cancelled } = await BookingService.cancelOverdueBalances();
+
+  if (sent > 0 || cancelled > 0) {
+    return `Sent ${sent} balance reminder(s), cancelled ${cancelled} booking(s) with an overdue balance`;
+  }
+  return null;
+}, config.deposits.intervalMs);
@@ -0,0 +1,12 @@
+const config = require('../config');
+const BookingService = require('../services/bookingService');
+const createWorker = require('./createWorker');
+
+/**
+ * Completion Worker
+ * Moves past CONFIRMED bookings to COMPLETED
+ */
+module.exports = createWorker('CompletionWorker', async () => {
+  const result = await BookingService.completePastBookings();
+  return result.completed > 0 ? `Completed ${result.completed} booking(s)` : null;
+}, config.bookings.completionIntervalMs);
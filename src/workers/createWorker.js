@@ -0,0 +1,45 @@
+/**
+ * Create a polling worker that runs `task` every `intervalMs`
+ * Overlapping runs are skipped; errors are logged and never stop the loop.
+ * `task` may resolve with a summary string, which is logged when present.
+ */
+const createWorker = (name, task, intervalMs) => {
+  let timer = null;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const summary = await task();
+      if (summary) {
+        console.log(`[${name}] ${summary}`);
+      }
+    } catch (err) {
+      console.error(`[${name}] Run failed:`, err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+
+    console.log(`[${name}] Started (every ${intervalMs}ms)`);
+    timer = setInterval(tick, intervalMs);
+    tick();
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+      console.log(`[${name}] Stopped`);
+    }
+  };
+
+  return { name, start, stop, tick };
+};
+
+module.exports = createWorker;
@@ -0,0 +1,12 @@
+const config = require('../config');
+const BookingService = require('../services/bookingService');
+const createWorker = require('./createWorker');
+
+/**
+ * Hold Expiry Worker
+ * Cancels PENDING bookings whose approval hold has run out
+ */
+module.exports = createWorker('HoldExpiryWorker', async () => {
+  const result = await BookingService.expirePendingHolds();
+  return result.expired > 0 ? `Expired ${result.expired} pending booking(s)` : null;
+}, config.bookings.holdExpiryIntervalMs);
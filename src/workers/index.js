@@ -0,0 +1,34 @@
+const messageWorker = require('./messageWorker');
+const reminderWorker = require('./reminderWorker');
+const completionWorker = require('./completionWorker');
+const holdExpiryWorker = require('./holdExpiryWorker');
+const waitlistWorker = require('./waitlistWorker');
+const balanceWorker = require('./balanceWorker');
+
+/**
+ * Background workers
+ * Run standalone with `npm run worker`, or inside the API process with
+ * WORKERS_IN_PROCESS=true (or its old name MESSAGE_WORKER_IN_PROCESS=true).
+ */
+const workers = [messageWorker, reminderWorker, completionWorker, holdExpiryWorker, waitlistWorker, balanceWorker];
+
+const startAll = () => workers.forEach(w => w.start());
+
+const stopAll = () => workers.forEach(w => w.stop());
+
+if (require.main === module) {
+  startAll();
+
+  const shutdown = () => {
+    stopAll();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = {
+  workers,
+  startAll,
+  stopAll
+};
@@ -0,0 +1,15 @@
+const config = require('../config');
+const MessageService = require('../services/messageService');
+const createWorker = require('./createWorker');
+
+/**
+ * Message Worker
+ * Polls message_logs for due PENDING messages and delivers them
+ */
+module.exports = createWorker('MessageWorker', async () => {
+  const result = await MessageService.processQueue();
+  if (result.processed > 0) {
+    return `Processed ${result.processed} message(s): ${result.sent} sent, ${result.skipped} skipped, ${result.failed} failed`;
+  }
+  return null;
+}, config.messageQueue.pollIntervalMs);
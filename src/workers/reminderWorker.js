@@ -0,0 +1,12 @@
+const config = require('../config');
+const ReminderService = require('../services/reminderService');
+const createWorker = require('./createWorker');
+
+/**
+ * Reminder Worker
+ * Sends booking reminders at the configured offsets before startTime
+ */
+module.exports = createWorker('ReminderWorker', async () => {
+  const result = await ReminderService.processDueReminders();
+  return result.sent > 0 ? `Sent ${result.sent} reminder(s)` : null;
+}, config.reminders.intervalMs);
@@ -0,0 +1,15 @@
+const config = require('../config');
+const WaitlistService = require('../services/waitlistService');
+const createWorker = require('./createWorker');
+
+/**
+ * Waitlist Worker
+ * Expires unclaimed waitlist offers and offers the slot to the next user
+ */
+module.exports = createWorker('WaitlistWorker', async () => {
+  const result = await WaitlistService.expireOffers();
+  if (result.expired > 0 || result.offered > 0) {
+    return `Expired ${result.expired} waitlist entry(ies), made ${result.offered} offer(s)`;
+  }
+  return null;
+}, config.waitlist.offerExpiryIntervalMs);